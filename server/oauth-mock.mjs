@@ -0,0 +1,189 @@
+/**
+ * Local stand-in for the bank's OAuth2 provider and transactions API.
+ *
+ *   node server/oauth-mock.mjs [--port 8788] [--ttl 60] [--auto]
+ *
+ * GET  /authorize   login page ("Sign in as Demo User"), then redirects back
+ *                   with ?code&state. Requires PKCE (S256).
+ * POST /token       authorization_code and refresh_token grants; refresh
+ *                   tokens are rotated on every use.
+ * POST /revoke      forgets a refresh or access token (RFC 7009).
+ * POST /bank/transactions/query/
+ *                   needs `Authorization: Bearer <access token>`, otherwise 401;
+ *                   answers with a few sample transactions.
+ *
+ *   --ttl   access token lifetime in seconds (small values exercise refresh)
+ *   --auto  skip the login page and approve straight away
+ *
+ * Then open the app with `?auth=oauth` and point the bank backend at
+ * http://localhost:8788/bank/transactions/query/ (⚙ → API URL), and allow
+ * the chat to send your sign-in there when it asks (or add the origin to
+ * `auth.origins` in the config).
+ */
+import http from 'node:http';
+import crypto from 'node:crypto';
+
+const args = process.argv.slice(2);
+const option = (name) => (args.includes(name) ? args[args.indexOf(name) + 1] : undefined);
+const port = Number(option('--port')) || 8788;
+const ttl = Number(option('--ttl')) || 60;
+const auto = args.includes('--auto');
+
+const USER = { sub: 'demo-user', name: 'Demo User', email: 'demo@example.com' };
+
+const codes = new Map(); // code -> { clientId, redirectUri, challenge, expires }
+const accessTokens = new Map(); // token -> expires (ms)
+const refreshTokens = new Set();
+
+const token = () => crypto.randomBytes(24).toString('base64url');
+const base64url = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+// Unsigned, for display only: the app reads the name from it
+const idToken = () => `${base64url({ alg: 'none', typ: 'JWT' })}.${base64url({ ...USER, iat: Math.floor(Date.now() / 1000) })}.`;
+
+function issueTokens() {
+  const access = token();
+  const refresh = token();
+  accessTokens.set(access, Date.now() + ttl * 1000);
+  refreshTokens.add(refresh);
+  return { access_token: access, token_type: 'Bearer', expires_in: ttl, refresh_token: refresh, id_token: idToken() };
+}
+
+function readBody(req) {
+  return new Promise((resolve) => {
+    let body = '';
+    req.on('data', (chunk) => (body += chunk));
+    req.on('end', () => resolve(body));
+  });
+}
+
+function sendJSON(res, status, data) {
+  res.writeHead(status, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' }).end(JSON.stringify(data));
+}
+
+const escapeHtml = (text) => text.replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+
+function authorize(res, params) {
+  const redirectUri = params.get('redirect_uri');
+  const challenge = params.get('code_challenge');
+  if (!redirectUri || params.get('response_type') !== 'code') {
+    res.writeHead(400).end('response_type=code and redirect_uri are required');
+    return;
+  }
+
+  const back = new URL(redirectUri);
+  back.searchParams.set('state', params.get('state') || '');
+  if (!challenge || params.get('code_challenge_method') !== 'S256') {
+    back.searchParams.set('error', 'invalid_request');
+    back.searchParams.set('error_description', 'PKCE (S256) is required');
+  } else if (params.get('deny')) {
+    back.searchParams.set('error', 'access_denied');
+  } else if (auto || params.get('approve')) {
+    const code = token();
+    codes.set(code, {
+      clientId: params.get('client_id'),
+      redirectUri,
+      challenge,
+      expires: Date.now() + 60000,
+    });
+    back.searchParams.set('code', code);
+  } else {
+    // Login page; its buttons come back here with approve/deny added
+    const hidden = [...params].map(([key, value]) => `<input type="hidden" name="${escapeHtml(key)}" value="${escapeHtml(value)}">`).join('');
+    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' }).end(`<!DOCTYPE html>
+<title>Mock bank sign-in</title>
+<form method="get" style="font-family: sans-serif; max-width: 320px; margin: 15vh auto; text-align: center">
+  <h1>Mock bank</h1>
+  <p><strong>${escapeHtml(params.get('client_id') || '')}</strong> wants to read your transactions.</p>
+  ${hidden}
+  <button name="approve" value="1">Sign in as ${USER.name}</button>
+  <button name="deny" value="1">Cancel</button>
+</form>`);
+    return;
+  }
+  res.writeHead(302, { Location: back.toString() }).end();
+}
+
+function exchange(res, params) {
+  if (params.get('grant_type') === 'authorization_code') {
+    const entry = codes.get(params.get('code'));
+    codes.delete(params.get('code'));
+    const verifier = params.get('code_verifier') || '';
+    const challenge = crypto.createHash('sha256').update(verifier).digest('base64url');
+    if (!entry || entry.expires < Date.now()) {
+      sendJSON(res, 400, { error: 'invalid_grant', error_description: 'Unknown or expired code' });
+    } else if (entry.redirectUri !== params.get('redirect_uri') || entry.clientId !== params.get('client_id')) {
+      sendJSON(res, 400, { error: 'invalid_grant', error_description: 'redirect_uri or client_id mismatch' });
+    } else if (challenge !== entry.challenge) {
+      sendJSON(res, 400, { error: 'invalid_grant', error_description: 'PKCE verification failed' });
+    } else {
+      sendJSON(res, 200, issueTokens());
+    }
+    return;
+  }
+
+  if (params.get('grant_type') === 'refresh_token') {
+    if (!refreshTokens.delete(params.get('refresh_token'))) {
+      sendJSON(res, 400, { error: 'invalid_grant', error_description: 'Unknown refresh token' });
+      return;
+    }
+    sendJSON(res, 200, issueTokens());
+    return;
+  }
+
+  sendJSON(res, 400, { error: 'unsupported_grant_type' });
+}
+
+function transactions(req, res) {
+  const [, access] = (req.headers.authorization || '').match(/^Bearer (.+)$/) || [];
+  const expires = accessTokens.get(access);
+  if (!expires || expires < Date.now()) {
+    res.setHeader('WWW-Authenticate', 'Bearer error="invalid_token"');
+    sendJSON(res, 401, { error: 'invalid_token' });
+    return;
+  }
+
+  const day = 24 * 60 * 60 * 1000;
+  const date = (daysAgo) => new Date(Date.now() - daysAgo * day).toISOString().slice(0, 10);
+  sendJSON(res, 200, {
+    currency: 'USD',
+    transactions: [
+      { date: date(1), description: 'Coffee Corner', category: 'Food', amount: -4.5 },
+      { date: date(2), description: 'Grocery Mart', category: 'Food', amount: -62.3 },
+      { date: date(4), description: 'Salary', category: 'Income', amount: 2500 },
+      { date: date(6), description: 'City Transit', category: 'Transport', amount: -30 },
+    ],
+  });
+}
+
+const server = http.createServer(async (req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204).end();
+    return;
+  }
+
+  const url = new URL(req.url, `http://localhost:${port}`);
+  if (req.method === 'GET' && url.pathname === '/authorize') {
+    authorize(res, url.searchParams);
+  } else if (req.method === 'POST' && url.pathname === '/token') {
+    exchange(res, new URLSearchParams(await readBody(req)));
+  } else if (req.method === 'POST' && url.pathname === '/revoke') {
+    const revoked = new URLSearchParams(await readBody(req)).get('token');
+    refreshTokens.delete(revoked);
+    accessTokens.delete(revoked);
+    res.writeHead(200).end();
+  } else if (req.method === 'POST' && url.pathname === '/bank/transactions/query/') {
+    await readBody(req);
+    transactions(req, res);
+  } else {
+    res.writeHead(404).end();
+  }
+});
+
+server.listen(port, () => {
+  console.log(`Mock OAuth server on http://localhost:${port} (access tokens last ${ttl}s${auto ? ', auto-approve' : ''})`);
+});
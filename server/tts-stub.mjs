@@ -0,0 +1,138 @@
+/**
+ * Local stand-in for a server-side TTS endpoint.
+ *
+ *   node server/tts-stub.mjs [--port 8787] [--no-audio] [--raw]
+ *
+ * POST /tts { text } answers with a synthetic "voice" (a buzzing tone shaped per
+ * word, so the mouth movement is easy to check against the audio) plus word
+ * timestamps, in the JSON format described in src/speech/server-tts.js.
+ *
+ *   --no-audio  answer 204 so the client falls back to speechSynthesis
+ *   --raw       answer with a bare audio/wav body and no timings (analyser lip-sync)
+ *
+ * Then open the app with `?tts=server`.
+ */
+import http from 'node:http';
+
+const args = process.argv.slice(2);
+const port = Number(args[args.indexOf('--port') + 1]) || 8787;
+const noAudio = args.includes('--no-audio');
+const raw = args.includes('--raw');
+
+const SAMPLE_RATE = 22050;
+
+/**
+ * Lay the words out on a timeline: longer words take longer, punctuation adds pauses.
+ */
+function layoutWords(text) {
+  const words = [];
+  let time = 0.1;
+  const pattern = /[\p{L}\p{N}']+|[.!?;:,]/gu;
+  let match;
+  while ((match = pattern.exec(text))) {
+    const token = match[0];
+    if (/^[.!?;:]$/.test(token)) {
+      time += 0.35;
+    } else if (token === ',') {
+      time += 0.18;
+    } else {
+      const duration = Math.max(0.15, 0.07 * token.length + 0.05);
+      words.push({ word: token, start: time, end: time + duration });
+      time += duration + 0.05;
+    }
+  }
+  return { words, duration: time + 0.1 };
+}
+
+/**
+ * Render a voiced buzz for each word (harmonics of a gliding pitch, formant-weighted).
+ */
+function synthesize(words, duration) {
+  const samples = new Float32Array(Math.ceil(duration * SAMPLE_RATE));
+  for (const { start, end } of words) {
+    const from = Math.floor(start * SAMPLE_RATE);
+    const to = Math.min(samples.length, Math.floor(end * SAMPLE_RATE));
+    for (let i = from; i < to; i++) {
+      const t = (i - from) / SAMPLE_RATE;
+      const progress = (i - from) / (to - from);
+      const f0 = 190 - 30 * progress;
+      const envelope = Math.sqrt(Math.sin(Math.PI * progress));
+      let value = 0;
+      for (let h = 1; h <= 10; h++) {
+        const freq = f0 * h;
+        const formant = Math.exp(-(((freq - 700) / 300) ** 2)) + 0.6 * Math.exp(-(((freq - 1200) / 400) ** 2));
+        value += Math.sin(2 * Math.PI * freq * t) * (0.15 + formant) / h;
+      }
+      samples[i] = value * envelope * 0.3;
+    }
+  }
+  return samples;
+}
+
+function encodeWav(samples) {
+  const buffer = Buffer.alloc(44 + samples.length * 2);
+  buffer.write('RIFF', 0);
+  buffer.writeUInt32LE(36 + samples.length * 2, 4);
+  buffer.write('WAVE', 8);
+  buffer.write('fmt ', 12);
+  buffer.writeUInt32LE(16, 16);
+  buffer.writeUInt16LE(1, 20); // PCM
+  buffer.writeUInt16LE(1, 22); // mono
+  buffer.writeUInt32LE(SAMPLE_RATE, 24);
+  buffer.writeUInt32LE(SAMPLE_RATE * 2, 28);
+  buffer.writeUInt16LE(2, 32);
+  buffer.writeUInt16LE(16, 34);
+  buffer.write('data', 36);
+  buffer.writeUInt32LE(samples.length * 2, 40);
+  samples.forEach((sample, i) => {
+    buffer.writeInt16LE(Math.round(Math.max(-1, Math.min(1, sample)) * 32767), 44 + i * 2);
+  });
+  return buffer;
+}
+
+const server = http.createServer((req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204).end();
+    return;
+  }
+  if (req.method !== 'POST' || req.url !== '/tts') {
+    res.writeHead(404).end();
+    return;
+  }
+
+  let body = '';
+  req.on('data', (chunk) => (body += chunk));
+  req.on('end', () => {
+    let text = '';
+    try {
+      text = JSON.parse(body).text || '';
+    } catch {
+      res.writeHead(400).end('Invalid JSON');
+      return;
+    }
+
+    if (noAudio || !text.trim()) {
+      res.writeHead(204).end();
+      return;
+    }
+
+    const { words, duration } = layoutWords(text);
+    const wav = encodeWav(synthesize(words, duration));
+
+    if (raw) {
+      res.writeHead(200, { 'Content-Type': 'audio/wav' }).end(wav);
+      return;
+    }
+
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ audio: wav.toString('base64'), format: 'wav', words }));
+  });
+});
+
+server.listen(port, () => {
+  console.log(`TTS stub listening on http://localhost:${port}/tts${noAudio ? ' (no audio)' : raw ? ' (raw audio)' : ''}`);
+});
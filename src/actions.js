@@ -0,0 +1,156 @@
+/**
+ * Client-side actions the backend can ask for alongside a reply.
+ *
+ * A reply may carry `actions: [{ type, params }]` (see backends/http.js). Each
+ * type is registered here with a schema for its params and a handler; the
+ * assistant registers the built-in ones (assistant.js) and the host app can add
+ * its own through `assistant.actions.register(...)`.
+ *
+ * Params are checked against the schema before anything runs. Schemas are a
+ * small subset of JSON Schema, enough to also describe the actions to an LLM as
+ * tools:
+ *
+ *   { type: 'object', properties: { url: { type: 'string', format: 'url' } }, required: ['url'] }
+ *
+ * supporting `type` (string, number, integer, boolean, object, array), `enum`,
+ * `minimum`/`maximum`, `items`, `properties`, `required` and `format: 'url'`.
+ *
+ * Actions with side effects (`confirm` set) only run once the user agrees;
+ * `confirm(params)` returns the question to ask.
+ */
+
+/**
+ * Errors in `value` against `schema`, as readable strings (empty = valid).
+ * @param {object} schema
+ * @param {any} value
+ * @param {string} [path='params']
+ * @returns {string[]}
+ */
+export function validate(schema, value, path = 'params') {
+  const errors = [];
+  const { type } = schema;
+
+  if (type === 'object') {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return [`${path} must be an object`];
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push(`${path}.${key} is required`);
+    }
+    for (const [key, property] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) errors.push(...validate(property, value[key], `${path}.${key}`));
+    }
+    return errors;
+  }
+
+  if (type === 'array') {
+    if (!Array.isArray(value)) return [`${path} must be an array`];
+    if (schema.items) value.forEach((item, i) => errors.push(...validate(schema.items, item, `${path}[${i}]`)));
+    return errors;
+  }
+
+  const valid = {
+    string: typeof value === 'string',
+    number: typeof value === 'number' && Number.isFinite(value),
+    integer: Number.isInteger(value),
+    boolean: typeof value === 'boolean',
+  }[type];
+  if (type && !valid) return [`${path} must be a ${type}`];
+
+  if (schema.enum && !schema.enum.includes(value)) errors.push(`${path} must be one of ${schema.enum.join(', ')}`);
+  if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path} must be at least ${schema.minimum}`);
+  if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path} must be at most ${schema.maximum}`);
+  if (schema.format === 'url') {
+    try {
+      if (!/^https?:$/.test(new URL(value).protocol)) errors.push(`${path} must be an http(s) URL`);
+    } catch (error) {
+      errors.push(`${path} must be a URL`);
+    }
+  }
+  return errors;
+}
+
+const EMPTY_PARAMS = { type: 'object', properties: {} };
+
+/**
+ * @param {object} options
+ * @param {function(string): Promise<boolean>} options.confirm - Ask the user; resolves to their answer.
+ * @param {function(object): void} [options.onResult] - Gets `{ type, params, status, error? }` for every
+ *   action; status is 'done', 'declined', 'invalid' or 'failed'.
+ */
+export function createActionRegistry({ confirm, onResult }) {
+  const handlers = new Map();
+
+  const report = (result) => {
+    if (result.status === 'invalid' || result.status === 'failed') {
+      console.warn(`Action "${result.type}" ${result.status}:`, result.error);
+    }
+    onResult?.(result);
+    return result;
+  };
+
+  async function runOne(action) {
+    const type = action?.type;
+    // Missing params mean none; null (e.g. unparseable tool arguments) fails validation
+    const params = action?.params === undefined ? {} : action.params;
+    const handler = handlers.get(type);
+    if (!handler) return report({ type, params, status: 'invalid', error: 'unknown action' });
+
+    const errors = validate(handler.params, params);
+    if (errors.length) return report({ type, params, status: 'invalid', error: errors.join('; ') });
+
+    if (handler.confirm && !(await confirm(handler.confirm(params)))) {
+      return report({ type, params, status: 'declined' });
+    }
+
+    try {
+      await handler.run(params);
+      return report({ type, params, status: 'done' });
+    } catch (error) {
+      return report({ type, params, status: 'failed', error });
+    }
+  }
+
+  return {
+    /**
+     * Add (or replace) an action type.
+     * @param {string} type - e.g. 'openSettings'; letters, digits, '_' and '-'.
+     * @param {object} spec
+     * @param {string} spec.description - What it does; also shown to LLMs as the tool description.
+     * @param {object} [spec.params] - Schema of the params (an object schema).
+     * @param {function(object): string} [spec.confirm] - Question to ask before running; set for
+     *   anything with side effects.
+     * @param {function(object): (void|Promise<void>)} spec.run
+     * @returns {function(): void} Unregister.
+     */
+    register(type, { description, params = EMPTY_PARAMS, confirm: question = null, run }) {
+      if (!/^[\w-]+$/.test(type)) throw new Error(`Invalid action type "${type}"`);
+      const handler = { description, params, confirm: question, run };
+      handlers.set(type, handler);
+      return () => {
+        if (handlers.get(type) === handler) handlers.delete(type);
+      };
+    },
+
+    has(type) {
+      return handlers.has(type);
+    },
+
+    /**
+     * The registered actions as `{ type, description, params }`, e.g. for an LLM's tool list.
+     * @returns {object[]}
+     */
+    describe() {
+      return [...handlers].map(([type, { description, params }]) => ({ type, description, params }));
+    },
+
+    /**
+     * Validate and run actions in order, asking first where needed.
+     * @param {{type: string, params?: object}[]} actions
+     * @returns {Promise<object[]>} One result per action.
+     */
+    async run(actions = []) {
+      const results = [];
+      for (const action of actions) results.push(await runOne(action));
+      return results;
+    },
+  };
+}
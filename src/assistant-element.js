@@ -0,0 +1,131 @@
+import { createAssistant } from './assistant.js';
+import { getRuntimeConfig, API_URL_KEYS } from './config.js';
+import { t } from './i18n/index.js';
+
+/**
+ * `<assistant-avatar>`: the assistant as a custom element, for embedding in
+ * other apps (include style.css for the chat and scene styles).
+ *
+ *   <assistant-avatar id="support" backend="bank"
+ *     endpoint="https://bank.example/api/query/" model="avatars/anna.vrm"
+ *     voice="Google UK English Female"></assistant-avatar>
+ *
+ * Attributes (all optional, on top of the page's config):
+ *   backend   'bank' | 'openai' | 'mock'
+ *   endpoint  API URL of that backend
+ *   model     avatar URL (.glb, .gltf, .vrm)
+ *   voice     speechSynthesis voice name, or the server TTS voice
+ *
+ * Methods: say(text), ask(text) → Promise of the reply, setEmotion(name),
+ * stop(); `actions.register(type, spec)` adds UI actions replies can ask for
+ * (see actions.js). Events (bubbling): `assistant-message` with the message as
+ * detail, `assistant-state` with `{ from, to }`, `assistant-action` with the
+ * outcome of each action.
+ *
+ * Keyboard shortcuts (/, Escape, Alt+V, Alt+H, Alt+S) work while focus is inside
+ * the element; high contrast and reduced motion are set on it as classes.
+ *
+ * With an `endpoint` attribute, the ⚙ panel has no API URL field: the page
+ * decides where the element talks to.
+ *
+ * The element sizes the scene to itself, so give it a height. Give each
+ * instance an id to keep its settings and conversations apart; without one,
+ * instances are numbered in page order.
+ */
+
+const TEMPLATE = `
+  <div class="assistant-scene"><canvas class="assistant-canvas"></canvas></div>
+  <div class="chat-container">
+    <div class="chat-topbar">
+      <div class="chat-title"></div>
+      <div class="chat-icons"><button class="icon-btn">⚙</button></div>
+    </div>
+    <div class="chat-messages"></div>
+    <div class="chat-input-row">
+      <input type="text" />
+      <button></button>
+    </div>
+  </div>
+`;
+
+export class AssistantAvatarElement extends HTMLElement {
+  static get observedAttributes() {
+    return ['endpoint', 'model', 'voice'];
+  }
+
+  connectedCallback() {
+    if (this.assistant) return;
+
+    const config = getRuntimeConfig();
+    const backend = this.getAttribute('backend');
+    if (backend && config.backends[backend]) config.backend = backend;
+    if (this.hasAttribute('endpoint') && API_URL_KEYS[config.backend]) {
+      config.backends[config.backend][API_URL_KEYS[config.backend]] = this.getAttribute('endpoint');
+    }
+    if (this.hasAttribute('model')) config.avatars.url = this.getAttribute('model');
+    if (this.hasAttribute('voice')) config.tts.voice = this.getAttribute('voice');
+
+    this.innerHTML = TEMPLATE;
+    this.querySelector('.chat-title').textContent = t('chat.title');
+    this.querySelector('.chat-input-row input').placeholder = t('chat.placeholder');
+    this.querySelector('.chat-input-row button').textContent = t('chat.send');
+
+    const index = [...document.querySelectorAll('assistant-avatar')].indexOf(this);
+    this.assistant = createAssistant({
+      root: this,
+      config,
+      storageSuffix: this.id ? `.${this.id}` : index > 0 ? `.${index}` : '',
+      // The endpoint attribute wins over an API URL saved from the ⚙ panel
+      fixedSettings: this.hasAttribute('endpoint') ? ['apiUrl'] : [],
+    });
+
+    const forward = (type) => (detail) =>
+      this.dispatchEvent(new CustomEvent(type, { detail, bubbles: true, composed: true }));
+    this.assistant.on('message', forward('assistant-message'));
+    this.assistant.on('state', forward('assistant-state'));
+    this.assistant.on('action', forward('assistant-action'));
+  }
+
+  disconnectedCallback() {
+    this.assistant?.dispose();
+    this.assistant = null;
+    this.replaceChildren();
+  }
+
+  attributeChangedCallback(name, oldValue, value) {
+    if (!this.assistant || value === oldValue || value === null) return;
+    if (name === 'model') this.assistant.loadAvatar(value);
+    else if (name === 'endpoint') this.assistant.setEndpoint(value);
+    else if (name === 'voice') this.assistant.config.tts.voice = value;
+  }
+
+  /** 'idle' | 'listening' | 'thinking' | 'speaking' | 'error' */
+  get state() {
+    return this.assistant?.state ?? 'idle';
+  }
+
+  /** The action registry (see actions.js); null until connected. */
+  get actions() {
+    return this.assistant?.actions ?? null;
+  }
+
+  say(text) {
+    this.assistant?.say(text);
+  }
+
+  ask(text) {
+    return this.assistant ? this.assistant.ask(text) : Promise.resolve(null);
+  }
+
+  setEmotion(name, options) {
+    this.assistant?.setEmotion(name, options);
+  }
+
+  stop() {
+    this.assistant?.stop();
+  }
+}
+
+if (!customElements.get('assistant-avatar')) {
+  customElements.define('assistant-avatar', AssistantAvatarElement);
+}
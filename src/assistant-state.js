@@ -0,0 +1,114 @@
+/**
+ * What the assistant is doing: idle → listening → thinking → speaking, or error.
+ *
+ * Listening, thinking and speaking are activities that can overlap (the user
+ * may start talking while a reply is still being read out), so the machine
+ * tracks which are active and `TRANSITIONS` says where each event leads from
+ * each state. When an activity ends, the state falls back to the most
+ * important one still going (speaking, then listening, then thinking), or idle.
+ *
+ * The machine only knows the event bus (events.js), so it can be driven and
+ * checked without a page or WebGL:
+ *
+ *   const bus = createEventBus();
+ *   const state = createAssistantState(bus);
+ *   bus.emit('thinking', { active: true }); // state.current === 'thinking'
+ */
+
+export const STATES = ['idle', 'listening', 'thinking', 'speaking', 'error'];
+
+// Most important first, for falling back when an activity ends
+const PRIORITY = ['speaking', 'listening', 'thinking'];
+
+/**
+ * Where `${activity}:start`, `${activity}:end` and `error` lead from each
+ * state. '*' means "the most important activity still going".
+ */
+export const TRANSITIONS = {
+  idle: {
+    'listening:start': 'listening',
+    'thinking:start': 'thinking',
+    'speaking:start': 'speaking',
+    error: 'error',
+  },
+  listening: {
+    'listening:end': '*',
+    'thinking:start': 'thinking',
+    'speaking:start': 'speaking',
+    error: 'error',
+  },
+  thinking: {
+    'listening:start': 'listening',
+    'thinking:end': '*',
+    'speaking:start': 'speaking',
+    error: 'error',
+  },
+  speaking: {
+    // The voice keeps the floor until it stops (or is cut off by barge-in)
+    'speaking:end': '*',
+  },
+  // Until something new starts, typically the voice apologising
+  error: {
+    'listening:start': 'listening',
+    'thinking:start': 'thinking',
+    'speaking:start': 'speaking',
+  },
+};
+
+/**
+ * Pure transition: the next state for `event`, or `state` when the event
+ * doesn't apply there.
+ * @param {string} state
+ * @param {string} event - e.g. 'thinking:start'.
+ * @param {Set<string>} active - Activities going on after the event.
+ * @returns {string}
+ */
+export function nextState(state, event, active) {
+  const target = TRANSITIONS[state]?.[event];
+  if (!target) return state;
+  if (target !== '*') return target;
+  return PRIORITY.find((activity) => active.has(activity)) || 'idle';
+}
+
+/**
+ * @param {object} bus - From createEventBus().
+ */
+export function createAssistantState(bus) {
+  const active = new Set();
+  let current = 'idle';
+
+  const handle = (event) => {
+    const next = nextState(current, event, active);
+    if (next === current) return;
+    const from = current;
+    current = next;
+    bus.emit('state', { from, to: next, event });
+  };
+
+  for (const activity of PRIORITY) {
+    bus.on(activity, ({ active: on }) => {
+      // Repeated start/end events (e.g. hands-free toggling) are no-ops
+      if (on === active.has(activity)) return;
+      if (on) active.add(activity);
+      else active.delete(activity);
+      handle(`${activity}:${on ? 'start' : 'end'}`);
+    });
+  }
+  bus.on('error', () => handle('error'));
+
+  return {
+    get current() {
+      return current;
+    },
+
+    /** @param {string} state */
+    is(state) {
+      return current === state;
+    },
+
+    /** Whether an activity is going on, even if another one shows (e.g. still thinking while listening). */
+    isActive(activity) {
+      return active.has(activity);
+    },
+  };
+}
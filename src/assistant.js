@@ -0,0 +1,1531 @@
+import * as THREE from 'three';
+import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
+
+// Environment presets (HDRI, lights, shadows)
+import { createEnvironment } from './environment.js';
+
+// Post-processing, pixel ratio and shadow resolution by quality tier
+import { createQuality } from './quality.js';
+
+// Charts of transaction results beside the avatar
+import { createCharts, CHARTS, CHART_TYPES } from './charts.js';
+
+// Chat backend
+import { getRuntimeConfig, API_URL_KEYS } from './config.js';
+import { createSettings } from './settings.js';
+import { createAuth } from './auth/index.js';
+import { getLanguage, t } from './i18n/index.js';
+import { createBackend } from './backends/index.js';
+import { createSentenceChunker } from './sentences.js';
+import { createConversationStore } from './conversations.js';
+import { createOutbox, createOutboxSender } from './outbox.js';
+import { parseTransactions, summarizeTransactions } from './transactions.js';
+import { createActionRegistry } from './actions.js';
+
+// Lip-sync
+import { createLipSync } from './lipsync/index.js';
+import { createSpeaker } from './speech/index.js';
+import { createRecognizer } from './voice/recognizer.js';
+import { createRecordingRecognizer } from './voice/recorder.js';
+import { isEcho } from './voice/echo.js';
+
+// Emotions
+import { createExpressionEngine, extractEmotionTags, detectSentiment, EMOTIONS } from './expressions.js';
+import { createEventBus } from './events.js';
+import { createAssistantState } from './assistant-state.js';
+
+// Blendshape mapping (ARKit / Oculus / generic names)
+import { createMorphRig, loadMorphMap, VISEME_CHANNELS } from './morph-map.js';
+
+// Avatar loading + UI
+import { loadAvatarModel, frameAvatar, disposeAvatar } from './avatar-loader.js';
+import { prepareVRM, createVRMRig } from './vrm.js';
+import { findHumanoidBones } from './skeleton.js';
+import { createBodyAnimator, GESTURE_NAMES } from './body-animation.js';
+import { createGazeController } from './gaze.js';
+import { setupAvatarPicker } from './ui/avatar-picker.js';
+import { setupSessionPicker } from './ui/session-picker.js';
+import { renderMessage } from './ui/message-renderer.js';
+import { createSpeechFilter, markdownToSpeech } from './ui/markdown.js';
+import { setupSettingsPanel } from './ui/settings-panel.js';
+import { setupCaptions } from './ui/captions.js';
+import { setupDisplayPreferences } from './ui/display-preferences.js';
+
+/**
+ * One avatar assistant: scene, avatar, chat, voice input and speech output,
+ * mounted on a root element that holds its markup (see index.html, or
+ * assistant-element.js which renders the same markup into `<assistant-avatar>`).
+ *
+ * Everything is looked up inside `root` and sized to the scene container with a
+ * ResizeObserver, so several assistants can live on one page. Page-wide things
+ * stay shared: the UI language (i18n), the sign-in session for the same
+ * `auth.storageKey`, and the browser's speechSynthesis voice.
+ */
+
+// Sign-in providers by storage key, so instances on one page share a session
+// (and only one of them finishes an OAuth redirect)
+const authProviders = new Map();
+
+function getAuth(options) {
+  if (!authProviders.has(options.storageKey)) authProviders.set(options.storageKey, createAuth(options));
+  return authProviders.get(options.storageKey);
+}
+
+/**
+ * @param {object} options
+ * @param {HTMLElement} options.root - Contains `.assistant-scene` (with a canvas), `.chat-messages`, `.chat-input-row` and `.chat-topbar`.
+ * @param {object} [options.config] - From getRuntimeConfig(); updated in place by the settings.
+ * @param {object} [options.menu] - From createMenu(); adds the avatar and conversation sections.
+ * @param {string} [options.storageSuffix] - Keeps this instance's settings, conversations and outbox apart from others'.
+ * @param {string[]} [options.fixedSettings] - Settings the page decides (e.g. 'apiUrl'), left out of the ⚙ panel.
+ * @returns {object} The public API (say, ask, setEmotion, ...).
+ */
+export function createAssistant({
+  root,
+  config = getRuntimeConfig(),
+  menu = null,
+  storageSuffix = '',
+  fixedSettings = [],
+}) {
+  let scene, camera, renderer, controls;
+  let quality; // post-processing and adaptive resolution (see quality.js)
+  const clock = new THREE.Clock();
+  const sceneContainer = root.querySelector('.assistant-scene');
+  let frameId = 0;
+
+  const storageKey = (key) => `${key}${storageSuffix}`;
+  // Endpoint of the current backend (undefined for the mock)
+  const apiUrl = () => API_URL_KEYS[config.backend] && config.backends[config.backend][API_URL_KEYS[config.backend]];
+  // The API URL as the page configured it, before the ⚙ panel can change it
+  const configuredApiUrl = apiUrl();
+
+  // Preferences from the ⚙ panel / URL, written into `config` (see settings.js)
+  const settings = createSettings(config, { storageKey: storageKey('assistant.settings'), fixed: fixedSettings });
+  // Sign-in for the bank backend; finishes an OAuth redirect if this load is one.
+  // The token only goes to the configured backend, `auth.origins` and API URLs
+  // the user allowed (see confirmTrust)
+  const auth = getAuth(config.auth);
+  if (configuredApiUrl) auth.trust(configuredApiUrl);
+  // Chat backend adapter (chosen from runtime config, see config.js)
+  let backend = createBackend(config, { auth });
+
+  // Saved chat sessions; the tail of the current one goes to the backend as context
+  const conversations = createConversationStore({ ...config.history, storageKey: storageKey(config.history.storageKey) });
+
+  // Currently loaded avatar; `avatarLoadId` lets the newest load win if several overlap
+  let avatarModel = null;
+  let avatarLoadId = 0;
+  let vrm = null; // set when the avatar is a VRM (expressions, look-at, spring bones)
+  let bodyAnimator = null; // breathing, idle sway, gestures and embedded clips
+  let gaze = null; // head/neck/eye tracking of the pointer or camera
+
+  // Chat, voice and speech output report what they are doing on the bus; the
+  // state machine turns that into idle / listening / thinking / speaking / error
+  // for the animation (see events.js, assistant-state.js)
+  const bus = createEventBus();
+  const assistantState = createAssistantState(bus);
+
+  // UI actions a reply can ask for (built-ins in registerActions, the host app can add its own)
+  const actions = createActionRegistry({
+    confirm: (question) => chat.confirm(question),
+    onResult: (result) => bus.emit('action', result),
+  });
+  let avatarPicker;
+
+  // Morph targets: `face` maps logical channels to blendshapes on every mesh (see morph-map.js)
+  let face = null;
+  let hasNativeVisemes = false;
+
+  // Drives the mouth from speech (visemes); see lipsync/index.js
+  const lipSync = createLipSync();
+
+  // Current emotional state (happy, concerned, ...); see expressions.js
+  const expressions = createExpressionEngine();
+
+  // Lighting and backdrop preset, switchable at runtime (see environment.js)
+  let environment = null;
+
+  // Charts beside the avatar (see charts.js); `chartResult` is the latest result, for showChart
+  let charts = null;
+  let chartResult = null;
+
+  // High contrast and reduced motion, from the ⚙ panel or the system (see ui/display-preferences.js)
+  const display = setupDisplayPreferences({
+    root,
+    preferences: config.accessibility,
+    onReducedMotionChange: (calm) => {
+      bodyAnimator?.setCalm(calm);
+      gaze?.setCalm(calm);
+      charts?.setCalm(calm);
+    },
+  });
+
+  // Helper function for smooth interpolation
+  const lerp = (a, b, t) => a + (b - a) * t;
+
+  /**
+   * 1) Initialize 3D Scene
+   */
+  function initThreeScene() {
+    const canvas = sceneContainer.querySelector('canvas');
+    const { width, height } = containerSize();
+    scene = new THREE.Scene();
+
+    // --- Renderer ---
+    renderer = new THREE.WebGLRenderer({ canvas, antialias: true });
+    renderer.outputEncoding = THREE.sRGBEncoding;
+    renderer.toneMapping = THREE.ACESFilmicToneMapping;
+    // The canvas is sized by CSS to its container; only the drawing buffer follows it here
+    renderer.setSize(width, height, false);
+    // Pixel ratio is set by the quality tier (setupPostProcessing)
+    renderer.shadowMap.enabled = true;
+    renderer.shadowMap.type = THREE.PCFSoftShadowMap;
+
+    // --- Camera ---
+    camera = new THREE.PerspectiveCamera(35, width / height, 0.1, 100);
+    camera.position.set(0, 1.4, 2);
+
+    // --- Controls (Orbit) ---
+    controls = new OrbitControls(camera, renderer.domElement);
+    controls.enableDamping = true;
+    controls.target.set(0, 1.4, 0); // keep the target on the avatar’s head/upper body
+    controls.enablePan = false;
+    controls.enableZoom = false;
+    controls.enableRotate = false;
+
+    // Only allow a small horizontal rotation range (e.g., ±0.15 radians ~ ±8.6 degrees)
+    controls.minAzimuthAngle = -0.15;
+    controls.maxAzimuthAngle =  0.15;
+
+    // (Optionally) limit vertical tilt as well:
+    controls.minPolarAngle = Math.PI / 2 - 0.3; // ~top angle
+    controls.maxPolarAngle = Math.PI / 2 + 0.3; // ~bottom angle
+
+    // Limit how close/far the camera can orbit:
+    controls.minDistance = 1.0;
+    controls.maxDistance = 2.5;
+
+    // Keep damping enabled to get smooth transitions
+    controls.dampingFactor = 0.05;
+
+    // --- Environment & Lights ---
+    setupEnvironment();
+
+    // --- Charts of transaction results ---
+    charts = createCharts({
+      scene,
+      camera,
+      domElement: renderer.domElement,
+      maxItems: config.charts.maxItems,
+      calm: display.reducedMotion,
+    });
+
+    // --- Load Avatar ---
+    loadAvatar({ url: config.avatars.url, name: config.avatars.url.split('/').pop() });
+
+    // --- Post-processing setup (optional but recommended for advanced render) ---
+    setupPostProcessing();
+
+    // --- Start the render loop ---
+    animate();
+  }
+
+  /**
+   * 2) Environment Setup:
+   *    Backdrop, reflections, three-point lights and ground shadow come from the
+   *    preset in `config.scene.environment` (see environment.js)
+   */
+  function setupEnvironment() {
+    environment = createEnvironment({
+      scene,
+      renderer,
+      presets: config.scene.presets,
+      brandColor: config.scene.brandColor,
+      exposure: config.scene.exposure,
+    });
+    environment.apply(config.scene.environment);
+  }
+
+  /**
+   * Plain glTF avatars: shadows, PBR material upgrade & arms adjustment
+   */
+  function prepareGLTFAvatar(model) {
+    // Ensure model can cast/receive shadows
+    model.traverse((node) => {
+      if (node.isMesh) {
+        node.castShadow = true;
+        node.receiveShadow = true;
+
+        // Upgrade to a more PBR-like material if desired:
+        node.material = new THREE.MeshPhysicalMaterial({
+          map: node.material.map || null,
+          normalMap: node.material.normalMap || null,
+          roughnessMap: node.material.roughnessMap || null,
+          metalnessMap: node.material.metalnessMap || null,
+          emissiveMap: node.material.emissiveMap || null,
+          roughness: 1, // Increased roughness
+          metalness: 0, // Slightly increased metalness
+          transmission: 0, // For glass-like materials, set to e.g., 0.3 or more
+        });
+      }
+
+      // Example: Move arms down if bones are named "LeftArm" and "RightArm"
+      if (node.isBone && (node.name === 'LeftArm' || node.name === 'RightArm')) {
+        // Slight rotation to push arms down. 
+        node.rotation.x = THREE.MathUtils.degToRad(70);
+      }
+    });
+  }
+
+  /**
+   * 4) Load Avatar (GLB) with advanced PBR materials & arms adjustment
+   *    Any model can be loaded (URL param, Menu gallery, drag-and-drop); it is
+   *    framed automatically from its bounding box and head bone.
+   * @param {{url: string, name?: string, morphMap?: string}} avatar
+   */
+  async function loadAvatar({ url, name = url.split('/').pop(), morphMap: morphMapUrl }) {
+    const loadId = ++avatarLoadId;
+    avatarPicker.overlay.show(name);
+
+    // Optional per-model blendshape overrides (public/morph-map.json)
+    const morphMap = await loadMorphMap(morphMapUrl || config.morphMap.url);
+
+    let gltf;
+    try {
+      gltf = await loadAvatarModel(url, {
+        onProgress: (fraction, bytes) => {
+          if (loadId === avatarLoadId) avatarPicker.overlay.progress(fraction, bytes);
+        },
+      });
+    } catch (error) {
+      if (loadId !== avatarLoadId) return;
+      console.error(`Failed to load avatar "${url}":`, error.cause || error);
+      avatarPicker.overlay.showError(t('avatar.loadFailed', { name, error: error.message }));
+      return;
+    } finally {
+      // Dropped files are loaded through object URLs
+      if (url.startsWith('blob:')) URL.revokeObjectURL(url);
+    }
+    if (loadId !== avatarLoadId) return;
+
+    // Replace the previous avatar
+    if (avatarModel) {
+      disposeAvatar(avatarModel);
+    }
+    face = null;
+    vrm = null;
+    bodyAnimator?.dispose();
+    bodyAnimator = null;
+    gaze?.dispose();
+    gaze = null;
+
+    const model = gltf.scene;
+
+    if (gltf.userData.vrm) {
+      // VRM keeps its MToon materials and its own bone/expression setup
+      vrm = prepareVRM(gltf);
+    } else {
+      prepareGLTFAvatar(model);
+    }
+
+    scene.add(model);
+    avatarModel = model;
+
+    // Feet on the ground, camera on the face
+    const { headPosition, height } = frameAvatar(model, camera, controls, vrm?.humanoid.getNormalizedBoneNode('head'));
+    // Lights and shadow scaled to the model
+    environment.fit(height);
+    // Charts stand beside the head
+    charts.place(headPosition, height);
+    // Depth of field sharp on the face
+    quality.focusOn(headPosition);
+
+    if (vrm) {
+      // The model was just moved; don't let hair and clothes swing from it
+      vrm.springBoneManager?.reset();
+    }
+
+    // Body motion on top of the rest pose (VRM clips use a different format, so only glTF ones)
+    const bones = findHumanoidBones(model, vrm);
+    bodyAnimator = createBodyAnimator({
+      model,
+      bones,
+      clips: vrm ? [] : gltf.animations,
+      calm: display.reducedMotion,
+    });
+    bodyAnimator.setState(BODY_POSES[assistantState.current]);
+
+    // Head, neck and eyes follow the pointer (VRM: through the model's own look-at)
+    gaze = createGazeController({
+      camera,
+      domElement: renderer.domElement,
+      bones,
+      vrm,
+      deviceTilt: config.gaze.deviceTilt,
+      calm: display.reducedMotion,
+    });
+
+    // Bind logical face channels to whatever blendshape naming this model uses
+    face = vrm ? createVRMRig(vrm, morphMap) : createMorphRig(model, morphMap);
+    hasNativeVisemes = face.has(VISEME_CHANNELS.aa);
+
+    avatarPicker.overlay.hide();
+    avatarPicker.markCurrent(url);
+  }
+
+  /**
+   * 5) Post-processing Setup
+   *    SMAA, bloom, SSAO and depth of field on the face, switched by the quality
+   *    tier in `config.render.quality`; 'auto' adapts to the frame rate
+   */
+  function setupPostProcessing() {
+    quality = createQuality({
+      renderer,
+      scene,
+      camera,
+      quality: config.render.quality,
+      stats: config.render.stats,
+      targetFps: config.render.targetFps,
+      focus: controls.target.clone(),
+      onShadowMapSize: (size) => environment.setShadowMapSize(size),
+    });
+  }
+
+  /**
+   * 6) Main Animation Loop
+   */
+  function animate() {
+    frameId = requestAnimationFrame(animate);
+
+    const frameTime = clock.getDelta();
+    const dt = Math.min(frameTime, 0.1); // clamp after tab switches
+
+    // Required if you use damping in OrbitControls
+    controls.update();
+
+    // Animate morph targets (speaking and idle expressions)
+    if (face) {
+      updateFacialAnimations(dt);
+    }
+
+    // Breathing, weight shift, gestures and clips
+    bodyAnimator?.update(dt);
+
+    // Gaze on top of the body pose, with speaking nods layered in
+    if (gaze) {
+      gaze.update(dt, updateHeadMovements());
+    }
+
+    // VRM: apply expressions, look-at, spring bones and humanoid pose
+    if (vrm) {
+      vrm.update(dt);
+    }
+
+    // Charts growing in / shrinking away
+    charts.update(dt);
+
+    // Post-processing chain of the current quality tier
+    quality.render(frameTime);
+  }
+
+  let nextBlinkTime = 0;
+  let blinkDuration = 0.08; // seconds for a full blink (down + up)
+  let blinking = false;
+  let blinkStartTime = 0;
+
+  /**
+   * 7) Enhanced Facial Animations with Smooth Transitions and Additional Expressions
+   */
+  function updateFacialAnimations(dt) {
+    const time = performance.now() * 0.001; // Current time in seconds
+    if (!face) return;
+
+    // Define the speed for different morph animations
+    const blinkSpeed = 5; // Blinking speed
+    const idleSpeed = 0.5; // Idle morph speed
+
+    // Emotional baseline; idle and speaking motion are layered on top of it
+    const expression = expressions.update(dt);
+    const isSpeaking = assistantState.is('speaking');
+
+    // ----------------------------------------
+    // 1. Blinking / Idle Expressions
+    // ----------------------------------------
+    if (!isSpeaking) {
+      // Handle Blinking
+      handleBlinking(time, blinkSpeed);
+
+      // Subtle Idle Movements
+      face.lerp('cheekRaise', expression.cheekRaise + 0.03 * Math.sin(time * idleSpeed), 0.1);
+      face.lerp('eyebrowRaise', expression.eyebrowRaise + 0.02 * Math.sin(time * idleSpeed * 1.5), 0.1);
+      face.lerp('lipCornerDepress', expression.lipCornerDepress + 0.01 * Math.sin(time * idleSpeed * 2), 0.1);
+    }
+
+    // ----------------------------------------
+    // 2. Speaking Expressions (lip-sync)
+    // ----------------------------------------
+    // Always advance the lip-sync so its smoothing settles while idle
+    const mouth = lipSync.update(dt);
+
+    if (isSpeaking) {
+      const { jawOpen, mouthWide, mouthRound, mouthClose, tongueOut } = mouth.channels;
+
+      if (hasNativeVisemes) {
+        // The model has its own viseme shapes: feed them the viseme mix directly
+        for (const viseme in VISEME_CHANNELS) {
+          face.set(VISEME_CHANNELS[viseme], mouth.visemes[viseme]);
+        }
+        face.set('mouthOpen', expression.mouthOpen);
+        face.set('mouthSmile', expression.mouthSmile);
+        face.set('lipCornerDepress', expression.lipCornerDepress);
+      } else {
+        // Mouth shapes come straight from the (already smoothed) viseme mix,
+        // added onto the emotional baseline
+        face.set('mouthOpen', Math.min(1, expression.mouthOpen + jawOpen * 0.8));
+        face.set('mouthSmile', Math.min(1, expression.mouthSmile + mouthWide * 0.5));
+        face.set('mouthPucker', mouthRound * 0.8);
+        face.set('mouthClose', mouthClose * 0.6);
+        // Avatars without a pucker shape get a hint of it from the lip corners
+        const roundHint = face.has('mouthPucker') ? 0 : mouthRound * 0.3;
+        face.set('lipCornerDepress', Math.min(1, expression.lipCornerDepress + roundHint));
+        face.set('tongueOut', tongueOut * 0.5);
+      }
+
+      // Cheeks follow the lip stretch; brows lift a little on open vowels
+      face.lerp('cheekRaise', expression.cheekRaise + mouthWide * 0.2, 0.2);
+      face.lerp('eyebrowRaise', expression.eyebrowRaise + jawOpen * 0.12, 0.1);
+
+      // Slow sideways jaw drift so the opening isn't perfectly symmetric
+      const jawDrift = 0.05 * jawOpen * Math.sin(time * 1.3);
+      face.set('jawLeft', Math.max(0, expression.jawLeft + jawDrift));
+      face.set('jawRight', Math.max(0, -jawDrift));
+    }
+
+    // ----------------------------------------
+    // 3. Non-Speaking Cleanup
+    // ----------------------------------------
+    if (!isSpeaking) {
+      // Reset Speaking Morphs Smoothly (back to the emotional baseline)
+      resetSpeakingMorphs(expression);
+    }
+  }
+
+  /**
+   * Handle Blinking with Smooth Transitions
+   */
+  function handleBlinking(time, speed) {
+    if (time > nextBlinkTime && face.has('blink') && !blinking) {
+      blinking = true;
+      blinkStartTime = time;
+      // Schedule next blink ~3-7 seconds from now
+      nextBlinkTime = time + 4 + Math.random() * 4;
+    }
+
+    if (blinking) {
+      const elapsed = time - blinkStartTime;
+      const fraction = elapsed / blinkDuration;
+
+      if (fraction < 0.5) {
+        // Closing eyes
+        face.lerp('blink', 1, 0.2);
+      } else if (fraction < 1.0) {
+        // Opening eyes
+        face.lerp('blink', 0, 0.2);
+      } else {
+        // End of blink
+        face.set('blink', 0);
+        blinking = false;
+      }
+    }
+  }
+
+  /**
+   * Gradually Reset Speaking Morphs to the current expression
+   * (brows, cheeks and lip corners are eased by the idle animation instead)
+   */
+  function resetSpeakingMorphs(expression = expressions.weights) {
+    const resetSpeed = 0.05; // Adjust for smoother transition
+
+    if (face) {
+      face.lerp('mouthOpen', expression.mouthOpen, resetSpeed);
+      face.lerp('mouthSmile', expression.mouthSmile, resetSpeed);
+      face.lerp('mouthPucker', 0, resetSpeed);
+      face.lerp('mouthClose', 0, resetSpeed);
+
+      // Optional: Reset additional morph targets
+      face.lerp('jawLeft', expression.jawLeft, resetSpeed);
+      face.lerp('jawRight', 0, resetSpeed);
+      face.lerp('tongueOut', 0, resetSpeed);
+
+      for (const viseme in VISEME_CHANNELS) {
+        face.lerp(VISEME_CHANNELS[viseme], 0, resetSpeed);
+      }
+    }
+  }
+
+  /**
+   * Optional: Add Head Movements for Enhanced Realism
+   * Returns the speaking nod, which the gaze controller adds on top of where the head is looking.
+   */
+  const headNod = { pitch: 0, yaw: 0 };
+
+  function updateHeadMovements() {
+    const time = performance.now() * 0.001;
+
+    if (assistantState.is('speaking') && !display.reducedMotion) {
+      // Slight nodding while speaking
+      headNod.pitch = lerp(
+        headNod.pitch,
+        0.02 * Math.sin(time * 2), // Adjust amplitude and speed as needed
+        0.1
+      );
+      headNod.yaw = lerp(
+        headNod.yaw,
+        0.02 * Math.sin(time * 1.5),
+        0.1
+      );
+    } else {
+      // Return to neutral position
+      headNod.pitch = lerp(headNod.pitch, 0, 0.1);
+      headNod.yaw = lerp(headNod.yaw, 0, 0.1);
+    }
+
+    return headNod;
+  }
+
+  /**
+   * 7) Speak & Lip-Sync
+   *    Speech output (browser voice or server TTS audio) lives in speech/index.js;
+   *    it drives `lipSync` and tells us when the avatar is talking.
+   */
+  const speaker = createSpeaker({
+    lipSync,
+    tts: config.tts,
+    lang: getLanguage().locale,
+    onSpeakingChange: (speaking) => bus.emit('speaking', { active: speaking }),
+    onSentenceStart: (text) => bus.emit('sentence', { text }),
+    onWord: (text, charIndex, charLength) => bus.emit('word', { text, charIndex, charLength }),
+  });
+
+  const speak = (text) => speaker.speak(text);
+  const queueSpeech = (text) => speaker.queue(text);
+  const stopSpeaking = () => speaker.stop();
+
+  /**
+   * Body posture/clip for each assistant state (see body-animation.js).
+   */
+  const BODY_POSES = {
+    idle: 'idle',
+    listening: 'listening',
+    thinking: 'thinking',
+    speaking: 'talking',
+    error: 'idle',
+  };
+
+  /**
+   * The avatar reacts to state changes: posture, face and the end of speech.
+   */
+  function onStateChange({ from, to }) {
+    bodyAnimator?.setState(BODY_POSES[to]);
+    if (to === 'thinking') {
+      // Look thoughtful while waiting for the reply
+      expressions.setEmotion('thinking', { intensity: 0.8 });
+    }
+    if (from === 'speaking') {
+      // Gradually reset morphs, and let the emotion fade a little later
+      resetSpeakingMorphs();
+      expressions.release(3);
+    }
+  }
+
+  bus.on('state', onStateChange);
+  // Even mid-sentence, when the state stays 'speaking'
+  bus.on('error', () => expressions.setEmotion('concerned'));
+  // Conversational gestures (nod, shrug, emphasis) along with each sentence
+  bus.on('sentence', ({ text }) => bodyAnimator?.onSentence(text));
+
+  // A transaction result gets a chart beside the avatar; a reply that no longer
+  // names anything on it means the topic moved on
+  bus.on('message', ({ role, text, data }) => {
+    if (role !== 'assistant' || !charts) return;
+    if (data) {
+      chartResult = data;
+      if (config.charts.enabled) charts.show(data);
+    } else if (!charts.mentions(text)) {
+      charts.clear();
+    }
+  });
+  // While explaining a chart the avatar glances at it at the start of each sentence
+  const CHART_GLANCE = 1.6; // seconds
+  bus.on('sentence', () => {
+    if (charts?.visible) gaze?.focusOn(charts.focusPoint, CHART_GLANCE);
+  });
+
+  /**
+   * 8) Basic Chat Setup
+   */
+  function setupChat() {
+    const chatMessages = root.querySelector('.chat-messages');
+    const chatInput = root.querySelector('.chat-input-row input');
+    const chatSend = root.querySelector('.chat-input-row button');
+    const chatIcons = root.querySelector('.chat-icons');
+    const settingsButton = root.querySelector('.chat-topbar .icon-btn');
+
+    // The message list is a live log, so screen readers announce new messages
+    chatMessages.setAttribute('role', 'log');
+    chatMessages.setAttribute('aria-live', 'polite');
+    chatMessages.setAttribute('aria-label', t('chat.log'));
+    chatInput.setAttribute('aria-label', t('chat.input'));
+
+    // Icon button with a spoken name and its keyboard shortcut (see the keydown handler below)
+    const addIconButton = (icon, label, shortcut) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'icon-btn';
+      button.textContent = icon;
+      button.title = `${label} (${shortcut})`;
+      button.setAttribute('aria-label', label);
+      button.setAttribute('aria-keyshortcuts', shortcut);
+      chatIcons.appendChild(button);
+      return button;
+    };
+
+    // Add voice recognition button
+    const voiceButton = addIconButton('🎤', t('voice.once'), 'Alt+V');
+
+    // Hands-free conversation toggle
+    const handsFreeButton = addIconButton('🗣', t('voice.handsFree'), 'Alt+H');
+    handsFreeButton.setAttribute('aria-pressed', 'false');
+    settingsButton.setAttribute('aria-keyshortcuts', 'Alt+S');
+
+    // Short non-blocking notice above the input (voice errors); read out as an alert
+    const notice = document.createElement('div');
+    notice.className = 'chat-notice';
+    notice.setAttribute('role', 'alert');
+    notice.hidden = true;
+    chatInput.parentElement.before(notice);
+    const NOTICE_TIME = 6000; // ms
+    let noticeTimer = 0;
+    const showNotice = (text) => {
+      notice.textContent = text;
+      notice.hidden = false;
+      clearTimeout(noticeTimer);
+      noticeTimer = setTimeout(() => {
+        notice.hidden = true;
+      }, NOTICE_TIME);
+    };
+
+    // Add message to chat (assistant replies as Markdown, plus a table for transaction data)
+    const addMessageToChat = (role, text, data = null) => {
+      const div = document.createElement('div');
+      div.className = role === 'assistant' ? 'assistant-msg' : 'user-msg';
+      renderMessage(div, role, text, data);
+      chatMessages.appendChild(div);
+      chatMessages.scrollTop = chatMessages.scrollHeight;
+      return div;
+    };
+
+    // A new message (rather than a saved one being shown again): also announced on the bus
+    const showMessage = (role, text, data = null) => {
+      const div = addMessageToChat(role, text, data);
+      bus.emit('message', { role, text, data });
+      return div;
+    };
+
+    // Signed out: the assistant won't touch account questions, and offers to sign in
+    const declineSignedOut = (key) => {
+      const div = showMessage('assistant', t(key));
+      if (auth.interactive) {
+        const signIn = document.createElement('button');
+        signIn.type = 'button';
+        signIn.className = 'session-action';
+        signIn.textContent = t('auth.signIn');
+        signIn.addEventListener('click', () => auth.login());
+        div.appendChild(signIn);
+      }
+      expressions.setEmotion('neutral');
+      speak(t(key));
+    };
+
+    // Yes/no question for an action with side effects; the buttons give way to the answer
+    const confirmInChat = (question) =>
+      new Promise((resolve) => {
+        const div = showMessage('assistant', question);
+        const buttons = document.createElement('div');
+        buttons.className = 'session-actions';
+        const answer = (allowed) => {
+          const status = document.createElement('div');
+          status.className = 'msg-status';
+          status.textContent = t(allowed ? 'actions.allowed' : 'actions.declined');
+          buttons.replaceWith(status);
+          resolve(allowed);
+        };
+        for (const [key, allowed] of [['actions.allow', true], ['actions.cancel', false]]) {
+          const button = document.createElement('button');
+          button.type = 'button';
+          button.className = 'session-action';
+          button.textContent = t(key);
+          button.addEventListener('click', () => answer(allowed));
+          buttons.appendChild(button);
+        }
+        div.appendChild(buttons);
+        chatMessages.scrollTop = chatMessages.scrollHeight;
+        queueSpeech(markdownToSpeech(question));
+      });
+
+    const updateSignInState = () => {
+      chatInput.placeholder = auth.signedIn ? t('chat.placeholder') : t('auth.placeholder');
+    };
+    // The sign-in is shared with other instances, so this must be let go on dispose
+    const unsubscribeAuth = auth.subscribe(updateSignInState);
+    auth.ready.then(updateSignInState);
+
+    // Messages waiting in the outbox are marked until they go out
+    const markPending = (div, time) => {
+      div.classList.add('is-pending');
+      div.dataset.pending = time;
+      const status = document.createElement('div');
+      status.className = 'msg-status';
+      status.textContent = t('chat.queued');
+      div.appendChild(status);
+    };
+
+    const clearPending = (time) => {
+      const div = chatMessages.querySelector(`[data-pending="${time}"]`);
+      if (!div) return;
+      div.classList.remove('is-pending');
+      delete div.dataset.pending;
+      div.querySelector('.msg-status')?.remove();
+    };
+
+    // Show the current session's saved messages
+    const renderConversation = () => {
+      chatMessages.replaceChildren();
+      const sessionId = conversations.current.id;
+      for (const { role, text, data, time } of conversations.current.messages) {
+        const div = addMessageToChat(role, text, data);
+        if (role === 'user' && outbox.isPending(sessionId, time)) markPending(div, time);
+      }
+    };
+
+    // Typing dots while waiting for the first words of a reply
+    const typingIndicator = document.createElement('div');
+    typingIndicator.className = 'typing-indicator';
+    typingIndicator.setAttribute('role', 'status');
+    typingIndicator.setAttribute('aria-label', t('chat.thinking'));
+    typingIndicator.append(...[0, 1, 2].map(() => document.createElement('span')));
+
+    // Thinking = typing dots here; pose and face follow the assistant state
+    const setThinking = (thinking) => {
+      bus.emit('thinking', { active: thinking });
+      if (thinking) {
+        chatMessages.appendChild(typingIndicator);
+        chatMessages.scrollTop = chatMessages.scrollHeight;
+      } else {
+        typingIndicator.remove();
+      }
+    };
+
+    // In-flight reply; aborting it cancels the request/stream mid-way
+    let activeReply = null;
+
+    const setReplyInFlight = (inFlight) => {
+      chatSend.textContent = t(inFlight ? 'chat.stop' : 'chat.send');
+      chatSend.classList.toggle('is-stop', inFlight);
+    };
+
+    const cancelActiveReply = () => {
+      if (activeReply) {
+        activeReply.abort();
+        activeReply = null;
+        setThinking(false);
+      }
+      stopSpeaking();
+      setReplyInFlight(false);
+    };
+
+    /**
+     * Ask the backend for a reply to a message that is already in the chat.
+     * A newer request supersedes (aborts) the one still in flight.
+     * `replay` marks a message sent from the outbox, which a newly typed one doesn't cut short.
+     * @returns {Promise<'done'|'failed'|'aborted'|'offline'>}
+     */
+    const requestReply = async (userText, { sessionId, history, replay = false }) => {
+      cancelActiveReply();
+
+      const controller = new AbortController();
+      controller.replay = replay;
+      activeReply = controller;
+      setReplyInFlight(true);
+
+      setThinking(true);
+
+      let bubble = null;
+      let replyText = '';
+      try {
+        if (backend.stream) {
+          // Render tokens as they arrive and hand finished sentences to speech right away
+          let taggedEmotion = null;
+          // Code blocks, tables and link URLs are shown but not read out
+          const toSpeech = createSpeechFilter();
+          const chunker = createSentenceChunker((sentence) => {
+            // Without an explicit tag, let each sentence nudge the expression
+            if (!taggedEmotion) {
+              expressions.setEmotion(detectSentiment(sentence));
+            }
+            queueSpeech(toSpeech(sentence));
+          });
+
+          // `[emotion:...]` tags can arrive split across tokens, so strip them from the
+          // accumulated text and feed speech only what is new since the last token
+          let cleanLength = 0;
+          const reply = await backend.stream(userText, {
+            signal: controller.signal,
+            history,
+            language: getLanguage().locale,
+            tools: actions.describe(),
+            onToken: (delta, fullText) => {
+              const { text, emotion } = extractEmotionTags(fullText, { partial: true });
+              if (emotion && emotion !== taggedEmotion) {
+                taggedEmotion = emotion;
+                expressions.setEmotion(emotion);
+              }
+
+              // The typing dots give way to the reply itself
+              if (!bubble) {
+                setThinking(false);
+                bubble = addMessageToChat('assistant', '');
+              }
+              // Screen readers wait for the whole reply instead of reading every token
+              chatMessages.setAttribute('aria-busy', 'true');
+              renderMessage(bubble, 'assistant', text);
+              chatMessages.scrollTop = chatMessages.scrollHeight;
+              replyText = text;
+              chunker.push(text.slice(cleanLength));
+              cleanLength = text.length;
+            },
+          });
+          chunker.flush();
+
+          replyText = extractEmotionTags(reply.text).text.trim();
+          const replyActions = reply.actions || [];
+          if (reply.data && !replyText) {
+            // A bare transaction list: show the table, speak only its summary
+            replyText = summarizeTransactions(reply.data);
+            queueSpeech(replyText);
+          } else if (!replyText && !replyActions.length) {
+            replyText = t('chat.notUnderstood');
+            expressions.setEmotion('neutral');
+            speak(replyText);
+          }
+          setThinking(false);
+          if (replyText) {
+            bubble ??= addMessageToChat('assistant', '');
+            renderMessage(bubble, 'assistant', replyText, reply.data);
+            chatMessages.scrollTop = chatMessages.scrollHeight;
+            conversations.addMessage('assistant', replyText, { sessionId, data: reply.data });
+            bus.emit('message', { role: 'assistant', text: replyText, data: reply.data || null });
+          }
+          // Not awaited: a confirmation can wait for the user without holding up the next question
+          actions.run(replyActions);
+        } else {
+          // Send userText to the API and get response
+          const reply = await sendMessageToAPI(userText, controller.signal, history);
+          setThinking(false);
+          const { text, emotion } = extractEmotionTags(reply.text);
+          expressions.setEmotion(emotion || detectSentiment(text));
+
+          // A bare transaction list gets its summary as the message text
+          const summary = reply.data ? summarizeTransactions(reply.data) : '';
+          const shown = text || summary;
+          if (shown) {
+            conversations.addMessage('assistant', shown, { sessionId, data: reply.data });
+
+            // Assistant's message
+            showMessage('assistant', shown, reply.data);
+
+            // Speak the response with lip-sync: the text or table summary, never raw markup or code
+            speak(markdownToSpeech(shown) || t('chat.resultFallback'));
+          }
+          actions.run(reply.actions);
+        }
+        return 'done';
+      } catch (error) {
+        if (error.name === 'AbortError') {
+          if (bubble) renderMessage(bubble, 'assistant', `${replyText} _${t('chat.stopped')}_`);
+          // Keep what was said so far, so the next question still has its context
+          if (replyText.trim()) conversations.addMessage('assistant', replyText.trim(), { sessionId });
+          expressions.setEmotion('neutral');
+          return 'aborted';
+        }
+        bubble?.remove();
+        if (error.status === 401 && error.authenticated) {
+          // Our token was turned down and refreshing it didn't help: the session is over
+          declineSignedOut('auth.expired');
+          return 'failed';
+        }
+        if (error.offline && !replyText) {
+          // The connection dropped before anything came back; the caller queues the message
+          expressions.setEmotion('neutral');
+          return 'offline';
+        }
+        console.error('Error communicating with API:', error);
+        bus.emit('error', { error });
+        showMessage('assistant', t('chat.error'));
+        speak(t('chat.error'));
+        return 'failed';
+      } finally {
+        chatMessages.removeAttribute('aria-busy');
+        if (activeReply === controller) {
+          activeReply = null;
+          setReplyInFlight(false);
+          setThinking(false);
+        }
+      }
+    };
+
+    // Messages typed offline; sent when the connection comes back, oldest first
+    const outbox = createOutbox({
+      ...config.outbox,
+      storageKey: storageKey(config.outbox.storageKey),
+      send: createOutboxSender({
+        conversations,
+        replyHere: (text, options) => requestReply(text, { ...options, replay: true }),
+        fetchReply: (text, history) => sendMessageToAPI(text, undefined, history),
+      }),
+      onSent: ({ time }) => clearPending(time),
+    });
+
+    renderConversation();
+    conversations.subscribe(renderConversation);
+    if (menu) {
+      setupSessionPicker({
+        menu,
+        store: conversations,
+        beforeSwitch: () => {
+          cancelActiveReply();
+          charts?.clear();
+        },
+      });
+    }
+    // Anything left over from an earlier visit
+    outbox.flush();
+
+    const handleUserMessage = async (userText) => {
+      await auth.ready;
+      if (!auth.signedIn) {
+        cancelActiveReply();
+        showMessage('user', userText);
+        declineSignedOut('auth.declined');
+        return;
+      }
+
+      // Signed in, but the token may not go where the ⚙ panel points
+      const url = apiUrl();
+      if (auth.enabled && url && !auth.trusts(url)) {
+        showNotice(t('auth.untrusted', { origin: new URL(url, window.location.href).origin }));
+      }
+
+      // Earlier turns as context; the reply is saved to this session even if the user switches away
+      const history = conversations.context(config.history.contextTurns);
+      const sessionId = conversations.current.id;
+
+      // User message
+      const div = showMessage('user', userText);
+      const { time } = conversations.addMessage('user', userText, { sessionId });
+
+      // Offline, or earlier messages still waiting: queue behind them to keep the order
+      const queue = () => {
+        markPending(div, time);
+        outbox.add({ text: userText, sessionId, time, history });
+      };
+      if (!navigator.onLine || outbox.items.length) {
+        // A queued message being answered right now goes on; this one waits its turn
+        if (!activeReply?.replay) cancelActiveReply();
+        queue();
+        outbox.flush();
+        return;
+      }
+
+      if ((await requestReply(userText, { sessionId, history })) === 'offline') queue();
+    };
+
+    // Send what is typed in the input
+    const submitInput = () => {
+      // Web Audio may only start from a user gesture
+      speaker.unlock();
+
+      const userText = chatInput.value.trim();
+      if (!userText) return;
+
+      // Clear input
+      chatInput.value = '';
+
+      handleUserMessage(userText);
+    };
+
+    // Send message (text input), or stop the reply that is still coming in
+    chatSend.addEventListener('click', () => {
+      if (activeReply) {
+        cancelActiveReply();
+        return;
+      }
+      submitInput();
+    });
+
+    // Enter sends (a newer question supersedes the reply in flight); not while an IME is composing
+    chatInput.addEventListener('keydown', (event) => {
+      if (event.key === 'Enter' && !event.shiftKey && !event.isComposing) {
+        event.preventDefault();
+        submitInput();
+      }
+    });
+
+    // Live mic level while recording (fallback path only; SpeechRecognition doesn't expose audio)
+    const micMeter = document.createElement('div');
+    micMeter.className = 'mic-meter';
+    micMeter.hidden = true;
+    const micMeterFill = document.createElement('div');
+    micMeterFill.className = 'mic-meter-fill';
+    micMeter.appendChild(micMeterFill);
+    chatInput.after(micMeter);
+
+    // What the avatar is saying right now, to recognise it when the mic picks it up
+    let spokenText = '';
+    bus.on('sentence', ({ text }) => {
+      spokenText = `${spokenText} ${text}`;
+    });
+
+    // Voice recognition setup: the browser's SpeechRecognition, or local recording + STT endpoint
+    const hasSpeechRecognition = 'SpeechRecognition' in window || 'webkitSpeechRecognition' in window;
+    const recognizer = (hasSpeechRecognition ? createRecognizer : createRecordingRecognizer)({
+      stt: config.stt,
+      lang: config.voice.lang || getLanguage().locale,
+      wakePhrase: config.voice.wakePhrase,
+      silenceMs: config.voice.silenceMs,
+
+      // Show what is being heard live in the input
+      onInterim: (text) => {
+        chatInput.value = text;
+      },
+
+      onUtterance: (text) => {
+        chatInput.value = '';
+        bus.emit('listening', { active: false });
+        handleUserMessage(text);
+      },
+
+      isEcho: (text) => isEcho(text, spokenText),
+
+      // Barge-in: talking over the avatar cuts its reply short
+      onSpeechStart: () => {
+        if (config.voice.bargeIn && (assistantState.isActive('speaking') || activeReply)) {
+          cancelActiveReply();
+        }
+        bus.emit('listening', { active: true });
+      },
+
+      onLevel: (level) => {
+        micMeterFill.style.transform = `scaleX(${level})`;
+      },
+
+      onActiveChange: (active) => {
+        micMeter.hidden = !active || hasSpeechRecognition;
+        syncHandsFree();
+        // One-shot listening holds the listening pose; hands-free only while the user talks
+        bus.emit('listening', { active: active && !recognizer.handsFree });
+      },
+
+      onError: (error) => {
+        bus.emit('error', { error });
+        showNotice(t('voice.error', { error }));
+      },
+    });
+
+    if (!recognizer.supported) {
+      handsFreeButton.hidden = true;
+    }
+
+    // The buttons and the ⚙ panel follow the recognizer, which can also turn
+    // hands-free off by itself (mic permission lost)
+    function syncHandsFree() {
+      voiceButton.classList.toggle('is-active', recognizer.active && !recognizer.handsFree);
+      handsFreeButton.classList.toggle('is-active', recognizer.handsFree);
+      handsFreeButton.setAttribute('aria-pressed', String(recognizer.handsFree));
+      settings.set('handsFree', recognizer.handsFree);
+    }
+
+    // Keep the microphone from taking the avatar's own voice for the user's:
+    // ignore its words while it talks, or pause hands-free listening altogether
+    bus.on('speaking', ({ active }) => {
+      if (config.voice.whileSpeaking === 'pause') recognizer.setPaused(active);
+      else recognizer.setEchoGuard(active);
+      if (!active) spokenText = '';
+    });
+
+    const setHandsFree = (enabled) => {
+      recognizer.setHandsFree(enabled && recognizer.supported);
+      syncHandsFree();
+    };
+
+    // Voice button click
+    voiceButton.addEventListener('click', () => {
+      speaker.unlock();
+      if (!recognizer.supported) {
+        showNotice(t('voice.unsupported'));
+        return;
+      }
+      if (recognizer.active) {
+        recognizer.stop();
+      } else {
+        recognizer.listenOnce();
+      }
+    });
+
+    handsFreeButton.addEventListener('click', () => {
+      speaker.unlock();
+      setHandsFree(!recognizer.handsFree);
+    });
+
+    /**
+     * Keyboard shortcuts: page-wide for the full-page assistant, while focus is
+     * inside it for embedded ones.
+     *   /       focus the message input
+     *   Escape  stop the reply and the voice
+     *   Alt+V   speak one question        Alt+H  hands-free mode
+     *   Alt+S   settings
+     */
+    const isEditable = (target) => target.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(target.tagName);
+    const shortcuts = { KeyV: voiceButton, KeyH: handsFreeButton, KeyS: settingsButton };
+    const shortcutTarget = menu ? document : root;
+    const onShortcut = (event) => {
+      // event.code, since Alt changes the typed character on some layouts
+      const button = event.altKey && !event.ctrlKey && !event.metaKey ? shortcuts[event.code] : null;
+      if (button && !button.hidden) {
+        event.preventDefault();
+        button.click();
+      } else if (event.key === '/' && !event.altKey && !event.ctrlKey && !event.metaKey && !isEditable(event.target)) {
+        event.preventDefault();
+        chatInput.focus();
+      } else if (event.key === 'Escape' && (activeReply || assistantState.isActive('speaking'))) {
+        cancelActiveReply();
+      }
+    };
+    shortcutTarget.addEventListener('keydown', onShortcut);
+
+    return {
+      handleUserMessage,
+      showMessage,
+      confirm: confirmInChat,
+      cancelActiveReply,
+      recognizer,
+      setHandsFree,
+
+      /** Stop the reply, the microphone and everything listening outside the chat. */
+      dispose() {
+        cancelActiveReply();
+        recognizer.stop();
+        outbox.dispose();
+        unsubscribeAuth();
+        shortcutTarget.removeEventListener('keydown', onShortcut);
+        clearTimeout(noticeTimer);
+      },
+    };
+  }
+
+  /**
+   * Sends the user's message to the configured backend adapter.
+   * @param {string} message - The user's message to send.
+   * @param {AbortSignal} [signal] - Aborts the request.
+   * @param {{role: string, content: string}[]} [history] - Earlier turns of the conversation.
+   * @returns {Promise<{text: string, data: object|null, actions: object[]}>} - The assistant's response,
+   *   any structured result and the UI actions it asks for.
+   */
+  async function sendMessageToAPI(message, signal, history = []) {
+    // The backend is asked to answer in the UI language
+    const reply = await backend.send(message, {
+      signal,
+      history,
+      language: getLanguage().locale,
+      tools: actions.describe(),
+    });
+
+    const data = reply.data || null;
+    const replyActions = reply.actions || [];
+    return {
+      text: reply.text || (data || replyActions.length ? '' : t('chat.notUnderstood')),
+      data,
+      actions: replyActions,
+    };
+  }
+
+  /**
+   * Apply a changed setting right away (live preview from the ⚙ panel).
+   * Voice, rate and pitch are read by the speaker for each new sentence.
+   */
+  function applySetting(key, value) {
+    if (key === 'exposure') {
+      environment.setExposure(value);
+    } else if (key === 'environment') {
+      environment.apply(value);
+    } else if (key === 'muted') {
+      speaker.updateVolume();
+    } else if (key === 'quality') {
+      quality.setQuality(value);
+    } else if (key === 'stats') {
+      quality.setStats(value);
+    } else if (key === 'contrast' || key === 'motion') {
+      display.update();
+    } else if (key === 'captions') {
+      captions.setEnabled(value);
+    } else if (key === 'handsFree') {
+      chat.setHandsFree(value);
+    } else if (key === 'apiUrl') {
+      backend = createBackend(config, { auth });
+      confirmTrust(value);
+    }
+  }
+
+  /** Ask before the sign-in goes to an API URL from the ⚙ panel; a yes is remembered. */
+  async function confirmTrust(url) {
+    if (!auth.enabled || !url || auth.trusts(url)) return;
+    const origin = new URL(url, window.location.href).origin;
+    if (await chat.confirm(t('auth.trustOrigin', { origin }))) auth.trust(url, { remember: true });
+  }
+
+  /**
+   * Built-in actions a reply can ask for (see actions.js).
+   * @param {{open: function(): void}} settingsPanel
+   */
+  function registerActions(settingsPanel) {
+    actions.register('showTransactions', {
+      description: 'Show a list of bank transactions as a table in the chat.',
+      params: {
+        type: 'object',
+        properties: {
+          title: { type: 'string' },
+          transactions: { type: 'array', items: { type: 'object' } },
+        },
+        required: ['transactions'],
+      },
+      run: ({ title, transactions }) => {
+        const data = parseTransactions({ transactions });
+        if (!data) throw new Error('no transactions with an amount');
+        const text = title || summarizeTransactions(data);
+        conversations.addMessage('assistant', text, { data });
+        chat.showMessage('assistant', text, data);
+      },
+    });
+
+    actions.register('showChart', {
+      description: 'Chart the latest transaction result beside the avatar.',
+      params: {
+        type: 'object',
+        properties: {
+          chart: { type: 'string', enum: Object.keys(CHARTS) },
+          type: { type: 'string', enum: CHART_TYPES },
+        },
+        required: ['chart'],
+      },
+      run: ({ chart, type }) => {
+        if (!chartResult) throw new Error('no transaction result to chart');
+        if (!charts.show(chartResult, { kind: chart, type })) throw new Error('too little data for this chart');
+      },
+    });
+
+    actions.register('openSettings', {
+      description: 'Open the settings panel (voice, speech rate, environment, render quality).',
+      run: () => settingsPanel.open(),
+    });
+
+    actions.register('playGesture', {
+      description: 'Play a body gesture on the avatar.',
+      params: {
+        type: 'object',
+        properties: { name: { type: 'string', enum: GESTURE_NAMES } },
+        required: ['name'],
+      },
+      run: ({ name }) => bodyAnimator?.gesture(name),
+    });
+
+    actions.register('setEmotion', {
+      description: "Change the avatar's facial expression.",
+      params: {
+        type: 'object',
+        properties: {
+          emotion: { type: 'string', enum: Object.keys(EMOTIONS) },
+          intensity: { type: 'number', minimum: 0, maximum: 1 },
+        },
+        required: ['emotion'],
+      },
+      run: ({ emotion, intensity }) => expressions.setEmotion(emotion, { intensity }),
+    });
+
+    actions.register('navigate', {
+      description: 'Open a web page, in this tab or a new one.',
+      params: {
+        type: 'object',
+        properties: {
+          url: { type: 'string', format: 'url' },
+          newTab: { type: 'boolean' },
+        },
+        required: ['url'],
+      },
+      confirm: ({ url }) => t('actions.navigate', { url }),
+      run: ({ url, newTab = false }) => {
+        if (newTab) window.open(url, '_blank', 'noopener');
+        else window.location.assign(url);
+      },
+    });
+  }
+
+  /**
+   * 9) Handle Resizing
+   *    Follows the scene container (not the window), so embedded instances fit their box
+   */
+  function containerSize() {
+    // Never zero: a hidden container would make a degenerate camera
+    return {
+      width: Math.max(1, sceneContainer.clientWidth),
+      height: Math.max(1, sceneContainer.clientHeight),
+    };
+  }
+
+  function onResize() {
+    const { width, height } = containerSize();
+    camera.aspect = width / height;
+    camera.updateProjectionMatrix();
+    renderer.setSize(width, height, false);
+    quality.setSize(width, height);
+  }
+
+  /**
+   * 10) Init everything
+   */
+  avatarPicker = setupAvatarPicker({
+    menu,
+    gallery: config.avatars.gallery,
+    onSelect: (avatar) => loadAvatar(avatar),
+    container: sceneContainer,
+    // Embedded instances only take files dropped on themselves
+    dropTarget: menu ? window : root,
+  });
+
+  initThreeScene();
+  const chat = setupChat();
+  // Spoken sentence over the scene, for those who can't hear the voice
+  const captions = setupCaptions({ container: sceneContainer, bus, enabled: config.accessibility.captions });
+
+  settings.subscribe(applySetting);
+  // An API URL saved from the ⚙ panel on an earlier visit
+  if (settings.has('apiUrl')) confirmTrust(settings.get('apiUrl'));
+  const settingsPanel = setupSettingsPanel({
+    button: root.querySelector('.chat-topbar .icon-btn'),
+    anchor: root.querySelector('.chat-topbar'),
+    settings,
+    onTestVoice: () => {
+      speaker.unlock();
+      speak(t('settings.sample'));
+    },
+  });
+
+  registerActions(settingsPanel);
+
+  const resizeObserver = new ResizeObserver(onResize);
+  resizeObserver.observe(sceneContainer);
+
+  return {
+    config,
+    settings,
+    auth,
+
+    /** UI actions replies can ask for; `actions.register(...)` adds the host app's own (see actions.js). */
+    actions,
+
+    /** 'idle' | 'listening' | 'thinking' | 'speaking' | 'error' (see assistant-state.js). */
+    get state() {
+      return assistantState.current;
+    },
+
+    /**
+     * Show `text` as an assistant message and speak it (nothing is sent to the backend).
+     * @param {string} text - Markdown.
+     */
+    say(text) {
+      chat.showMessage('assistant', text);
+      speak(markdownToSpeech(text));
+    },
+
+    /**
+     * Send `text` as if the user had typed it.
+     * @param {string} text
+     * @returns {Promise<{role: string, text: string, data: object|null}|null>} The reply, or
+     *   null when none came (queued while offline, stopped, signed out).
+     */
+    async ask(text) {
+      let reply = null;
+      const off = bus.on('message', (message) => {
+        if (message.role === 'assistant') reply = message;
+      });
+      try {
+        await chat.handleUserMessage(text);
+      } finally {
+        off();
+      }
+      return reply;
+    },
+
+    /**
+     * @param {string} name - See EMOTIONS in expressions.js.
+     * @param {{intensity?: number}} [options]
+     */
+    setEmotion(name, options) {
+      expressions.setEmotion(name, options);
+    },
+
+    /** @param {string} url - .glb, .gltf or .vrm. */
+    loadAvatar(url) {
+      return loadAvatar({ url });
+    },
+
+    /** @param {string} url - Endpoint of the current backend (no-op for the mock). */
+    setEndpoint(url) {
+      const key = API_URL_KEYS[config.backend];
+      if (!key) return;
+      config.backends[config.backend][key] = url;
+      // Set by the host app, so credentials may go there
+      auth.trust(url);
+      backend = createBackend(config, { auth });
+    },
+
+    /** Stop the reply in progress and the voice. */
+    stop() {
+      chat.cancelActiveReply();
+    },
+
+    /**
+     * Subscribe to 'message', 'state' and the other bus events (see events.js).
+     * @returns {function(): void} Unsubscribe.
+     */
+    on(type, handler) {
+      return bus.on(type, handler);
+    },
+
+    /** Stop rendering and listening and release the GPU resources. */
+    dispose() {
+      cancelAnimationFrame(frameId);
+      resizeObserver.disconnect();
+      chat.dispose();
+      settingsPanel.dispose();
+      speaker.dispose();
+      gaze?.dispose();
+      bodyAnimator?.dispose();
+      charts?.dispose();
+      captions.dispose();
+      display.dispose();
+      if (avatarModel) disposeAvatar(avatarModel);
+      quality.setStats(false);
+      renderer.dispose();
+    },
+  };
+}
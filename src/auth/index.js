@@ -0,0 +1,325 @@
+import { createPkcePair, randomString } from './pkce.js';
+
+/**
+ * Sign-in for the banking backend.
+ *
+ * Modes (`config.auth.mode`):
+ *   - 'none'  no credentials are sent (the default);
+ *   - 'token' a fixed bearer token from the config (for demos behind a proxy);
+ *   - 'oauth' OAuth2 authorization code + PKCE against `authorizeUrl`/`tokenUrl`.
+ *
+ * In 'oauth' mode `login()` redirects to the provider; when the browser comes
+ * back with `?code=...&state=...` the code is exchanged for tokens and the
+ * parameters are removed from the address bar. Tokens live in sessionStorage,
+ * so they end with the tab. Access tokens are refreshed shortly before they
+ * expire and again when the backend answers 401; when refreshing fails the
+ * user is signed out.
+ *
+ * Backends take the provider as their `auth` option (see backends/http.js):
+ * they call `headers(url)` for every request and `refresh()` after a 401 to a
+ * request that carried the token.
+ * Credentials only go to trusted origins: those in `options.origins` plus the
+ * ones the app vouches for with `trust(url)` (the backend URL the page
+ * configured, or an endpoint picked in the ⚙ panel once the user allowed it;
+ * those are remembered). They are never attached to plain-http URLs other
+ * than localhost either.
+ */
+
+// Refresh this long before the access token runs out
+const EXPIRY_MARGIN_MS = 30000;
+
+const PENDING_KEY = 'assistant.auth.pending';
+
+function isSecureUrl(url) {
+  try {
+    const { protocol, hostname } = new URL(url, window.location.href);
+    return protocol === 'https:' || ['localhost', '127.0.0.1', '[::1]'].includes(hostname);
+  } catch (error) {
+    return false;
+  }
+}
+
+function originOf(url) {
+  try {
+    return new URL(url, window.location.href).origin;
+  } catch (error) {
+    return null;
+  }
+}
+
+/** Display name from an OpenID id_token (claims only; the signature is the server's business). */
+function userFromIdToken(idToken) {
+  try {
+    const payload = idToken.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+    const claims = JSON.parse(new TextDecoder().decode(Uint8Array.from(atob(payload), (c) => c.charCodeAt(0))));
+    return { name: claims.name || claims.preferred_username || claims.email || claims.sub || '' };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * @param {object} options - `config.auth`.
+ */
+export function createAuth(options) {
+  const mode = options.mode || 'none';
+  const listeners = new Set();
+  const trusted = new Set((options.origins || []).map(originOf).filter(Boolean));
+  // Origins the user allowed, kept across visits
+  const rememberedKey = `${options.storageKey}.origins`;
+  let remembered = [];
+  try {
+    remembered = JSON.parse(localStorage.getItem(rememberedKey)) || [];
+  } catch (error) {
+    console.warn('Could not read the trusted origins:', error);
+  }
+  remembered.forEach((origin) => trusted.add(origin));
+  let session = null;
+  let refreshing = null;
+  let lastError = '';
+
+  const notify = () => {
+    for (const listener of listeners) listener();
+  };
+
+  function loadSession() {
+    try {
+      return JSON.parse(sessionStorage.getItem(options.storageKey)) || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  function saveSession(value) {
+    session = value;
+    try {
+      if (value) sessionStorage.setItem(options.storageKey, JSON.stringify(value));
+      else sessionStorage.removeItem(options.storageKey);
+    } catch (error) {
+      console.warn('Could not store the sign-in session:', error);
+    }
+    notify();
+  }
+
+  async function requestToken(params) {
+    const response = await fetch(options.tokenUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({ client_id: options.clientId, ...params }),
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok || !data.access_token) {
+      throw new Error(data.error_description || data.error || `Token endpoint error: ${response.status}`);
+    }
+    return {
+      accessToken: data.access_token,
+      // Providers may rotate the refresh token or keep the old one
+      refreshToken: data.refresh_token || params.refresh_token || null,
+      expiresAt: data.expires_in ? Date.now() + data.expires_in * 1000 : null,
+      user: userFromIdToken(data.id_token) || session?.user || null,
+    };
+  }
+
+  // This page, query included, so switches like `?auth=oauth` survive the round trip
+  const redirectUri = () => options.redirectUri || window.location.href.split('#')[0];
+
+  /** Finish a login redirect, if this page load is one. */
+  async function completeLogin() {
+    const url = new URL(window.location.href);
+    const code = url.searchParams.get('code');
+    const error = url.searchParams.get('error');
+    const state = url.searchParams.get('state');
+    const description = url.searchParams.get('error_description');
+    if (!state || (!code && !error)) return;
+
+    let pending = null;
+    try {
+      pending = JSON.parse(sessionStorage.getItem(PENDING_KEY));
+      sessionStorage.removeItem(PENDING_KEY);
+    } catch (storageError) {
+      // Treated as a state mismatch below
+    }
+
+    for (const key of ['code', 'state', 'error', 'error_description', 'session_state', 'iss']) {
+      url.searchParams.delete(key);
+    }
+    history.replaceState(history.state, '', url);
+
+    if (!pending || pending.state !== state) {
+      lastError = 'state mismatch';
+      console.error('Sign-in rejected: the state parameter does not match this browser session.');
+      return;
+    }
+    if (error) {
+      lastError = description || error;
+      console.error('Sign-in failed:', lastError);
+      return;
+    }
+
+    try {
+      saveSession(
+        await requestToken({
+          grant_type: 'authorization_code',
+          code,
+          redirect_uri: pending.redirectUri,
+          code_verifier: pending.verifier,
+        })
+      );
+    } catch (tokenError) {
+      lastError = tokenError.message;
+      console.error('Sign-in failed:', tokenError);
+    }
+  }
+
+  async function refresh() {
+    // Nothing to refresh with: keep the session, the caller reports the failure
+    if (mode !== 'oauth' || !session?.refreshToken) return false;
+    refreshing ??= requestToken({ grant_type: 'refresh_token', refresh_token: session.refreshToken })
+      .then((next) => {
+        saveSession(next);
+        return true;
+      })
+      .catch((error) => {
+        console.warn('Token refresh failed, signing out:', error);
+        saveSession(null);
+        return false;
+      })
+      .finally(() => {
+        refreshing = null;
+      });
+    return refreshing;
+  }
+
+  if (mode === 'oauth') session = loadSession();
+  const ready = mode === 'oauth' ? completeLogin() : Promise.resolve();
+
+  return {
+    /** Whether sign-in is required at all. */
+    enabled: mode !== 'none',
+
+    /** Whether the user signs in and out themselves (OAuth). */
+    interactive: mode === 'oauth',
+
+    /** Resolves once a login redirect has been handled. */
+    ready,
+
+    get signedIn() {
+      return mode === 'none' || mode === 'token' || Boolean(session);
+    },
+
+    /** `{ name }` of the signed-in user, when the provider tells us. */
+    get user() {
+      return session?.user || null;
+    },
+
+    /** Why the last sign-in attempt failed ('' if it didn't). */
+    get error() {
+      return lastError;
+    },
+
+    /** Start the OAuth redirect (no-op in the other modes). */
+    async login() {
+      if (mode !== 'oauth') return;
+      const { verifier, challenge } = await createPkcePair();
+      const state = randomString(16);
+      sessionStorage.setItem(PENDING_KEY, JSON.stringify({ state, verifier, redirectUri: redirectUri() }));
+
+      const url = new URL(options.authorizeUrl);
+      url.search = new URLSearchParams({
+        response_type: 'code',
+        client_id: options.clientId,
+        redirect_uri: redirectUri(),
+        scope: options.scope,
+        state,
+        code_challenge: challenge,
+        code_challenge_method: 'S256',
+      });
+      window.location.assign(url);
+    },
+
+    /** Forget the tokens and, if configured, revoke them at the provider. */
+    async logout() {
+      const ending = session;
+      saveSession(null);
+      if (!ending || !options.revokeUrl) return;
+      try {
+        await fetch(options.revokeUrl, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+          body: new URLSearchParams({
+            client_id: options.clientId,
+            token: ending.refreshToken || ending.accessToken,
+          }),
+        });
+      } catch (error) {
+        console.warn('Could not revoke the session:', error);
+      }
+    },
+
+    /**
+     * Headers to send with a request to `url`.
+     * @param {string} url
+     * @returns {Promise<object>}
+     */
+    async headers(url) {
+      if (mode === 'none') return {};
+      if (!isSecureUrl(url)) {
+        console.warn(`Not sending credentials to ${url}: use https.`);
+        return {};
+      }
+      if (!trusted.has(originOf(url))) {
+        console.warn(`Not sending credentials to ${url}: not a trusted origin (see auth.origins).`);
+        return {};
+      }
+      if (mode === 'token') return options.token ? { Authorization: `Bearer ${options.token}` } : {};
+
+      await ready;
+      if (session?.expiresAt && session.expiresAt - Date.now() < EXPIRY_MARGIN_MS) await refresh();
+      return session ? { Authorization: `Bearer ${session.accessToken}` } : {};
+    },
+
+    /**
+     * Whether credentials may go to `url` (ignoring the https check).
+     * @param {string} url
+     */
+    trusts(url) {
+      return trusted.has(originOf(url));
+    },
+
+    /**
+     * Allow credentials to be sent to the origin of `url`: for URLs the app
+     * itself configured, or ones the user confirmed (then `remember` keeps the
+     * choice for later visits). Never for a URL that came from a link.
+     * @param {string} url
+     * @param {{remember?: boolean}} [options]
+     */
+    trust(url, { remember = false } = {}) {
+      const origin = originOf(url);
+      if (!origin) return;
+      trusted.add(origin);
+      if (!remember || remembered.includes(origin)) return;
+      remembered.push(origin);
+      try {
+        localStorage.setItem(rememberedKey, JSON.stringify(remembered));
+      } catch (error) {
+        console.warn('Could not save the trusted origins:', error);
+      }
+    },
+
+    /**
+     * Get a new access token after the backend rejected the current one. The
+     * session is only ended when the provider refuses the refresh token.
+     * @returns {Promise<boolean>} True if the request is worth repeating.
+     */
+    refresh,
+
+    /**
+     * @param {function(): void} listener - Called when the user signs in or out.
+     * @returns {function(): void} Unsubscribe.
+     */
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+  };
+}
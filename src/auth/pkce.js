@@ -0,0 +1,27 @@
+/**
+ * PKCE helpers (RFC 7636) for the OAuth2 authorization-code flow.
+ */
+
+function base64url(bytes) {
+  let binary = '';
+  for (const byte of bytes) binary += String.fromCharCode(byte);
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Random URL-safe string (for the code verifier and `state`).
+ * @param {number} [bytes=32]
+ */
+export function randomString(bytes = 32) {
+  return base64url(crypto.getRandomValues(new Uint8Array(bytes)));
+}
+
+/**
+ * A fresh verifier and its S256 challenge.
+ * @returns {Promise<{verifier: string, challenge: string}>}
+ */
+export async function createPkcePair() {
+  const verifier = randomString(48);
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(verifier));
+  return { verifier, challenge: base64url(new Uint8Array(digest)) };
+}
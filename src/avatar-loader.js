@@ -0,0 +1,118 @@
+import * as THREE from 'three';
+import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
+import { VRMLoaderPlugin } from '@pixiv/three-vrm';
+import { findHumanoidBones } from './skeleton.js';
+import { t } from './i18n/index.js';
+
+/**
+ * Avatar model loading, framing and disposal.
+ */
+
+const loader = new GLTFLoader();
+// VRM files are glTF with extensions; the plugin exposes them as `gltf.userData.vrm`
+loader.register((parser) => new VRMLoaderPlugin(parser));
+
+/**
+ * Turn a loader error into something a person can act on.
+ */
+function describeLoadError(error) {
+  const message = String(error?.message || error || '');
+  if (/404/.test(message)) return t('avatar.notFound');
+  if (/40[13]/.test(message)) return t('avatar.denied');
+  if (/Failed to fetch|NetworkError|CORS/i.test(message)) {
+    return t('avatar.network');
+  }
+  if (/JSON|Unexpected token|magic|Unsupported asset/i.test(message)) {
+    return t('avatar.invalid');
+  }
+  return message || t('avatar.unknownError');
+}
+
+/**
+ * Load a GLB/glTF or VRM avatar.
+ *
+ * @param {string} url
+ * @param {object} [options]
+ * @param {function(number|null, number): void} [options.onProgress] - (fraction 0..1 or null if unknown, bytes loaded)
+ * @returns {Promise<object>} The GLTF result.
+ * @throws {Error} With a readable message; the original error is in `cause`.
+ */
+export async function loadAvatarModel(url, { onProgress } = {}) {
+  try {
+    return await loader.loadAsync(url, (event) => {
+      onProgress?.(event.lengthComputable && event.total ? event.loaded / event.total : null, event.loaded);
+    });
+  } catch (error) {
+    throw new Error(describeLoadError(error), { cause: error });
+  }
+}
+
+/**
+ * Place the model on the ground at the origin and point the camera at its face.
+ *
+ * @param {THREE.Object3D} model - Already added to the scene.
+ * @param {THREE.PerspectiveCamera} camera
+ * @param {OrbitControls} controls
+ * @param {THREE.Object3D|null} [headBone] - Known head bone (e.g. from a VRM humanoid); found by name otherwise.
+ * @returns {{ head: THREE.Object3D|null, headPosition: THREE.Vector3, height: number }}
+ */
+export function frameAvatar(model, camera, controls, headBone = null) {
+  model.updateMatrixWorld(true);
+  const box = new THREE.Box3().setFromObject(model);
+  const size = box.getSize(new THREE.Vector3());
+  const center = box.getCenter(new THREE.Vector3());
+
+  // Feet on the ground, centred on the origin
+  model.position.x -= center.x;
+  model.position.z -= center.z;
+  model.position.y -= box.min.y;
+  model.updateMatrixWorld(true);
+
+  const height = size.y;
+  const head = headBone || findHumanoidBones(model).head || null;
+  const headPosition = new THREE.Vector3();
+  if (head) {
+    head.getWorldPosition(headPosition);
+    // Bones sit at the base of the skull; aim a little higher, at the eyes
+    headPosition.y += height * 0.04;
+  } else {
+    headPosition.set(0, height * 0.92, 0);
+  }
+
+  // Frame the upper body: roughly the top half, with the face in the upper part of the view
+  const frameHeight = height * 0.5;
+  const distance = frameHeight / 2 / Math.tan(THREE.MathUtils.degToRad(camera.fov / 2));
+  const target = headPosition.clone().setY(headPosition.y - frameHeight * 0.2);
+
+  controls.target.copy(target);
+  camera.position.set(target.x, target.y, target.z + distance);
+  camera.near = Math.max(0.01, distance / 100);
+  camera.far = Math.max(100, distance * 50);
+  camera.updateProjectionMatrix();
+
+  controls.minDistance = distance * 0.5;
+  controls.maxDistance = distance * 1.25;
+  controls.update();
+
+  return { head, headPosition, height };
+}
+
+/**
+ * Remove a model from its parent and free its GPU resources.
+ */
+export function disposeAvatar(model) {
+  model.removeFromParent();
+  model.traverse((node) => {
+    if (node.isMesh) {
+      node.geometry?.dispose();
+      const materials = Array.isArray(node.material) ? node.material : [node.material];
+      for (const material of materials) {
+        if (!material) continue;
+        for (const value of Object.values(material)) {
+          if (value?.isTexture) value.dispose();
+        }
+        material.dispose();
+      }
+    }
+  });
+}
@@ -0,0 +1,56 @@
+import { createHttpAdapter } from './http.js';
+import { parseTransactions } from '../transactions.js';
+
+/**
+ * Adapter for the bank transactions query service.
+ * Request:  { query: "<user message>", language?: "es-ES", history?: [{ role, content }, ...] }
+ * Response: JSON; the reply text is taken from the first known text field.
+ *           Transaction lists (see transactions.js) are returned as `data` for
+ *           the chat to show as a table. `actions: [{ type, params }]` are run
+ *           on the client (see actions.js). Anything else is shown as a JSON
+ *           code block so nothing is lost.
+ * Streaming: set `stream: 'ndjson'` or `'sse'` in config; each event carries a
+ *           text fragment in `token`, `delta` or `text` (or is a bare string).
+ * Auth:     `Authorization: Bearer ...` when `config.auth` is set up (see auth/index.js).
+ */
+export function createBankAdapter(options) {
+  return createHttpAdapter({
+    name: 'bank',
+    url: options.url,
+    timeout: options.timeout,
+    idleTimeout: options.idleTimeout,
+    retries: options.retries,
+    retryDelay: options.retryDelay,
+    maxRetryDelay: options.maxRetryDelay,
+    stream: options.stream,
+    headers: () => ({ ...options.headers }),
+    // Bearer token from the sign-in provider (config.auth)
+    auth: options.auth,
+
+    // Optional fields only go along when set, so the plain `{ query }` shape still works
+    buildRequest: (message, { history, language }) => ({
+      query: message,
+      ...(language ? { language } : {}),
+      ...(history.length ? { history } : {}),
+    }),
+
+    extractReply: (data) => {
+      if (typeof data === 'string') return data;
+      if (!data) return '';
+      for (const key of ['answer', 'response', 'message', 'text', 'result']) {
+        if (typeof data[key] === 'string') return data[key];
+      }
+      if (parseTransactions(data) || Array.isArray(data.actions)) return '';
+      return `\`\`\`json\n${JSON.stringify(data, null, 2)}\n\`\`\``;
+    },
+
+    extractData: (data) => parseTransactions(data),
+
+    extractActions: (data) => (Array.isArray(data?.actions) ? data.actions : null),
+
+    extractDelta: (event) => {
+      if (typeof event === 'string') return event;
+      return event?.token ?? event?.delta ?? event?.text ?? '';
+    },
+  });
+}
@@ -0,0 +1,259 @@
+import { readStream } from './stream.js';
+
+/**
+ * Shared HTTP plumbing for chat backend adapters.
+ *
+ * Every adapter exposes the same shape:
+ *   {
+ *     name: string,
+ *     send(message, { signal, history, language, tools }) => Promise<{ text, data, actions, raw }>,
+ *     stream?(message, { signal, onToken, history, language, tools }) => Promise<{ text, data, actions, raw }>
+ *   }
+ *
+ * `stream` is only present when the adapter is configured for a streamed format.
+ * `onToken(delta, fullText)` is called for every text fragment as it arrives.
+ * `history` is the earlier conversation as `{ role, content }` messages, oldest first.
+ * `language` is the user's locale (BCP 47, e.g. "es-ES") to reply in.
+ * `tools` describes the client-side actions the reply may ask for (see actions.js).
+ * `data` is a structured result found in the response (e.g. parsed transactions), if any.
+ * `actions` are the `{ type, params }` the response asks the client to run (possibly none).
+ *
+ * `createHttpAdapter` builds that from the pieces that actually differ between
+ * backends: how the request body is shaped, which headers are sent, how the
+ * reply text is pulled out of the JSON, and how long to wait.
+ *
+ * Only failures the server says it didn't act on (408, 429, 503) are retried,
+ * with exponential backoff and jitter; `Retry-After` is honoured. A timeout, a
+ * dropped connection or a gateway error may come after the server already took
+ * the message, and a repeat could run a request twice, so those are reported
+ * instead. Errors carry `status` (when there was a response) and `offline` (no
+ * connection) for the caller.
+ */
+
+// The request was refused or never read, so it is safe to send again
+const RETRY_STATUSES = [408, 429, 503];
+
+const abortError = () => new DOMException('The operation was aborted.', 'AbortError');
+
+/**
+ * Resolve after `ms`, or reject with an AbortError as soon as `signal` aborts.
+ * @param {number} ms
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<void>}
+ */
+export function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(abortError());
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(abortError());
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/** Retry-After in ms (seconds or an HTTP date), or null. */
+function retryAfter(response) {
+  const value = response.headers.get('Retry-After');
+  if (!value) return null;
+  const ms = /^\d+$/.test(value) ? Number(value) * 1000 : Date.parse(value) - Date.now();
+  return Number.isFinite(ms) ? Math.max(0, ms) : null;
+}
+
+/**
+ * @param {object} options
+ * @param {string} options.name - Adapter id, used in logs and errors.
+ * @param {string|function(): string} options.url - Endpoint (or getter for it).
+ * @param {function(string, {stream: boolean, history: object[], language: string, tools: object[]}): object} options.buildRequest - Shapes the JSON body for a user message.
+ * @param {function(any): string} options.extractReply - Pulls the reply text out of the JSON response.
+ * @param {function(any): string} [options.extractDelta] - Pulls a text fragment out of one streamed event.
+ * @param {function(any): object|null} [options.extractData] - Pulls structured data out of a response or event.
+ * @param {function(any): object[]|null} [options.extractActions] - Pulls requested actions out of a response or event.
+ * @param {function(any[]): object[]} [options.extractStreamActions] - Pulls requested actions out of every event of
+ *   a finished stream, for formats that send them in fragments; replaces `extractActions` for streams.
+ * @param {'sse'|'ndjson'|false} [options.stream] - Streamed response format, or false for plain JSON.
+ * @param {function(): object} [options.headers] - Extra headers, evaluated per request.
+ * @param {object} [options.auth] - Sign-in provider (auth/index.js): supplies the Authorization
+ *   header and a new token when the server answers 401 to a request that carried one.
+ * @param {number} [options.timeout] - Milliseconds to wait for the response to start before aborting.
+ * @param {number} [options.idleTimeout] - Milliseconds a stream may go without an event before aborting.
+ * @param {number} [options.retries] - Extra attempts for retryable failures.
+ * @param {number} [options.retryDelay] - First backoff delay in ms; doubles on every retry.
+ * @param {number} [options.maxRetryDelay] - Upper bound for one backoff delay.
+ */
+export function createHttpAdapter({
+  name,
+  url,
+  buildRequest,
+  extractReply,
+  extractDelta,
+  extractData = () => null,
+  extractActions = () => null,
+  extractStreamActions = null,
+  stream = false,
+  headers = () => ({}),
+  auth = null,
+  timeout = 15000,
+  idleTimeout = 20000,
+  retries = 2,
+  retryDelay = 500,
+  maxRetryDelay = 8000,
+}) {
+  /**
+   * One attempt: POST the body and resolve once response headers arrive.
+   * The timeout keeps running while the body is read, so a server that sends
+   * headers and then stalls is still cut off. The returned `cleanup` must be
+   * called when the body has been consumed; `stopTimeout` hands over to
+   * another watchdog (streams have their own idle timeout); `abort` cancels
+   * reading the body.
+   */
+  async function attempt(body, signal) {
+    const target = typeof url === 'function' ? url() : url;
+    // Before the timer starts: this may have to refresh an expired token first
+    const authHeaders = auth ? await auth.headers(target) : {};
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+    const onAbort = () => controller.abort();
+    signal?.addEventListener('abort', onAbort);
+
+    const stopTimeout = () => clearTimeout(timer);
+    const cleanup = () => {
+      stopTimeout();
+      signal?.removeEventListener('abort', onAbort);
+    };
+
+    let response;
+    try {
+      response = await fetch(target, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...headers(),
+          ...authHeaders,
+        },
+        body: JSON.stringify(body),
+        signal: controller.signal,
+      });
+    } catch (error) {
+      cleanup();
+      if (signal?.aborted) throw error;
+      // Neither says whether the server got the request, so they aren't retried
+      if (error.name === 'AbortError') {
+        throw new Error(`${name} backend timed out after ${timeout} ms`);
+      }
+      throw Object.assign(new Error(`${name} backend unreachable: ${error.message}`, { cause: error }), {
+        offline: !navigator.onLine,
+      });
+    }
+
+    if (!response.ok) {
+      cleanup();
+      throw Object.assign(new Error(`API error: ${response.status} ${response.statusText}`), {
+        status: response.status,
+        // Whether a 401 rejected our token, or the request simply had none
+        authenticated: 'Authorization' in authHeaders,
+        retryable: RETRY_STATUSES.includes(response.status),
+        retryAfter: retryAfter(response),
+      });
+    }
+
+    return { response, cleanup, stopTimeout, abort: () => controller.abort() };
+  }
+
+  /** attempt() with backoff for retryable answers, and one new token after our token got a 401. */
+  async function post(body, signal) {
+    let refreshed = false;
+    for (let retry = 0; ; retry++) {
+      try {
+        return await attempt(body, signal);
+      } catch (error) {
+        if (error.status === 401 && error.authenticated && !refreshed) {
+          refreshed = true;
+          if (await auth.refresh()) {
+            retry--;
+            continue;
+          }
+        }
+        if (!error.retryable || retry >= retries) throw error;
+        // Rather fail now than leave the chat thinking for as long as the server asks
+        if (error.retryAfter > maxRetryDelay) throw error;
+        const backoff = Math.min(maxRetryDelay, retryDelay * 2 ** retry) * (0.5 + Math.random() / 2);
+        const delay = error.retryAfter ?? backoff;
+        console.warn(`[${name}] ${error.message}; retrying in ${Math.round(delay)} ms`);
+        await wait(delay, signal);
+      }
+    }
+  }
+
+  const adapter = {
+    name,
+
+    async send(message, { signal, history = [], language = '', tools = [] } = {}) {
+      const { response, cleanup } = await post(buildRequest(message, { stream: false, history, language, tools }), signal);
+      try {
+        const data = await response.json();
+        return { text: extractReply(data), data: extractData(data), actions: extractActions(data) || [], raw: data };
+      } catch (error) {
+        if (error.name !== 'AbortError' || signal?.aborted) throw error;
+        throw new Error(`${name} backend timed out after ${timeout} ms`);
+      } finally {
+        cleanup();
+      }
+    },
+  };
+
+  if (stream) {
+    adapter.stream = async (message, { signal, onToken, history = [], language = '', tools = [] } = {}) => {
+      const request = buildRequest(message, { stream: true, history, language, tools });
+      const { response, cleanup, stopTimeout, abort } = await post(request, signal);
+      const events = [];
+      const actions = [];
+      let text = '';
+      let data = null;
+
+      // A stream that stops sending is aborted, like a request that never answers
+      let idle = false;
+      let idleTimer = null;
+      const resetIdle = () => {
+        clearTimeout(idleTimer);
+        idleTimer = setTimeout(() => {
+          idle = true;
+          abort();
+        }, idleTimeout);
+      };
+
+      try {
+        // From here on the idle timeout watches the body, however long the reply
+        stopTimeout();
+        resetIdle();
+        for await (const event of readStream(response, stream)) {
+          resetIdle();
+          events.push(event);
+          // Structured results usually come in their own (often final) event
+          data = extractData(event) ?? data;
+          actions.push(...(extractActions(event) || []));
+          const delta = extractDelta(event);
+          if (delta) {
+            text += delta;
+            onToken?.(delta, text);
+          }
+        }
+      } catch (error) {
+        if (idle && !signal?.aborted) throw new Error(`${name} stream stalled for ${idleTimeout} ms`);
+        throw error;
+      } finally {
+        clearTimeout(idleTimer);
+        cleanup();
+      }
+
+      return { text, data, actions: extractStreamActions ? extractStreamActions(events) : actions, raw: events };
+    };
+  }
+
+  return adapter;
+}
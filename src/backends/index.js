@@ -0,0 +1,27 @@
+import { createBankAdapter } from './bank.js';
+import { createOpenAIAdapter } from './openai.js';
+import { createMockAdapter } from './mock.js';
+
+const ADAPTERS = {
+  bank: createBankAdapter,
+  openai: createOpenAIAdapter,
+  mock: createMockAdapter,
+};
+
+/** Names `config.backend` may take. */
+export const BACKENDS = Object.keys(ADAPTERS);
+
+/**
+ * Build the chat backend adapter selected by `config.backend`.
+ * `config.requests` (retries, timeouts) applies unless the backend overrides it.
+ * @param {object} config - Result of getRuntimeConfig().
+ * @param {object} [options]
+ * @param {object} [options.auth] - Sign-in provider from createAuth(), for backends that need one.
+ */
+export function createBackend(config, { auth } = {}) {
+  const factory = ADAPTERS[config.backend];
+  if (!factory) {
+    throw new Error(`Unknown chat backend "${config.backend}". Expected one of: ${BACKENDS.join(', ')}`);
+  }
+  return factory({ ...config.requests, ...config.backends[config.backend], auth });
+}
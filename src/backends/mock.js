@@ -0,0 +1,49 @@
+import { parseTransactions } from '../transactions.js';
+import { wait } from './http.js';
+
+/**
+ * Offline stand-in backend: echoes the message (or a canned reply) after a short delay.
+ * Useful for working on the avatar without network access.
+ *
+ * A canned reply can also be an object shaped like a bank response,
+ * e.g. `{ text: 'Here you go.', transactions: [...] }`, to try the table view,
+ * or `{ text: 'Hi!', actions: [{ type: 'playGesture', params: { name: 'wave' } }] }`.
+ */
+
+export function createMockAdapter(options) {
+  const replyFor = (message) => {
+    const lower = message.toLowerCase();
+    const match = Object.keys(options.replies || {}).find((key) => lower.includes(key.toLowerCase()));
+    const reply = match ? options.replies[match] : `You said: "${message}". This is the offline mock backend.`;
+    if (typeof reply === 'string') return { text: reply, data: null, actions: [] };
+    return { text: reply.text || '', data: parseTransactions(reply), actions: reply.actions || [] };
+  };
+
+  const adapter = {
+    name: 'mock',
+
+    async send(message, { signal } = {}) {
+      await wait(options.latency || 0, signal);
+      const { text, data, actions } = replyFor(message);
+      return { text, data, actions, raw: { text } };
+    },
+  };
+
+  if (options.stream) {
+    adapter.stream = async (message, { signal, onToken } = {}) => {
+      await wait(options.latency || 0, signal);
+
+      const reply = replyFor(message);
+      const words = reply.text.split(/(?<=\s)/);
+      let text = '';
+      for (const word of words) {
+        await wait(60, signal);
+        text += word;
+        onToken?.(word, text);
+      }
+      return { text, data: reply.data, actions: reply.actions, raw: { text } };
+    };
+  }
+
+  return adapter;
+}
@@ -0,0 +1,92 @@
+import { createHttpAdapter } from './http.js';
+
+/**
+ * Adapter for any OpenAI-compatible `/chat/completions` endpoint
+ * (OpenAI, Azure OpenAI proxies, vLLM, Ollama, LM Studio, ...).
+ * The user's language is passed on as a system instruction.
+ *
+ * Client-side actions (actions.js) are offered to the model as tools, and its
+ * tool calls come back as actions. When streaming, tool calls arrive in
+ * fragments (keyed by `index`) that are put back together once the stream ends.
+ */
+
+function languageInstruction(language) {
+  let name = language;
+  try {
+    name = new Intl.DisplayNames(['en'], { type: 'language' }).of(language) || language;
+  } catch (error) {
+    // Not a valid tag; use it as is
+  }
+  return `Reply in ${name}.`;
+}
+
+const toTool = ({ type, description, params }) => ({
+  type: 'function',
+  function: { name: type, description, parameters: params },
+});
+
+function toAction(call) {
+  try {
+    return { type: call.function.name, params: JSON.parse(call.function.arguments || '{}') };
+  } catch (error) {
+    // Malformed arguments; the registry reports it as invalid
+    return { type: call.function.name, params: null };
+  }
+}
+
+/** Join the streamed fragments of each tool call: the name comes first, then the arguments piece by piece. */
+function collectToolCalls(events) {
+  const calls = [];
+  for (const event of events) {
+    for (const { index = 0, function: fragment = {} } of event?.choices?.[0]?.delta?.tool_calls ?? []) {
+      calls[index] ??= { function: { name: '', arguments: '' } };
+      calls[index].function.name += fragment.name ?? '';
+      calls[index].function.arguments += fragment.arguments ?? '';
+    }
+  }
+  return calls.filter(Boolean).map(toAction);
+}
+
+export function createOpenAIAdapter(options) {
+  const baseUrl = options.baseUrl.replace(/\/+$/, '');
+
+  return createHttpAdapter({
+    name: 'openai',
+    url: `${baseUrl}/chat/completions`,
+    timeout: options.timeout,
+    idleTimeout: options.idleTimeout,
+    retries: options.retries,
+    retryDelay: options.retryDelay,
+    maxRetryDelay: options.maxRetryDelay,
+    stream: options.stream ? 'sse' : false,
+    headers: () => ({
+      ...(options.apiKey ? { Authorization: `Bearer ${options.apiKey}` } : {}),
+      ...options.headers,
+    }),
+
+    buildRequest: (message, { stream, history, language, tools }) => {
+      const messages = [];
+      if (options.systemPrompt) {
+        messages.push({ role: 'system', content: options.systemPrompt });
+      }
+      if (language) {
+        messages.push({ role: 'system', content: languageInstruction(language) });
+      }
+      messages.push(...history, { role: 'user', content: message });
+      return {
+        model: options.model,
+        messages,
+        stream,
+        ...(tools.length ? { tools: tools.map(toTool) } : {}),
+      };
+    },
+
+    extractReply: (data) => data?.choices?.[0]?.message?.content ?? '',
+
+    extractActions: (data) => data?.choices?.[0]?.message?.tool_calls?.map(toAction) ?? null,
+
+    extractDelta: (event) => event?.choices?.[0]?.delta?.content ?? '',
+
+    extractStreamActions: collectToolCalls,
+  });
+}
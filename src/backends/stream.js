@@ -0,0 +1,76 @@
+/**
+ * Incremental readers for streamed HTTP responses.
+ *
+ * Supports the two formats our backends use:
+ *   - 'sse'    Server-Sent Events (`data: ...` lines, events separated by a blank line)
+ *   - 'ndjson' newline-delimited JSON (one JSON value per line)
+ *
+ * Both yield parsed events as they arrive. SSE payloads that are not JSON are
+ * yielded as plain strings; the OpenAI-style `[DONE]` sentinel ends the stream.
+ */
+
+function parseData(data) {
+  try {
+    return JSON.parse(data);
+  } catch {
+    return data;
+  }
+}
+
+/**
+ * Parse one SSE event block into its joined `data:` payload (or null if it has none).
+ */
+function parseSSEEvent(block) {
+  const dataLines = [];
+  for (const line of block.split(/\r?\n/)) {
+    if (line.startsWith('data:')) {
+      dataLines.push(line.slice(5).replace(/^ /, ''));
+    }
+  }
+  return dataLines.length ? dataLines.join('\n') : null;
+}
+
+/**
+ * @param {Response} response - A fetch response with a readable body.
+ * @param {'sse'|'ndjson'} format
+ * @returns {AsyncGenerator<any>}
+ */
+export async function* readStream(response, format) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  const separator = format === 'sse' ? /\r?\n\r?\n/ : /\r?\n/;
+  let buffer = '';
+
+  // Returns false once the stream signalled completion
+  function* drain(parts) {
+    for (const part of parts) {
+      if (format === 'sse') {
+        const data = parseSSEEvent(part);
+        if (data === null) continue;
+        if (data.trim() === '[DONE]') return false;
+        yield parseData(data);
+      } else if (part.trim()) {
+        yield JSON.parse(part);
+      }
+    }
+    return true;
+  }
+
+  try {
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+      const parts = buffer.split(separator);
+      buffer = parts.pop();
+
+      if (!(yield* drain(parts))) return;
+    }
+
+    buffer += decoder.decode();
+    yield* drain([buffer]);
+  } finally {
+    reader.cancel().catch(() => {});
+  }
+}
@@ -0,0 +1,249 @@
+import * as THREE from 'three';
+
+/**
+ * Body animation: embedded clips plus a procedural layer on top.
+ *
+ * Each frame:
+ *   1. every driven bone is reset to its rest pose,
+ *   2. the AnimationMixer applies the clip for the current state (if the model
+ *      ships one), crossfading when the state changes,
+ *   3. procedural offsets are multiplied on: breathing, a slow weight shift,
+ *      a per-state posture (listening lean, thinking tilt) and conversational
+ *      gestures (nod, shrug, hand emphasis, wave).
+ *
+ * Calm mode (reduced motion) keeps breathing shallow, drops the weight shift and
+ * doesn't gesture along with speech; gestures asked for by name still play.
+ *
+ * Offsets are expressed in the VRM "normalized humanoid" convention (model faces
+ * +Z, arms along ±X); on other rigs they are approximate but stay small.
+ */
+
+export const BODY_STATES = ['idle', 'listening', 'thinking', 'talking'];
+
+// Clip name patterns per state
+const CLIP_PATTERNS = {
+  idle: /idle|breath|stand/i,
+  listening: /listen|attent/i,
+  thinking: /think|ponder/i,
+  talking: /talk|speak|convers/i,
+};
+
+// Posture per state: bone -> [x, y, z] radians
+const STATE_POSES = {
+  idle: {},
+  listening: { neck: [0.04, 0, 0.03], head: [0.03, 0, 0.04], upperChest: [0.02, 0, 0] },
+  thinking: { neck: [-0.03, 0.05, 0], head: [-0.05, 0.04, 0.07] },
+  talking: { upperChest: [0.01, 0, 0] },
+};
+
+const bell = (t) => Math.sin(Math.PI * t) ** 2;
+
+/**
+ * Gestures: `apply(t, add)` with t in 0..1 over `duration` seconds.
+ */
+const GESTURES = {
+  nod: {
+    duration: 0.9,
+    apply: (t, add) => add('head', 0.1 * Math.sin(t * Math.PI * 4) * bell(t), 0, 0),
+  },
+  shrug: {
+    duration: 1.2,
+    apply: (t, add) => {
+      const w = bell(t);
+      add('leftShoulder', 0, 0, 0.18 * w);
+      add('rightShoulder', 0, 0, -0.18 * w);
+      add('head', 0, 0, 0.08 * w);
+      add('leftLowerArm', 0, -0.25 * w, 0);
+      add('rightLowerArm', 0, 0.25 * w, 0);
+    },
+  },
+  emphasis: {
+    duration: 0.8,
+    apply: (t, add) => {
+      // Quick beat of the right forearm, with a small lean into it
+      const w = bell(t) * (1 + 0.4 * Math.sin(t * Math.PI * 3));
+      add('rightLowerArm', 0, 0.35 * w, 0);
+      add('rightHand', -0.2 * w, 0, 0);
+      add('upperChest', 0.02 * w, 0, 0);
+    },
+  },
+  wave: {
+    duration: 2.4,
+    apply: (t, add) => {
+      // Right arm up, forearm swinging side to side a few times
+      const w = Math.min(1, Math.sin(Math.PI * t) * 2.5);
+      add('rightUpperArm', 0, 0, -1.2 * w);
+      add('rightLowerArm', 0, 0, (-0.9 + 0.35 * Math.sin(t * Math.PI * 8)) * w);
+      add('head', 0, 0, 0.05 * w);
+    },
+  },
+};
+
+/** Gestures that can be started with `gesture(name)`. */
+export const GESTURE_NAMES = Object.keys(GESTURES);
+
+/**
+ * Pick a gesture that fits a sentence about to be spoken (or null).
+ */
+export function gestureForSentence(text) {
+  const lower = text.toLowerCase();
+  if (/\b(not sure|maybe|perhaps|i don't know|hard to say|it depends)\b/.test(lower)) return 'shrug';
+  if (/^(yes|sure|of course|absolutely|right|exactly|correct|certainly)\b/.test(lower)) return 'nod';
+  if (/\d|\b(most|total|highest|lowest|important|definitely|really)\b/.test(lower)) return 'emphasis';
+  return Math.random() < 0.35 ? 'emphasis' : null;
+}
+
+/**
+ * @param {object} options
+ * @param {THREE.Object3D} options.model
+ * @param {Object<string, THREE.Object3D>} options.bones - From findHumanoidBones().
+ * @param {THREE.AnimationClip[]} [options.clips] - Embedded animations.
+ * @param {number} [options.fadeTime=0.5] - Crossfade duration between state clips.
+ * @param {boolean} [options.calm=false] - Reduced motion.
+ */
+export function createBodyAnimator({ model, bones, clips = [], fadeTime = 0.5, calm = false }) {
+  const driven = Object.entries(bones).filter(([name]) => name !== 'leftEye' && name !== 'rightEye');
+  const restPose = new Map(driven.map(([, bone]) => [bone, bone.quaternion.clone()]));
+
+  // --- Clips ---
+  const mixer = clips.length ? new THREE.AnimationMixer(model) : null;
+  const actions = {};
+  if (mixer) {
+    for (const state of BODY_STATES) {
+      const clip = clips.find((c) => CLIP_PATTERNS[state].test(c.name));
+      if (clip) actions[state] = mixer.clipAction(clip);
+    }
+    // A model with a single unnamed clip: treat it as idle
+    if (!Object.keys(actions).length) actions.idle = mixer.clipAction(clips[0]);
+  }
+
+  let state = 'idle';
+  let currentAction = null;
+  let clock = 0;
+  const gestures = [];
+
+  // Smoothed posture weights per state
+  const poseWeights = Object.fromEntries(BODY_STATES.map((s) => [s, s === 'idle' ? 1 : 0]));
+
+  // Per-frame offsets: bone name -> Euler components
+  const offsets = Object.fromEntries(driven.map(([name]) => [name, new THREE.Vector3()]));
+  const add = (name, x, y, z) => {
+    const offset = offsets[name];
+    if (offset) {
+      offset.x += x;
+      offset.y += y;
+      offset.z += z;
+    }
+  };
+
+  const euler = new THREE.Euler();
+  const quaternion = new THREE.Quaternion();
+
+  function playStateClip() {
+    if (!mixer) return;
+    const next = actions[state] || actions.idle || null;
+    if (next === currentAction) return;
+
+    if (next) {
+      next.reset().setEffectiveWeight(1).fadeIn(fadeTime).play();
+    }
+    currentAction?.fadeOut(fadeTime);
+    currentAction = next;
+  }
+
+  playStateClip();
+
+  return {
+    get state() {
+      return state;
+    },
+
+    /** Switch between idle / listening / thinking / talking. */
+    setState(next) {
+      if (!BODY_STATES.includes(next) || next === state) return;
+      state = next;
+      playStateClip();
+    },
+
+    /** Start a named gesture ('nod', 'shrug', 'emphasis', 'wave'). */
+    gesture(name) {
+      if (!GESTURES[name]) return;
+      // Don't stack the same gesture
+      if (gestures.some((g) => g.name === name)) return;
+      gestures.push({ name, start: clock });
+    },
+
+    /** Reduced motion on/off. */
+    setCalm(value) {
+      calm = value;
+    },
+
+    /** Hook for speech: maybe gesture along with the sentence. */
+    onSentence(text) {
+      if (calm) return;
+      const name = gestureForSentence(text);
+      if (name) this.gesture(name);
+    },
+
+    update(dt) {
+      clock += dt;
+
+      // 1. Rest pose, 2. clips
+      for (const [bone, rest] of restPose) bone.quaternion.copy(rest);
+      mixer?.update(dt);
+
+      // 3. Procedural layer
+      for (const name in offsets) offsets[name].set(0, 0, 0);
+
+      // Breathing (~15 breaths/min), a little deeper while talking
+      const breathDepth = (state === 'talking' ? 1.3 : 1) * (calm ? 0.5 : 1);
+      const breath = Math.sin(clock * Math.PI * 2 * 0.25) * breathDepth;
+      add('chest', -0.012 * breath, 0, 0);
+      add('upperChest', -0.01 * breath, 0, 0);
+      add('leftShoulder', 0, 0, 0.008 * breath);
+      add('rightShoulder', 0, 0, -0.008 * breath);
+
+      // Slow weight shift, left to right, when no clip is doing the idle motion
+      if (!currentAction && !calm) {
+        const sway = Math.sin(clock * Math.PI * 2 * 0.07);
+        add('hips', 0, 0.01 * sway, 0.015 * sway);
+        add('spine', 0, 0, -0.01 * sway);
+        add('neck', 0, 0, -0.006 * sway);
+      }
+
+      // State postures, blended
+      for (const name of BODY_STATES) {
+        const target = name === state ? 1 : 0;
+        poseWeights[name] += (target - poseWeights[name]) * (1 - Math.exp(-4 * dt));
+        const weight = poseWeights[name];
+        if (weight < 0.001) continue;
+        for (const [bone, [x, y, z]] of Object.entries(STATE_POSES[name])) {
+          add(bone, x * weight, y * weight, z * weight);
+        }
+      }
+
+      // Gestures
+      for (let i = gestures.length - 1; i >= 0; i--) {
+        const { name, start } = gestures[i];
+        const t = (clock - start) / GESTURES[name].duration;
+        if (t >= 1) {
+          gestures.splice(i, 1);
+          continue;
+        }
+        GESTURES[name].apply(t, add);
+      }
+
+      for (const [name, bone] of driven) {
+        const { x, y, z } = offsets[name];
+        if (x === 0 && y === 0 && z === 0) continue;
+        quaternion.setFromEuler(euler.set(x, y, z));
+        bone.quaternion.multiply(quaternion);
+      }
+    },
+
+    dispose() {
+      mixer?.stopAllAction();
+      mixer?.uncacheRoot(model);
+    },
+  };
+}
@@ -0,0 +1,480 @@
+import * as THREE from 'three';
+import { t } from './i18n/index.js';
+import { formatMoney, formatDate } from './transactions.js';
+
+/**
+ * 3D charts of transaction results, shown beside the avatar.
+ *
+ * A result from parseTransactions() is turned into one of three series:
+ *   category   spending by category  (pie by default)
+ *   merchants  top merchants         (bar)
+ *   balance    balance over time     (line; the running total of the amounts,
+ *              starting from zero at the beginning of the period)
+ * `pickChart` chooses the one that says the most about a given result.
+ *
+ * Charts are built in a unit box facing the camera and placed in camera space
+ * every frame, on the side away from the chat, so they stay beside the avatar
+ * whatever the container's size. They grow in when shown and shrink away when
+ * replaced or cleared (or just appear and go, in calm mode). Hovering a bar,
+ * slice or point shows a tooltip (raycasting against the chart's meshes).
+ */
+
+export const CHART_TYPES = ['bar', 'pie', 'line'];
+
+const PALETTE = ['#4e79a7', '#f28e2b', '#e15759', '#76b7b2', '#59a14f', '#edc948', '#b07aa1', '#ff9da7'];
+const APPEAR_TIME = 0.9; // seconds
+const LEAVE_TIME = 0.4;
+// Plot area inside the unit box (x -0.5..0.5, y -0.4..0.4); the title sits above it
+const PLOT = { left: -0.44, right: 0.44, bottom: -0.3, top: 0.24 };
+
+const clamp01 = (value) => THREE.MathUtils.clamp(value, 0, 1);
+const easeOut = (x) => 1 - (1 - x) ** 3;
+
+// Outgoing money; when a result has no negative amounts, every row counts as spending
+function spending(rows) {
+  const debits = rows.filter((row) => row.amount < 0);
+  return (debits.length ? debits : rows).map((row) => ({ ...row, amount: Math.abs(row.amount) }));
+}
+
+function sumBy(rows, key) {
+  const sums = new Map();
+  for (const row of rows) {
+    const label = key(row);
+    sums.set(label, (sums.get(label) || 0) + row.amount);
+  }
+  return [...sums].map(([label, value]) => ({ label, value })).sort((a, b) => b.value - a.value);
+}
+
+/**
+ * @param {object} result - From parseTransactions().
+ * @param {number} [limit=6] - The smallest categories beyond this are summed into "Other".
+ * @returns {{label: string, value: number}[]}
+ */
+export function spendingByCategory(result, limit = 6) {
+  const items = sumBy(spending(result.rows), (row) => row.category || t('chart.uncategorized'));
+  if (items.length <= limit) return items;
+  const other = items.slice(limit - 1).reduce((sum, item) => sum + item.value, 0);
+  return [...items.slice(0, limit - 1), { label: t('chart.other'), value: other }];
+}
+
+/**
+ * @param {object} result - From parseTransactions().
+ * @param {number} [limit=6]
+ * @returns {{label: string, value: number}[]}
+ */
+export function topMerchants(result, limit = 6) {
+  return sumBy(spending(result.rows), (row) => row.description || t('chart.unknown')).slice(0, limit);
+}
+
+/**
+ * Running total per day, oldest first (rows without a date are left out).
+ * @param {object} result - From parseTransactions().
+ * @returns {{label: string, value: number, time: number}[]}
+ */
+export function balanceOverTime(result) {
+  const days = new Map();
+  for (const row of result.rows) {
+    if (row.date === null) continue;
+    const day = new Date(row.date).setHours(0, 0, 0, 0);
+    days.set(day, (days.get(day) || 0) + row.amount);
+  }
+  let balance = 0;
+  return [...days]
+    .sort(([a], [b]) => a - b)
+    .map(([time, amount]) => {
+      balance += amount;
+      return { label: formatDate(time), value: balance, time };
+    });
+}
+
+export const CHARTS = {
+  category: { type: 'pie', title: 'chart.category', series: spendingByCategory },
+  merchants: { type: 'bar', title: 'chart.merchants', series: topMerchants },
+  balance: { type: 'line', title: 'chart.balance', series: balanceOverTime },
+};
+
+/**
+ * The chart that fits a result best, or null for a result too small to chart.
+ * @param {object} result - From parseTransactions().
+ * @returns {string|null} A key of CHARTS.
+ */
+export function pickChart(result) {
+  const distinct = (key) => new Set(result.rows.map(key).filter((value) => value !== null && value !== '')).size;
+  if (distinct((row) => row.category) >= 2) return 'category';
+  if (distinct((row) => (row.date === null ? null : new Date(row.date).toDateString())) >= 3) return 'balance';
+  if (distinct((row) => row.description) >= 2) return 'merchants';
+  return null;
+}
+
+/** Text on a transparent plane, `height` world units tall (narrowed to `maxWidth`). */
+function createLabel(text, { height = 0.05, maxWidth = 1, color = '#ffffff', weight = 'normal' } = {}) {
+  const fontSize = 64;
+  const font = `${weight} ${fontSize}px system-ui, sans-serif`;
+  const canvas = document.createElement('canvas');
+  const context = canvas.getContext('2d');
+  context.font = font;
+  canvas.width = Math.ceil(context.measureText(text).width) + 16;
+  canvas.height = Math.ceil(fontSize * 1.3);
+  // Resizing the canvas resets the context
+  context.font = font;
+  context.fillStyle = color;
+  context.textAlign = 'center';
+  context.textBaseline = 'middle';
+  context.fillText(text, canvas.width / 2, canvas.height / 2);
+
+  const texture = new THREE.CanvasTexture(canvas);
+  texture.colorSpace = THREE.SRGBColorSpace;
+  const aspect = canvas.width / canvas.height;
+  const width = Math.min(height * aspect, maxWidth);
+  return new THREE.Mesh(
+    new THREE.PlaneGeometry(width, width / aspect),
+    new THREE.MeshBasicMaterial({ map: texture, transparent: true, depthWrite: false, toneMapped: false })
+  );
+}
+
+const shorten = (text, length = 14) => (text.length > length ? `${text.slice(0, length - 1)}…` : text);
+
+const solid = (color) => new THREE.MeshStandardMaterial({ color, roughness: 0.45, metalness: 0.1 });
+
+function createAxis(y) {
+  const axis = new THREE.Mesh(
+    new THREE.BoxGeometry(PLOT.right - PLOT.left, 0.004, 0.004),
+    new THREE.MeshBasicMaterial({ color: '#ffffff', transparent: true, opacity: 0.5, toneMapped: false })
+  );
+  axis.position.set(0, y, 0.01);
+  return axis;
+}
+
+// Each builder adds its meshes to `group` and returns the hover targets and an
+// `animate(progress)` that draws the chart grown to `progress` (0..1)
+
+function buildBars(group, items) {
+  const slot = (PLOT.right - PLOT.left) / items.length;
+  const max = Math.max(...items.map((item) => item.value)) || 1;
+  const bars = items.map((item, i) => {
+    const geometry = new THREE.BoxGeometry(slot * 0.6, 1, 0.06);
+    // Grow from the base
+    geometry.translate(0, 0.5, 0);
+    const bar = new THREE.Mesh(geometry, solid(PALETTE[i % PALETTE.length]));
+    bar.position.set(PLOT.left + slot * (i + 0.5), PLOT.bottom, 0.03);
+    bar.userData.item = item;
+    bar.userData.height = Math.max(0.004, (item.value / max) * (PLOT.top - PLOT.bottom));
+    group.add(bar);
+
+    const label = createLabel(shorten(item.label), { height: 0.035, maxWidth: slot * 0.95 });
+    label.position.set(bar.position.x, PLOT.bottom - 0.04, 0.01);
+    group.add(label);
+    return bar;
+  });
+  group.add(createAxis(PLOT.bottom));
+
+  return {
+    targets: bars,
+    animate(progress) {
+      bars.forEach((bar, i) => {
+        // Left to right, each bar a little after the previous one
+        const local = clamp01((progress - (i / bars.length) * 0.3) / 0.7);
+        bar.scale.y = Math.max(1e-4, easeOut(local) * bar.userData.height);
+      });
+    },
+  };
+}
+
+function buildPie(group, items) {
+  const radius = 0.26;
+  const center = new THREE.Vector2(-0.2, -0.04);
+  const total = items.reduce((sum, item) => sum + item.value, 0) || 1;
+
+  let start = 0;
+  const slices = items.map((item, i) => {
+    const length = (item.value / total) * Math.PI * 2;
+    const segments = Math.max(3, Math.ceil((64 * length) / (Math.PI * 2)));
+    // Starting at the top; the cylinder's axis is turned towards the camera
+    const geometry = new THREE.CylinderGeometry(radius, radius, 0.05, segments, 1, false, Math.PI + start, length);
+    geometry.rotateX(Math.PI / 2);
+    const slice = new THREE.Mesh(geometry, solid(PALETTE[i % PALETTE.length]));
+    slice.position.set(center.x, center.y, 0.03);
+    slice.userData.item = item;
+    slice.userData.from = start / (Math.PI * 2);
+    group.add(slice);
+    start += length;
+
+    // Legend on the right
+    const y = 0.18 - i * 0.075;
+    const swatch = new THREE.Mesh(new THREE.PlaneGeometry(0.035, 0.035), solid(PALETTE[i % PALETTE.length]));
+    swatch.position.set(0.14, y, 0.01);
+    const label = createLabel(shorten(item.label, 18), { height: 0.04, maxWidth: 0.28 });
+    label.geometry.computeBoundingBox();
+    label.position.set(0.18 - label.geometry.boundingBox.min.x, y, 0.01);
+    group.add(swatch, label);
+    return slice;
+  });
+
+  return {
+    targets: slices,
+    animate(progress) {
+      for (const slice of slices) {
+        // Slices pop in one after another around the circle
+        slice.scale.setScalar(Math.max(1e-4, easeOut(clamp01((progress * 1.3 - slice.userData.from) / 0.3))));
+      }
+    },
+  };
+}
+
+function buildLine(group, items) {
+  const values = items.map((item) => item.value);
+  const low = Math.min(0, ...values);
+  const high = Math.max(0, ...values);
+  const timed = items.every((item) => item.time !== undefined);
+  const first = timed ? items[0].time : 0;
+  const span = (timed ? items[items.length - 1].time - first : items.length - 1) || 1;
+
+  const toY = (value) => PLOT.bottom + ((value - low) / (high - low || 1)) * (PLOT.top - PLOT.bottom);
+  const points = items.map((item, i) => {
+    const x = PLOT.left + (((timed ? item.time : i) - first) / span) * (PLOT.right - PLOT.left);
+    return new THREE.Vector3(x, toY(item.value), 0.03);
+  });
+
+  const path = new THREE.CurvePath();
+  for (let i = 1; i < points.length; i++) path.add(new THREE.LineCurve3(points[i - 1], points[i]));
+  const radialSegments = 6;
+  const tube = new THREE.Mesh(
+    new THREE.TubeGeometry(path, Math.max(16, (points.length - 1) * 6), 0.007, radialSegments),
+    solid(PALETTE[0])
+  );
+  group.add(tube);
+  if (low < 0 && high > 0) group.add(createAxis(toY(0)));
+  group.add(createAxis(PLOT.bottom));
+
+  const dots = points.map((point, i) => {
+    const dot = new THREE.Mesh(new THREE.SphereGeometry(0.016, 12, 8), solid(PALETTE[1]));
+    dot.position.copy(point);
+    dot.userData.item = items[i];
+    dot.userData.from = (point.x - PLOT.left) / (PLOT.right - PLOT.left);
+    group.add(dot);
+    return dot;
+  });
+
+  for (const [item, x] of [[items[0], PLOT.left], [items[items.length - 1], PLOT.right]]) {
+    const label = createLabel(item.label, { height: 0.035, maxWidth: 0.3 });
+    label.position.set(x, PLOT.bottom - 0.04, 0.01);
+    group.add(label);
+  }
+
+  const indexCount = tube.geometry.index.count;
+  const step = radialSegments * 6; // indices per tube segment
+  return {
+    targets: dots,
+    animate(progress) {
+      const drawn = easeOut(progress);
+      // Draw the tube from the left, segment by segment
+      tube.geometry.setDrawRange(0, Math.ceil((indexCount * drawn) / step) * step);
+      for (const dot of dots) dot.scale.setScalar(drawn >= dot.userData.from ? 1 : 1e-4);
+    },
+  };
+}
+
+const BUILDERS = { bar: buildBars, pie: buildPie, line: buildLine };
+
+function disposeChart(group) {
+  group.removeFromParent();
+  group.traverse((node) => {
+    if (!node.isMesh) return;
+    node.geometry.dispose();
+    node.material.map?.dispose();
+    node.material.dispose();
+  });
+}
+
+/**
+ * @param {object} options
+ * @param {THREE.Scene} options.scene
+ * @param {THREE.Camera} options.camera
+ * @param {HTMLCanvasElement} options.domElement - Receives the pointer for tooltips.
+ * @param {number} [options.maxItems=6] - Bars / slices per chart.
+ * @param {boolean} [options.calm=false] - Reduced motion: no grow / shrink animation.
+ */
+export function createCharts({ scene, camera, domElement, maxItems = 6, calm = false }) {
+  // Avatar head and height, from frameAvatar()
+  const anchor = new THREE.Vector3(0, 1.55, 0);
+  let avatarHeight = 1.7;
+
+  let current = null;
+  const leaving = new Set();
+  let hovered = null;
+
+  const raycaster = new THREE.Raycaster();
+  const pointer = new THREE.Vector2();
+  let tooltip = null;
+
+  // Beside the avatar, on the side away from the chat (which sits at the inline end)
+  function layout(chart) {
+    const distance = Math.max(camera.near * 2, camera.position.distanceTo(anchor) - avatarHeight * 0.05);
+    const halfHeight = Math.tan(THREE.MathUtils.degToRad(camera.fov / 2)) * distance;
+    const halfWidth = halfHeight * camera.aspect;
+    const size = Math.min(halfHeight * 0.8, halfWidth * 0.7, avatarHeight * 0.35);
+    const offset = Math.min(halfWidth - size * 0.6, avatarHeight * 0.15 + size * 0.5);
+    chart.group.position.set(chart.side * offset, halfHeight * 0.1, -distance).applyMatrix4(camera.matrixWorld);
+    chart.group.quaternion.copy(camera.quaternion);
+    chart.group.scale.setScalar(size);
+  }
+
+  function setHovered(mesh) {
+    if (hovered === mesh) return;
+    hovered?.material.emissive.setScalar(0);
+    hovered = mesh;
+    hovered?.material.emissive.copy(hovered.material.color).multiplyScalar(0.35);
+  }
+
+  function hideTooltip() {
+    setHovered(null);
+    if (tooltip) tooltip.hidden = true;
+  }
+
+  const onPointerMove = (event) => {
+    if (!current) return;
+    const rect = domElement.getBoundingClientRect();
+    pointer.set(
+      ((event.clientX - rect.left) / rect.width) * 2 - 1,
+      -((event.clientY - rect.top) / rect.height) * 2 + 1
+    );
+    raycaster.setFromCamera(pointer, camera);
+    const hit = raycaster.intersectObjects(current.targets, false)[0];
+    if (!hit) return hideTooltip();
+
+    setHovered(hit.object);
+    if (!tooltip) {
+      tooltip = document.createElement('div');
+      tooltip.className = 'chart-tooltip';
+      tooltip.setAttribute('aria-hidden', 'true');
+      (domElement.parentElement || document.body).appendChild(tooltip);
+    }
+    tooltip.textContent = current.describe(hit.object.userData.item);
+    tooltip.style.left = `${event.clientX - rect.left + 12}px`;
+    tooltip.style.top = `${event.clientY - rect.top - 28}px`;
+    tooltip.hidden = false;
+  };
+
+  domElement.addEventListener('pointermove', onPointerMove);
+  domElement.addEventListener('pointerleave', hideTooltip);
+
+  function clear() {
+    hideTooltip();
+    if (current) leaving.add(current);
+    current = null;
+  }
+
+  return {
+    /**
+     * Chart a transaction result, replacing the one shown.
+     * @param {object} result - From parseTransactions().
+     * @param {{kind?: string, type?: string}} [options] - A key of CHARTS (default: pickChart) and
+     *   one of CHART_TYPES (default: the kind's own).
+     * @returns {{kind: string, type: string}|null} What was shown; null if the result has too little to chart.
+     */
+    show(result, { kind = pickChart(result), type } = {}) {
+      const spec = CHARTS[kind];
+      if (!spec) return null;
+      const items = spec.series(result, maxItems);
+      if (items.length < 2) return null;
+      type = BUILDERS[type] ? type : spec.type;
+
+      clear();
+      const group = new THREE.Group();
+      group.name = `chart:${kind}`;
+      const panel = new THREE.Mesh(
+        new THREE.PlaneGeometry(1.04, 0.86),
+        new THREE.MeshBasicMaterial({ color: '#000000', transparent: true, opacity: 0.35, depthWrite: false, toneMapped: false })
+      );
+      const title = createLabel(t(spec.title), { height: 0.065, maxWidth: 0.92, weight: 'bold' });
+      title.position.set(0, 0.34, 0.01);
+      group.add(panel, title);
+
+      const total = items.reduce((sum, item) => sum + item.value, 0);
+      const money = (value) => formatMoney(value, result.currency);
+      current = {
+        kind,
+        type,
+        group,
+        items,
+        progress: 0,
+        side: getComputedStyle(domElement).direction === 'rtl' ? 1 : -1,
+        describe: (item) =>
+          type === 'pie' && total
+            ? `${item.label}: ${money(item.value)} (${Math.round((item.value / total) * 100)}%)`
+            : `${item.label}: ${money(item.value)}`,
+        ...BUILDERS[type](group, items),
+      };
+      current.animate(0);
+      layout(current);
+      scene.add(group);
+      return { kind, type };
+    },
+
+    /** Shrink the current chart away. */
+    clear,
+
+    /** Reduced motion on/off. */
+    setCalm(value) {
+      calm = value;
+    },
+
+    get visible() {
+      return current !== null;
+    },
+
+    /** Middle of the current chart (world space), for the avatar to look at. */
+    get focusPoint() {
+      return current?.group.position ?? null;
+    },
+
+    /**
+     * Whether `text` names something on the current chart (a category, merchant, ...),
+     * i.e. the conversation is still about it.
+     * @param {string} text
+     */
+    mentions(text) {
+      const lower = text.toLowerCase();
+      return Boolean(current?.items.some((item) => lower.includes(item.label.toLowerCase())));
+    },
+
+    /**
+     * Follow a newly framed avatar.
+     * @param {THREE.Vector3} headPosition
+     * @param {number} height
+     */
+    place(headPosition, height) {
+      anchor.copy(headPosition);
+      avatarHeight = height;
+    },
+
+    /** @param {number} dt */
+    update(dt) {
+      if (current) {
+        current.progress = calm ? 1 : Math.min(1, current.progress + dt / APPEAR_TIME);
+        current.animate(current.progress);
+        layout(current);
+      }
+      for (const chart of leaving) {
+        chart.progress = calm ? 0 : chart.progress - dt / LEAVE_TIME;
+        if (chart.progress <= 0) {
+          leaving.delete(chart);
+          disposeChart(chart.group);
+          continue;
+        }
+        chart.animate(chart.progress);
+        layout(chart);
+        chart.group.scale.multiplyScalar(easeOut(chart.progress));
+      }
+    },
+
+    dispose() {
+      clear();
+      for (const chart of leaving) disposeChart(chart.group);
+      leaving.clear();
+      domElement.removeEventListener('pointermove', onPointerMove);
+      domElement.removeEventListener('pointerleave', hideTooltip);
+      tooltip?.remove();
+    },
+  };
+}
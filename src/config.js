@@ -0,0 +1,277 @@
+/**
+ * Runtime configuration
+ *
+ * Defaults live here. A host page can override any of them by defining
+ * `window.ASSISTANT_CONFIG` before `src/main.js` loads, e.g.
+ *
+ *   <script>
+ *     window.ASSISTANT_CONFIG = {
+ *       backend: 'openai',
+ *       backends: { openai: { baseUrl: 'https://staging.example.com/v1', apiKey: '...' } },
+ *     };
+ *   </script>
+ *
+ * For quick switching, `?backend=mock` in the page URL picks the adapter (an
+ * unknown name is ignored with a warning), `?tts=server` turns on server-side
+ * speech, `?avatar=<url>` loads another model, `?auth=oauth` turns on sign-in
+ * and `?lang=es` switches the language. A
+ * language picked in the Menu is remembered in localStorage and applies unless
+ * the URL says otherwise.
+ * Preferences from the ⚙ panel (voice, rate, exposure, API URL, ...) are
+ * layered on top by settings.js, which also takes them from the URL, all but
+ * the API URL: a link must not be able to send the user's questions elsewhere.
+ */
+import { LANGUAGE_STORAGE_KEY } from './i18n/index.js';
+import { BACKENDS } from './backends/index.js';
+
+export const DEFAULT_CONFIG = {
+  // Which adapter in `backends` to use: 'bank' | 'openai' | 'mock'
+  backend: 'bank',
+
+  // UI, speech and reply language: 'en' | 'es' | 'fr' | 'ar' (or a tag like 'en-GB');
+  // empty = the browser's language
+  language: '',
+
+  backends: {
+    bank: {
+      url: 'https://18.208.218.35:443/bank/transactions/query/',
+      timeout: 15000,
+      // Streamed reply format: false | 'ndjson' | 'sse'
+      stream: false,
+      // Optional auth, e.g. { Authorization: 'Bearer ...' }
+      headers: {},
+    },
+    openai: {
+      baseUrl: 'https://api.openai.com/v1',
+      apiKey: '',
+      model: 'gpt-4o-mini',
+      systemPrompt: 'You are a friendly personal banking assistant. Keep answers short and conversational.',
+      timeout: 30000,
+      stream: true,
+      headers: {},
+    },
+    mock: {
+      // Simulated network latency in ms
+      latency: 400,
+      // Emit the reply word by word, like a streamed backend
+      stream: true,
+      // Optional canned replies, matched by lowercase substring of the query, e.g.
+      // { hello: { text: 'Hi!', actions: [{ type: 'playGesture', params: { name: 'wave' } }] } }
+      replies: {},
+    },
+  },
+
+  // Request handling shared by the HTTP backends (each backend can override these)
+  requests: {
+    // Extra attempts after a 408/429/503 (the server didn't act on the request), with exponential backoff
+    retries: 2,
+    retryDelay: 500,
+    maxRetryDelay: 8000,
+    // A streamed reply that sends nothing for this long (ms) is abandoned
+    idleTimeout: 20000,
+  },
+
+  // Sign-in for the bank backend (see auth/index.js)
+  auth: {
+    // 'none' | 'token' (fixed bearer token) | 'oauth' (authorization code + PKCE)
+    mode: 'none',
+    token: '',
+    // OAuth2 provider; the defaults match `npm run oauth-mock`
+    authorizeUrl: 'http://localhost:8788/authorize',
+    tokenUrl: 'http://localhost:8788/token',
+    // Optional RFC 7009 revocation endpoint, called on sign-out
+    revokeUrl: 'http://localhost:8788/revoke',
+    clientId: 'assistant-web',
+    scope: 'openid profile transactions',
+    // Where the provider sends the browser back; empty = this page (with its query)
+    redirectUri: '',
+    // Tokens are kept in sessionStorage under this key
+    storageKey: 'assistant.auth',
+    // Extra origins that may receive the access token; the backend URL the page
+    // configures is trusted anyway, an API URL changed in the ⚙ panel once the
+    // user allows it, e.g. ['http://localhost:8788'] for `npm run oauth-mock`
+    origins: [],
+  },
+
+  // Messages typed while offline are kept here and sent when the connection returns
+  outbox: {
+    storageKey: 'assistant.outbox',
+  },
+
+  // Avatar models
+  avatars: {
+    // Loaded at startup
+    url: 'girl-model.glb',
+    // Shown in the Menu; each entry may carry its own `morphMap` override file
+    gallery: [
+      { name: 'Default', url: 'girl-model.glb' },
+    ],
+  },
+
+  // Conversation history (stored in localStorage, see conversations.js)
+  history: {
+    storageKey: 'assistant.conversations',
+    maxSessions: 20,
+    // Earlier user/assistant exchanges sent to the backend as context (0 = none)
+    contextTurns: 6,
+  },
+
+  // Voice input (speech recognition)
+  voice: {
+    // Recognition language, e.g. 'en-GB'; empty = the browser's language
+    lang: '',
+    // Hands-free mode waits for this phrase before taking a request; empty = always listen
+    wakePhrase: '',
+    // Pause (ms) that ends an utterance
+    silenceMs: 1200,
+    // Talking over the avatar stops its speech
+    bargeIn: true,
+    // While the avatar talks, hands-free listening ignores what sounds like its own
+    // words ('filter', barge-in still works) or stops until it is done ('pause')
+    whileSpeaking: 'filter',
+    // Continuous listening (🗣 button or ⚙ panel); only for the current visit
+    handsFree: false,
+  },
+
+  // Speech-to-text endpoint for browsers without SpeechRecognition (see voice/stt.js).
+  // The mic is recorded locally and each utterance is uploaded; empty url = no fallback.
+  stt: {
+    url: '',
+    // 'wav' (16 kHz PCM) | 'opus' (MediaRecorder, where supported)
+    format: 'wav',
+    timeout: 15000,
+    headers: {},
+  },
+
+  // Head / eye tracking
+  gaze: {
+    // Also follow the phone's tilt (deviceorientation)
+    deviceTilt: true,
+  },
+
+  // Blendshape mapping override file (see morph-map.js); null to use built-in presets only
+  morphMap: {
+    url: 'morph-map.json',
+  },
+
+  // Speech output
+  tts: {
+    // 'browser' = speechSynthesis only
+    // 'server'  = POST text to `url` and play the returned audio; falls back to
+    //             speechSynthesis when no audio comes back (see speech/server-tts.js)
+    mode: 'browser',
+    url: 'http://localhost:8787/tts',
+    // Voice name; also picks a speechSynthesis voice by name. Empty = best match for the language
+    voice: '',
+    timeout: 10000,
+    headers: {},
+    // Speaking speed and pitch (speechSynthesis; 1 = normal)
+    rate: 1,
+    pitch: 1.05,
+    // Silent playback; the avatar still lip-syncs
+    muted: false,
+  },
+
+  // Rendering
+  scene: {
+    // Lighting preset: 'studio' | 'office' | 'outdoor' (HDRI) | 'brand' (see environment.js)
+    environment: 'studio',
+    // Brightness on top of the preset's own exposure (1 = as designed)
+    exposure: 1,
+    // Flat backdrop colour of the 'brand' preset
+    brandColor: '#0B3D91',
+    // Per-preset overrides, e.g. { outdoor: { environment: 'skies/evening.hdr' } }
+    presets: {},
+  },
+  render: {
+    // 'low' | 'medium' | 'high' | 'ultra' (see quality.js), or 'auto' to follow the frame rate
+    quality: 'auto',
+    // FPS / frame time / draw call overlay in the corner of the scene
+    stats: false,
+    // 'auto' lowers the quality while frames are slower than this
+    targetFps: 50,
+  },
+
+  // Accessibility (see ui/display-preferences.js, ui/captions.js)
+  accessibility: {
+    // 'auto' (follow the system setting) | 'normal' | 'high'
+    contrast: 'auto',
+    // 'auto' (follow prefers-reduced-motion) | 'full' | 'reduced': calmer idle, head and chart motion
+    motion: 'auto',
+    // Spoken sentence shown over the scene, current word highlighted
+    captions: true,
+  },
+
+  // 3D charts of transaction results beside the avatar (see charts.js)
+  charts: {
+    enabled: true,
+    // Bars / slices per chart; smaller categories are summed into "Other"
+    maxItems: 6,
+  },
+};
+
+// Which key of `backends[name]` holds the API URL; the mock has none
+export const API_URL_KEYS = {
+  bank: 'url',
+  openai: 'baseUrl',
+};
+
+/**
+ * Deep-merge plain objects (arrays and other values are replaced, not merged).
+ */
+function mergeConfig(base, override) {
+  if (!override || typeof override !== 'object') return base;
+  const result = { ...base };
+  for (const key of Object.keys(override)) {
+    const value = override[key];
+    if (value && typeof value === 'object' && !Array.isArray(value) && base[key] && typeof base[key] === 'object') {
+      result[key] = mergeConfig(base[key], value);
+    } else {
+      result[key] = value;
+    }
+  }
+  return result;
+}
+
+/**
+ * Resolve the effective configuration: defaults <- window.ASSISTANT_CONFIG <- URL params.
+ * Every call returns a fresh copy, which its assistant may change (see settings.js).
+ * @returns {object}
+ */
+export function getRuntimeConfig() {
+  let config = mergeConfig(structuredClone(DEFAULT_CONFIG), window.ASSISTANT_CONFIG);
+
+  let savedLanguage = null;
+  try {
+    savedLanguage = localStorage.getItem(LANGUAGE_STORAGE_KEY);
+  } catch (error) {
+    // Storage disabled; keep the configured language
+  }
+  if (savedLanguage) {
+    config = mergeConfig(config, { language: savedLanguage });
+  }
+
+  const params = new URLSearchParams(window.location.search);
+  if (params.has('backend')) {
+    const backend = params.get('backend');
+    if (BACKENDS.includes(backend)) {
+      config = mergeConfig(config, { backend });
+    } else {
+      console.warn(`Ignoring ?backend=${backend}: expected one of ${BACKENDS.join(', ')}.`);
+    }
+  }
+  if (params.has('avatar')) {
+    config = mergeConfig(config, { avatars: { url: params.get('avatar') } });
+  }
+  if (params.has('lang')) {
+    config = mergeConfig(config, { language: params.get('lang') });
+  }
+  if (params.has('auth')) {
+    config = mergeConfig(config, { auth: { mode: params.get('auth') } });
+  }
+  if (params.has('tts')) {
+    config = mergeConfig(config, { tts: { mode: params.get('tts') } });
+  }
+
+  return config;
+}
@@ -0,0 +1,266 @@
+/**
+ * Conversation store.
+ *
+ * Keeps named chat sessions in localStorage so the history survives a reload:
+ *
+ *   {
+ *     version: 1,
+ *     currentId: "s-…",
+ *     sessions: [
+ *       { id, name, createdAt, updatedAt, messages: [{ role: 'user'|'assistant', text, time, data? }] }
+ *     ]
+ *   }
+ *
+ * `data` is a structured result shown with a reply (e.g. a transaction table).
+ * `context(turns)` returns the tail of the current session in the
+ * `{ role, content }` shape the backend adapters send along with a query.
+ * Export is JSON (every session, re-importable) or Markdown (current session).
+ */
+
+import { formatMoney, formatDate } from './transactions.js';
+import { t, getLanguage } from './i18n/index.js';
+
+const VERSION = 1;
+
+const newId = () => `s-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+function createSession(name) {
+  const now = Date.now();
+  return { id: newId(), name, createdAt: now, updatedAt: now, messages: [] };
+}
+
+const finiteOr = (value, fallback) => (Number.isFinite(value) ? value : fallback);
+const textOrEmpty = (value) => (value === null || value === undefined ? '' : String(value));
+
+/**
+ * Rebuild a message's `data` as a transaction result (the shape
+ * parseTransactions() returns), or null if it isn't one, so a hand-edited
+ * import can't leave a message that fails to render on every reload.
+ */
+function normalizeData(data) {
+  if (!data || typeof data !== 'object' || !Array.isArray(data.rows)) return null;
+  const rows = data.rows
+    .filter((row) => row && typeof row === 'object' && Number.isFinite(row.amount))
+    .map((row) => ({
+      date: finiteOr(row.date, null),
+      description: textOrEmpty(row.description),
+      category: textOrEmpty(row.category),
+      amount: row.amount,
+      currency: typeof row.currency === 'string' ? row.currency : null,
+    }));
+  if (!rows.length) return null;
+  const range = data.range && typeof data.range === 'object' ? data.range : {};
+  return {
+    rows,
+    total: finiteOr(data.total, rows.reduce((sum, row) => sum + row.amount, 0)),
+    currency: typeof data.currency === 'string' ? data.currency : null,
+    range: { from: finiteOr(range.from, null), to: finiteOr(range.to, null) },
+  };
+}
+
+/** A message with its `data` checked (dropped if it isn't a transaction result). */
+function withValidData({ data, ...message }) {
+  const checked = normalizeData(data);
+  return checked ? { ...message, data: checked } : message;
+}
+
+/**
+ * Accept a session from an import file; returns null if it isn't one.
+ */
+function normalizeSession(session) {
+  if (!session || !Array.isArray(session.messages)) return null;
+  const messages = session.messages
+    .filter((m) => m && (m.role === 'user' || m.role === 'assistant') && typeof m.text === 'string')
+    .map(({ role, text, time, data }) => withValidData({ role, text, time: Number(time) || Date.now(), data }));
+  const now = Date.now();
+  return {
+    id: newId(),
+    name: String(session.name || t('session.imported')),
+    createdAt: Number(session.createdAt) || now,
+    updatedAt: Number(session.updatedAt) || now,
+    messages,
+  };
+}
+
+/**
+ * @param {object} [options]
+ * @param {string} [options.storageKey='assistant.conversations']
+ * @param {number} [options.maxSessions=20] - Oldest sessions are dropped beyond this.
+ */
+export function createConversationStore({ storageKey = 'assistant.conversations', maxSessions = 20 } = {}) {
+  let data = null;
+  const listeners = new Set();
+
+  try {
+    const saved = JSON.parse(localStorage.getItem(storageKey));
+    if (saved?.version === VERSION && Array.isArray(saved.sessions)) data = saved;
+  } catch (error) {
+    console.warn('Could not read saved conversations:', error);
+  }
+  if (!data?.sessions.length) {
+    const first = createSession(t('session.defaultName', { number: 1 }));
+    data = { version: VERSION, currentId: first.id, sessions: [first] };
+  }
+  if (!data.sessions.some((s) => s.id === data.currentId)) {
+    data.currentId = data.sessions[0].id;
+  }
+
+  const current = () => data.sessions.find((s) => s.id === data.currentId);
+
+  function save() {
+    // Keep the most recently used sessions if there are too many
+    if (data.sessions.length > maxSessions) {
+      const keep = new Set(
+        [...data.sessions]
+          .sort((a, b) => (b.id === data.currentId) - (a.id === data.currentId) || b.updatedAt - a.updatedAt)
+          .slice(0, maxSessions)
+          .map((s) => s.id)
+      );
+      data.sessions = data.sessions.filter((s) => keep.has(s.id));
+    }
+    try {
+      localStorage.setItem(storageKey, JSON.stringify(data));
+    } catch (error) {
+      // Quota exceeded or storage disabled: keep working in memory
+      console.warn('Could not save conversations:', error);
+    }
+  }
+
+  function changed() {
+    save();
+    for (const listener of listeners) listener(store);
+  }
+
+  const store = {
+    /** All sessions, oldest first. */
+    get sessions() {
+      return data.sessions;
+    },
+
+    get current() {
+      return current();
+    },
+
+    /**
+     * Call `listener(store)` whenever sessions or the current session change.
+     * @returns {function(): void} Unsubscribe.
+     */
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    /** Start a new, empty session and switch to it. */
+    create(name = t('session.defaultName', { number: data.sessions.length + 1 })) {
+      const session = createSession(name);
+      data.sessions.push(session);
+      data.currentId = session.id;
+      changed();
+      return session;
+    },
+
+    switchTo(id) {
+      if (id === data.currentId || !data.sessions.some((s) => s.id === id)) return;
+      data.currentId = id;
+      changed();
+    },
+
+    rename(id, name) {
+      const session = data.sessions.find((s) => s.id === id);
+      if (!session || !name.trim()) return;
+      session.name = name.trim();
+      changed();
+    },
+
+    /** Delete a session; deleting the last one leaves a fresh empty session. */
+    remove(id) {
+      data.sessions = data.sessions.filter((s) => s.id !== id);
+      if (!data.sessions.length) data.sessions.push(createSession(t('session.defaultName', { number: 1 })));
+      if (!data.sessions.some((s) => s.id === data.currentId)) {
+        data.currentId = data.sessions[data.sessions.length - 1].id;
+      }
+      changed();
+    },
+
+    /**
+     * Append a message to a session.
+     * @param {'user'|'assistant'} role
+     * @param {string} text
+     * @param {object} [options]
+     * @param {string} [options.sessionId] - Defaults to the current session. Replies that finish
+     *   after the user switched away still land in the session they belong to.
+     * @param {object|null} [options.data] - Structured result shown with the message.
+     * @returns {object|undefined} The stored message.
+     */
+    addMessage(role, text, { sessionId = data.currentId, data: result = null } = {}) {
+      const session = data.sessions.find((s) => s.id === sessionId);
+      if (!session) return;
+      const now = Date.now();
+      const message = result ? { role, text, time: now, data: result } : { role, text, time: now };
+      session.messages.push(message);
+      session.updatedAt = now;
+      save();
+      return message;
+    },
+
+    /**
+     * The last `turns` user/assistant exchanges of the current session,
+     * as `{ role, content }` messages for the backend.
+     */
+    context(turns) {
+      if (!turns) return [];
+      return current()
+        .messages.slice(-turns * 2)
+        .map(({ role, text }) => ({ role, content: text }));
+    },
+
+    /** Every session as a JSON string that `importJSON` accepts. */
+    exportJSON() {
+      return JSON.stringify({ version: VERSION, exportedAt: new Date().toISOString(), sessions: data.sessions }, null, 2);
+    },
+
+    /** The current session as a readable Markdown transcript. */
+    exportMarkdown() {
+      const session = current();
+      const { locale } = getLanguage();
+      const started = new Date(session.createdAt).toLocaleString(locale);
+      const lines = [`# ${session.name}`, '', `_${t('session.started', { date: started })}_`, ''];
+      for (const { role, text, time, data: result } of session.messages) {
+        const who = t(role === 'user' ? 'chat.user' : 'chat.assistant');
+        lines.push(`**${who}** (${new Date(time).toLocaleTimeString(locale)}):`, '', text, '');
+        if (result?.rows) {
+          lines.push(`| ${t('tx.date')} | ${t('tx.description')} | ${t('tx.amount')} |`, '| --- | --- | ---: |');
+          for (const row of result.rows) {
+            const cells = [formatDate(row.date), row.description, formatMoney(row.amount, row.currency || result.currency)];
+            lines.push(`| ${cells.map((cell) => cell.replace(/\|/g, '\\|')).join(' | ')} |`);
+          }
+          const total = t('tx.total', { count: result.rows.length });
+          lines.push(`| **${total}** | | **${formatMoney(result.total, result.currency)}** |`, '');
+        }
+      }
+      return lines.join('\n');
+    },
+
+    /**
+     * Add the sessions from an exported JSON file (or a single session object)
+     * and switch to the last one imported.
+     * @param {string} json
+     * @returns {number} Number of sessions imported.
+     */
+    importJSON(json) {
+      const parsed = JSON.parse(json);
+      const incoming = (Array.isArray(parsed?.sessions) ? parsed.sessions : [parsed])
+        .map(normalizeSession)
+        .filter(Boolean);
+      if (!incoming.length) {
+        throw new Error(t('session.importEmpty'));
+      }
+      data.sessions.push(...incoming);
+      data.currentId = incoming[incoming.length - 1].id;
+      changed();
+      return incoming.length;
+    },
+  };
+
+  return store;
+}
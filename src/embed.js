@@ -0,0 +1,11 @@
+/**
+ * Entry point for other apps: registers `<assistant-avatar>` and exposes the
+ * factory behind it for mounting on existing markup.
+ *
+ *   import { setLanguage } from './assistant/src/embed.js';
+ *   setLanguage('fr'); // optional; the UI language is shared by all instances
+ */
+export { AssistantAvatarElement } from './assistant-element.js';
+export { createAssistant } from './assistant.js';
+export { getRuntimeConfig } from './config.js';
+export { setLanguage } from './i18n/index.js';
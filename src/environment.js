@@ -0,0 +1,277 @@
+import * as THREE from 'three';
+import { RoomEnvironment } from 'three/examples/jsm/environments/RoomEnvironment.js';
+import { RGBELoader } from 'three/examples/jsm/loaders/RGBELoader.js';
+
+/**
+ * Scene environment presets: backdrop, image-based lighting, three-point
+ * lights, ground shadow and exposure, switchable at runtime.
+ *
+ * A preset's `environment` is either 'room' (three's procedural RoomEnvironment)
+ * or the URL of an equirectangular `.hdr` file. `background` is a colour, a list
+ * of colours (vertical gradient, top to bottom), or 'environment' to show the
+ * HDR itself. When an HDR can't be loaded the preset falls back to the room
+ * and `fallbackBackground`.
+ *
+ * Light positions assume an avatar about 1.7 m tall standing at the origin and
+ * facing +z (towards the camera); `fit(height)` scales them to the real model.
+ */
+
+export const PRESETS = {
+  studio: {
+    environment: 'room',
+    background: ['#FDEB71', '#ABFFA4', '#8EC5FC'],
+    exposure: 0.8,
+    key: { color: '#fff4e5', intensity: 1.8, position: [-1.2, 2.6, 2.2] },
+    fill: { color: '#e6f0ff', intensity: 0.5, position: [1.8, 1.6, 1.6] },
+    rim: { color: '#ffffff', intensity: 1.2, position: [0.6, 2.4, -2.4] },
+    ambient: 0.15,
+    shadow: 0.35,
+  },
+  office: {
+    environment: 'room',
+    background: ['#EFEAE2', '#D8CFC2', '#B3A99B'],
+    exposure: 0.75,
+    // Daylight from a window on the left
+    key: { color: '#fff1dc', intensity: 1.4, position: [-2.4, 2.2, 1.2] },
+    fill: { color: '#fff8f0', intensity: 0.7, position: [1.6, 1.8, 2] },
+    rim: { color: '#dce8ff', intensity: 0.6, position: [0.8, 2.2, -2.2] },
+    ambient: 0.25,
+    shadow: 0.25,
+  },
+  outdoor: {
+    environment: 'https://dl.polyhaven.org/file/ph-assets/HDRIs/hdr/1k/venice_sunset_1k.hdr',
+    background: 'environment',
+    fallbackBackground: ['#8EC5FC', '#E0F0FF'],
+    exposure: 0.9,
+    // Low evening sun
+    key: { color: '#ffd6a0', intensity: 2.4, position: [-2.6, 2, 1.4] },
+    fill: { color: '#a8c8ff', intensity: 0.4, position: [2, 1.4, 1.8] },
+    rim: { color: '#ffe0b8', intensity: 1.4, position: [1.2, 2.2, -2.6] },
+    ambient: 0.1,
+    shadow: 0.5,
+  },
+  brand: {
+    environment: 'room',
+    // Replaced by `brandColor`
+    background: '#0B3D91',
+    exposure: 0.8,
+    key: { color: '#ffffff', intensity: 1.6, position: [-1.2, 2.6, 2.2] },
+    fill: { color: '#ffffff', intensity: 0.6, position: [1.8, 1.6, 1.6] },
+    rim: { color: '#ffffff', intensity: 1.4, position: [0, 2.4, -2.4] },
+    ambient: 0.2,
+    shadow: 0.3,
+  },
+};
+
+const REFERENCE_HEIGHT = 1.7;
+
+function gradientTexture(colors) {
+  const canvas = document.createElement('canvas');
+  canvas.width = 2;
+  canvas.height = 512;
+  const context = canvas.getContext('2d');
+  const gradient = context.createLinearGradient(0, 0, 0, canvas.height);
+  colors.forEach((color, i) => gradient.addColorStop(i / Math.max(1, colors.length - 1), color));
+  context.fillStyle = gradient;
+  context.fillRect(0, 0, canvas.width, canvas.height);
+
+  const texture = new THREE.CanvasTexture(canvas);
+  texture.colorSpace = THREE.SRGBColorSpace;
+  return texture;
+}
+
+/** Soft dark spot under the feet, so the avatar doesn't float when the cast shadow is faint. */
+function contactShadowTexture() {
+  const canvas = document.createElement('canvas');
+  canvas.width = canvas.height = 128;
+  const context = canvas.getContext('2d');
+  const gradient = context.createRadialGradient(64, 64, 0, 64, 64, 64);
+  gradient.addColorStop(0, 'rgba(0, 0, 0, 0.6)');
+  gradient.addColorStop(1, 'rgba(0, 0, 0, 0)');
+  context.fillStyle = gradient;
+  context.fillRect(0, 0, 128, 128);
+  return new THREE.CanvasTexture(canvas);
+}
+
+/**
+ * @param {object} options
+ * @param {THREE.Scene} options.scene
+ * @param {THREE.WebGLRenderer} options.renderer
+ * @param {object} [options.presets] - Per-preset overrides, merged over PRESETS.
+ * @param {string} [options.brandColor] - Backdrop of the 'brand' preset.
+ * @param {number} [options.exposure=1] - Brightness on top of each preset's exposure.
+ */
+export function createEnvironment({ scene, renderer, presets = {}, brandColor, exposure = 1 }) {
+  const definitions = {};
+  for (const name of new Set([...Object.keys(PRESETS), ...Object.keys(presets)])) {
+    definitions[name] = { ...PRESETS[name], ...presets[name] };
+  }
+  if (brandColor) definitions.brand.background = brandColor;
+
+  const pmrem = new THREE.PMREMGenerator(renderer);
+  // Environment maps by source ('room' or HDR URL), built once
+  const environments = new Map();
+
+  const ambient = new THREE.HemisphereLight(0xffffff, 0x444444, 0);
+  const lights = {
+    key: new THREE.DirectionalLight(0xffffff, 0),
+    fill: new THREE.DirectionalLight(0xffffff, 0),
+    rim: new THREE.DirectionalLight(0xffffff, 0),
+  };
+  const target = new THREE.Object3D();
+  target.position.set(0, 1, 0);
+  scene.add(ambient, target);
+  for (const light of Object.values(lights)) {
+    light.target = target;
+    scene.add(light);
+  }
+
+  // Only the key light casts shadows
+  const { shadow } = lights.key;
+  lights.key.castShadow = true;
+  shadow.mapSize.set(2048, 2048);
+  shadow.camera.near = 0.5;
+  shadow.camera.far = 10;
+  shadow.bias = -0.0005;
+  shadow.normalBias = 0.02;
+  shadow.radius = 4;
+
+  // Shadow-catching floor, invisible apart from the shadows on it
+  const ground = new THREE.Mesh(new THREE.PlaneGeometry(20, 20), new THREE.ShadowMaterial({ opacity: 0.3 }));
+  ground.rotation.x = -Math.PI / 2;
+  ground.receiveShadow = true;
+  const contact = new THREE.Mesh(
+    new THREE.PlaneGeometry(1, 1),
+    new THREE.MeshBasicMaterial({ map: contactShadowTexture(), transparent: true, depthWrite: false })
+  );
+  contact.rotation.x = -Math.PI / 2;
+  contact.position.y = 0.002;
+  scene.add(ground, contact);
+
+  let scale = 1;
+  let current = null;
+  let preset = null;
+  let background = null;
+  let applyId = 0;
+
+  function placeLights() {
+    for (const [role, light] of Object.entries(lights)) {
+      light.position.fromArray(preset[role].position).multiplyScalar(scale);
+    }
+    target.position.set(0, 0.6 * REFERENCE_HEIGHT * scale, 0);
+    const extent = 1.5 * scale;
+    Object.assign(shadow.camera, { left: -extent, right: extent, top: extent, bottom: -extent });
+    shadow.camera.far = 10 * scale;
+    shadow.camera.updateProjectionMatrix();
+    contact.scale.setScalar(0.7 * scale);
+  }
+
+  function loadEnvironment(source) {
+    if (!environments.has(source)) {
+      const promise =
+        source === 'room'
+          ? Promise.resolve({ map: pmrem.fromScene(new RoomEnvironment(), 0.04).texture, equirect: null })
+          : new RGBELoader().loadAsync(source).then((equirect) => {
+              equirect.mapping = THREE.EquirectangularReflectionMapping;
+              return { map: pmrem.fromEquirectangular(equirect).texture, equirect };
+            });
+      // Don't cache failures, so a later switch can try again
+      environments.set(source, promise.catch((error) => {
+        environments.delete(source);
+        throw error;
+      }));
+    }
+    return environments.get(source);
+  }
+
+  function setBackground(spec, environment) {
+    background?.dispose();
+    background = null;
+    if (spec === 'environment') {
+      scene.background = environment.equirect || environment.map;
+    } else if (Array.isArray(spec)) {
+      background = gradientTexture(spec);
+      scene.background = background;
+    } else {
+      scene.background = new THREE.Color(spec);
+    }
+  }
+
+  const api = {
+    /** Preset names, for pickers. */
+    names: Object.keys(definitions),
+
+    get current() {
+      return current;
+    },
+
+    /**
+     * Switch to a preset. Lights change at once; the backdrop and reflections
+     * follow as soon as their HDR (if any) has loaded.
+     * @param {string} name
+     * @returns {Promise<void>}
+     */
+    async apply(name) {
+      const id = ++applyId;
+      current = definitions[name] ? name : 'studio';
+      preset = definitions[current];
+
+      ambient.intensity = preset.ambient;
+      for (const [role, light] of Object.entries(lights)) {
+        light.color.set(preset[role].color);
+        light.intensity = preset[role].intensity;
+      }
+      ground.material.opacity = preset.shadow;
+      contact.material.opacity = Math.min(1, preset.shadow * 1.5);
+      placeLights();
+      api.setExposure(exposure);
+
+      let environment;
+      let backgroundSpec = preset.background;
+      try {
+        environment = await loadEnvironment(preset.environment);
+      } catch (error) {
+        console.warn(`Could not load environment "${preset.environment}", using the studio room instead:`, error);
+        environment = await loadEnvironment('room');
+        if (backgroundSpec === 'environment') backgroundSpec = preset.fallbackBackground || PRESETS.studio.background;
+      }
+      // A newer switch won
+      if (id !== applyId) return;
+
+      scene.environment = environment.map;
+      setBackground(backgroundSpec, environment);
+    },
+
+    /**
+     * Brightness relative to the preset (1 = as designed).
+     * @param {number} value
+     */
+    setExposure(value) {
+      exposure = value;
+      if (preset) renderer.toneMappingExposure = preset.exposure * exposure;
+    },
+
+    /**
+     * Shadow resolution of the key light (see quality.js).
+     * @param {number} size - Texels per side.
+     */
+    setShadowMapSize(size) {
+      if (shadow.mapSize.x === size) return;
+      shadow.mapSize.set(size, size);
+      // Recreated at the new size on the next render
+      shadow.map?.dispose();
+      shadow.map = null;
+    },
+
+    /**
+     * Scale the rig to an avatar of `height` metres (see frameAvatar()).
+     * @param {number} height
+     */
+    fit(height) {
+      scale = height / REFERENCE_HEIGHT;
+      if (preset) placeLights();
+    },
+  };
+
+  return api;
+}
@@ -0,0 +1,64 @@
+/**
+ * Event bus shared by chat, voice, speech output and the avatar animation.
+ *
+ * Every event type is listed in EVENTS with the shape of its payload, and
+ * emitting anything else is reported, so a typo doesn't silently go nowhere.
+ * Handlers run synchronously in subscription order; one throwing doesn't keep
+ * the others from running.
+ */
+
+/**
+ * Event types and their payloads.
+ *
+ * @typedef {object} AssistantEvents
+ * @property {{active: boolean}} listening - The microphone is taking an utterance (or stopped).
+ * @property {{active: boolean}} thinking - Waiting for the first words of a reply (or done waiting).
+ * @property {{active: boolean}} speaking - The avatar started/stopped talking.
+ * @property {{error: Error|string}} error - A request or the microphone failed.
+ * @property {{text: string}} sentence - The voice is starting a sentence.
+ * @property {{text: string, charIndex: number, charLength: number}} word - The voice reached a word of
+ *   the sentence (browser voices only).
+ * @property {{role: 'user'|'assistant', text: string, data: object|null}} message - A new chat message was shown.
+ * @property {{from: string, to: string, event: string}} state - The assistant state changed (see assistant-state.js).
+ * @property {{type: string, params: object, status: string, error?: any}} action - A client-side action
+ *   from a reply ran, was declined or was rejected (see actions.js).
+ */
+export const EVENTS = ['listening', 'thinking', 'speaking', 'error', 'sentence', 'word', 'message', 'state', 'action'];
+
+export function createEventBus() {
+  const handlers = new Map(EVENTS.map((type) => [type, new Set()]));
+
+  const check = (type) => {
+    if (!handlers.has(type)) throw new Error(`Unknown assistant event "${type}"`);
+    return handlers.get(type);
+  };
+
+  return {
+    /**
+     * @template {keyof AssistantEvents} K
+     * @param {K} type
+     * @param {function(AssistantEvents[K]): void} handler
+     * @returns {function(): void} Unsubscribe.
+     */
+    on(type, handler) {
+      const set = check(type);
+      set.add(handler);
+      return () => set.delete(handler);
+    },
+
+    /**
+     * @template {keyof AssistantEvents} K
+     * @param {K} type
+     * @param {AssistantEvents[K]} [payload]
+     */
+    emit(type, payload = {}) {
+      for (const handler of [...check(type)]) {
+        try {
+          handler(payload);
+        } catch (error) {
+          console.error(`Error in a "${type}" handler:`, error);
+        }
+      }
+    },
+  };
+}
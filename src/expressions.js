@@ -0,0 +1,148 @@
+/**
+ * Emotion / expression engine.
+ *
+ * Holds one active emotional state and blends the face towards it over time.
+ * `update(dt)` returns baseline weights per facial channel; the idle and
+ * speaking animation in main.js add their own motion on top of these, so the
+ * avatar can keep smiling (or frowning) while it talks.
+ *
+ * The state comes either from inline tags in the reply (`[emotion:concerned]`,
+ * see `extractEmotionTags`) or from `detectSentiment` on the reply text.
+ */
+
+// Channel weights (0..1) for each emotion; missing channels are 0
+export const EMOTIONS = {
+  neutral: {},
+  happy: { mouthSmile: 0.45, cheekRaise: 0.35, eyebrowRaise: 0.1 },
+  concerned: { lipCornerDepress: 0.35, eyebrowRaise: 0.25 },
+  surprised: { eyebrowRaise: 0.7, mouthOpen: 0.2 },
+  thinking: { eyebrowRaise: 0.15, lipCornerDepress: 0.1, jawLeft: 0.08 },
+};
+
+const CHANNELS = ['mouthSmile', 'mouthOpen', 'eyebrowRaise', 'cheekRaise', 'lipCornerDepress', 'jawLeft'];
+
+const TAG_PATTERN = /\[emotion:\s*([a-z]+)\s*\]/gi;
+// An unfinished tag at the very end of streamed text ("[emo", "[emotion:hap")
+const PARTIAL_TAG_PATTERN = /\[(?:e(?:m(?:o(?:t(?:i(?:o(?:n(?::\s*[a-z]*)?)?)?)?)?)?)?)?$/i;
+
+/**
+ * Strip `[emotion:name]` tags from reply text.
+ *
+ * @param {string} text
+ * @param {object} [options]
+ * @param {boolean} [options.partial=false] - Also hide a tag that is still being streamed in.
+ * @returns {{ text: string, emotion: string|null }} Cleaned text and the last known emotion tag.
+ */
+export function extractEmotionTags(text, { partial = false } = {}) {
+  let emotion = null;
+  let cleaned = text.replace(TAG_PATTERN, (match, name) => {
+    const key = name.toLowerCase();
+    if (key in EMOTIONS) emotion = key;
+    return '';
+  });
+
+  if (partial) {
+    cleaned = cleaned.replace(PARTIAL_TAG_PATTERN, '');
+  }
+
+  return { text: cleaned.replace(/ {2,}/g, ' ').trimStart(), emotion };
+}
+
+const SENTIMENT_WORDS = {
+  happy: [
+    'great', 'glad', 'happy', 'good news', 'congratulations', 'excellent', 'awesome', 'wonderful',
+    'welcome', 'perfect', 'saved', 'refund', 'approved', 'thank',
+  ],
+  concerned: [
+    'sorry', 'unfortunately', 'declined', 'overdraft', 'overdrawn', 'insufficient', 'failed', 'error',
+    'problem', 'fraud', 'suspicious', 'late fee', 'penalty', 'unable', "can't", 'cannot', 'warning',
+  ],
+  surprised: ['wow', 'whoa', 'unexpected', 'surprising', 'surprisingly', 'unusual', 'incredible'],
+};
+
+/**
+ * Tiny keyword-based sentiment guess for replies without an explicit tag.
+ * @param {string} text
+ * @returns {string} One of the EMOTIONS keys.
+ */
+export function detectSentiment(text) {
+  const lower = text.toLowerCase();
+  let best = 'neutral';
+  let bestScore = 0;
+
+  for (const [emotion, words] of Object.entries(SENTIMENT_WORDS)) {
+    let score = words.reduce((total, word) => total + (lower.includes(word) ? 1 : 0), 0);
+    // Exclamations make happy/surprised replies more convincing
+    if (score && emotion !== 'concerned' && text.includes('!')) score += 0.5;
+    if (score > bestScore) {
+      best = emotion;
+      bestScore = score;
+    }
+  }
+
+  return best;
+}
+
+/**
+ * @param {object} [options]
+ * @param {number} [options.blendTime=0.6] - Seconds to move most of the way to a new emotion.
+ */
+export function createExpressionEngine({ blendTime = 0.6 } = {}) {
+  let emotion = 'neutral';
+  let intensity = 1;
+  let releaseAt = null;
+  let clock = 0;
+
+  const weights = Object.fromEntries(CHANNELS.map((channel) => [channel, 0]));
+
+  return {
+    get emotion() {
+      return emotion;
+    },
+
+    /** Current channel weights, as last returned by `update`. */
+    get weights() {
+      return weights;
+    },
+
+    /**
+     * Blend towards a named emotion.
+     * @param {string} name - Key of EMOTIONS; unknown names fall back to neutral.
+     * @param {object} [options]
+     * @param {number} [options.intensity=1] - Scales the emotion's weights.
+     */
+    setEmotion(name, { intensity: amount = 1 } = {}) {
+      emotion = name in EMOTIONS ? name : 'neutral';
+      intensity = amount;
+      releaseAt = null;
+    },
+
+    /**
+     * Return to neutral after `delay` seconds, unless another emotion is set first.
+     */
+    release(delay = 0) {
+      releaseAt = clock + delay;
+    },
+
+    /**
+     * Advance the blend and return the current channel weights (reused object).
+     */
+    update(dt) {
+      clock += dt;
+      if (releaseAt !== null && clock >= releaseAt) {
+        emotion = 'neutral';
+        releaseAt = null;
+      }
+
+      const target = EMOTIONS[emotion];
+      // ~95% of the way there after blendTime
+      const t = 1 - Math.exp((-3 * dt) / blendTime);
+      for (const channel of CHANNELS) {
+        const goal = (target[channel] || 0) * intensity;
+        weights[channel] += (goal - weights[channel]) * t;
+      }
+
+      return weights;
+    },
+  };
+}
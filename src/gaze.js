@@ -0,0 +1,204 @@
+import * as THREE from 'three';
+
+/**
+ * Gaze and head tracking.
+ *
+ * The avatar looks at (in order of priority):
+ *   1. an explicit focus point set with `focusOn()` (e.g. a chart it is explaining),
+ *   2. the pointer / touch position over the canvas, while it keeps moving,
+ *   3. the camera, i.e. the user.
+ * Optional device tilt nudges the target on phones.
+ *
+ * The look direction is split across bones: the neck and head turn part of the
+ * way (slowly, within limits) and the eyes cover the rest (quickly), with small
+ * random saccades so the stare doesn't look frozen. VRM avatars keep their own
+ * look-at setup (eye bones or expressions, with the model's range limits); we
+ * only move its target.
+ *
+ * Calm mode (reduced motion) ignores the pointer, turns the head more slowly and
+ * drops the saccades.
+ *
+ * Rotations are multiplied onto whatever pose the body animation left on the
+ * bones this frame, and speaking nods are added on top, so nothing overwrites
+ * anything else.
+ */
+
+const MAX_YAW = 0.8;          // total look range, radians
+const MAX_PITCH = 0.45;
+const HEAD_SHARE = 0.7;       // how much of the turn the head/neck take
+const MAX_HEAD_YAW = 0.55;
+const MAX_HEAD_PITCH = 0.3;
+const MAX_EYE_YAW = 0.35;
+const MAX_EYE_PITCH = 0.25;
+const POINTER_TIMEOUT = 4;    // seconds of no pointer movement before looking back at the user
+
+const damp = (current, target, speed, dt) => current + (target - current) * (1 - Math.exp(-speed * dt));
+const clamp = THREE.MathUtils.clamp;
+
+/**
+ * @param {object} options
+ * @param {THREE.Camera} options.camera
+ * @param {HTMLElement} options.domElement - Canvas that receives pointer events.
+ * @param {Object<string, THREE.Object3D>} options.bones - From findHumanoidBones().
+ * @param {object|null} [options.vrm]
+ * @param {boolean} [options.deviceTilt=false] - Follow phone tilt (deviceorientation).
+ * @param {boolean} [options.calm=false] - Reduced motion.
+ */
+export function createGazeController({ camera, domElement, bones, vrm = null, deviceTilt = false, calm = false }) {
+  const { head, neck } = bones;
+  const eyes = vrm ? [] : [bones.leftEye, bones.rightEye].filter(Boolean);
+  const eyeRest = new Map(eyes.map((eye) => [eye, eye.quaternion.clone()]));
+
+  // VRM look-at follows this object
+  const lookTarget = new THREE.Object3D();
+  if (vrm?.lookAt) vrm.lookAt.target = lookTarget;
+
+  const pointer = new THREE.Vector2();
+  let pointerActive = false;
+  let pointerTime = -Infinity;
+  let focus = null;
+  const tilt = { yaw: 0, pitch: 0 };
+
+  let clock = 0;
+  const headAngles = { yaw: 0, pitch: 0 };
+  const eyeAngles = { yaw: 0, pitch: 0 };
+  const saccade = { yaw: 0, pitch: 0, next: 0 };
+
+  const headWorld = new THREE.Vector3();
+  const target = new THREE.Vector3();
+  const direction = new THREE.Vector3();
+  const raycaster = new THREE.Raycaster();
+  const euler = new THREE.Euler(0, 0, 0, 'YXZ');
+  const rotation = new THREE.Quaternion();
+
+  // --- Inputs ---
+  const onPointerMove = (event) => {
+    const rect = domElement.getBoundingClientRect();
+    pointer.set(
+      ((event.clientX - rect.left) / rect.width) * 2 - 1,
+      -((event.clientY - rect.top) / rect.height) * 2 + 1
+    );
+    pointerActive = true;
+    pointerTime = clock;
+  };
+  const onPointerLeave = () => {
+    pointerActive = false;
+  };
+  const onOrientation = (event) => {
+    // gamma: left/right tilt, beta: front/back tilt (degrees); ~upright phone is beta 60
+    tilt.yaw = clamp((event.gamma || 0) * 0.01, -0.3, 0.3);
+    tilt.pitch = clamp(((event.beta || 60) - 60) * -0.008, -0.2, 0.2);
+  };
+
+  domElement.addEventListener('pointermove', onPointerMove);
+  domElement.addEventListener('pointerdown', onPointerMove);
+  domElement.addEventListener('pointerleave', onPointerLeave);
+  if (deviceTilt && window.DeviceOrientationEvent) {
+    window.addEventListener('deviceorientation', onOrientation);
+  }
+
+  function rotateBone(bone, yaw, pitch, roll = 0) {
+    if (!bone) return;
+    // Looking up is a negative X rotation for a +Z facing rig
+    rotation.setFromEuler(euler.set(-pitch, yaw, roll));
+    bone.quaternion.multiply(rotation);
+  }
+
+  return {
+    /**
+     * Look at a world point for a while (null to release).
+     * @param {THREE.Vector3|null} point
+     * @param {number} [duration=Infinity] - Seconds.
+     */
+    focusOn(point, duration = Infinity) {
+      focus = point ? { point: point.clone(), until: clock + duration } : null;
+    },
+
+    /** Reduced motion on/off. */
+    setCalm(value) {
+      calm = value;
+    },
+
+    /**
+     * @param {number} dt
+     * @param {{pitch: number, yaw: number}} [nod] - Extra head motion (speaking nods), radians.
+     */
+    update(dt, nod = { pitch: 0, yaw: 0 }) {
+      clock += dt;
+      if (!head) return;
+
+      head.getWorldPosition(headWorld);
+
+      // --- Pick the target point ---
+      if (focus && clock < focus.until) {
+        target.copy(focus.point);
+      } else if (!calm && pointerActive && clock - pointerTime < POINTER_TIMEOUT) {
+        raycaster.setFromCamera(pointer, camera);
+        raycaster.ray.at(camera.position.distanceTo(headWorld), target);
+      } else {
+        target.copy(camera.position);
+      }
+
+      direction.subVectors(target, headWorld);
+      const yaw = clamp(Math.atan2(direction.x, direction.z) + tilt.yaw, -MAX_YAW, MAX_YAW);
+      const pitch = clamp(
+        Math.atan2(direction.y, Math.hypot(direction.x, direction.z)) + tilt.pitch,
+        -MAX_PITCH,
+        MAX_PITCH
+      );
+
+      // --- Head: slow, takes most of the turn ---
+      const headSpeed = calm ? 1.5 : 4;
+      headAngles.yaw = damp(headAngles.yaw, clamp(yaw * HEAD_SHARE, -MAX_HEAD_YAW, MAX_HEAD_YAW), headSpeed, dt);
+      headAngles.pitch = damp(
+        headAngles.pitch,
+        clamp(pitch * HEAD_SHARE, -MAX_HEAD_PITCH, MAX_HEAD_PITCH),
+        headSpeed,
+        dt
+      );
+
+      // --- Eyes: fast, cover the rest, with saccades ---
+      if (clock >= saccade.next) {
+        saccade.yaw = calm ? 0 : (Math.random() - 0.5) * 0.08;
+        saccade.pitch = calm ? 0 : (Math.random() - 0.5) * 0.05;
+        saccade.next = clock + 0.6 + Math.random() * 2.4;
+      }
+      const eyeYaw = clamp(yaw - headAngles.yaw + saccade.yaw, -MAX_EYE_YAW, MAX_EYE_YAW);
+      const eyePitch = clamp(pitch - headAngles.pitch + saccade.pitch, -MAX_EYE_PITCH, MAX_EYE_PITCH);
+      eyeAngles.yaw = damp(eyeAngles.yaw, eyeYaw, 25, dt);
+      eyeAngles.pitch = damp(eyeAngles.pitch, eyePitch, 25, dt);
+
+      // --- Apply: neck 40% / head 60% of the head turn, nods on the head only ---
+      rotateBone(neck, headAngles.yaw * 0.4, headAngles.pitch * 0.4);
+      rotateBone(
+        head,
+        headAngles.yaw * (neck ? 0.6 : 1) + nod.yaw,
+        headAngles.pitch * (neck ? 0.6 : 1) - nod.pitch
+      );
+
+      for (const eye of eyes) {
+        eye.quaternion.copy(eyeRest.get(eye));
+        rotateBone(eye, eyeAngles.yaw, eyeAngles.pitch);
+      }
+
+      if (vrm?.lookAt) {
+        // Put the VRM target where the eyes should point, relative to the head
+        const distance = Math.max(0.5, direction.length());
+        lookTarget.position.set(
+          headWorld.x + Math.sin(yaw + saccade.yaw) * distance,
+          headWorld.y + Math.tan(pitch + saccade.pitch) * distance,
+          headWorld.z + Math.cos(yaw + saccade.yaw) * distance
+        );
+        lookTarget.updateMatrixWorld();
+      }
+    },
+
+    dispose() {
+      domElement.removeEventListener('pointermove', onPointerMove);
+      domElement.removeEventListener('pointerdown', onPointerMove);
+      domElement.removeEventListener('pointerleave', onPointerLeave);
+      window.removeEventListener('deviceorientation', onOrientation);
+      if (vrm?.lookAt?.target === lookTarget) vrm.lookAt.target = null;
+    },
+  };
+}
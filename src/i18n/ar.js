@@ -0,0 +1,140 @@
+// Arabic (right-to-left)
+export default {
+  'app.title': 'مساعد دردشة ثلاثي الأبعاد',
+  'header.title': 'المساعد الشخصي',
+  'header.menu': 'القائمة',
+
+  'chat.title': 'المساعد',
+  'chat.placeholder': 'اكتب سؤالك...',
+  'chat.send': 'إرسال',
+  'chat.stop': 'إيقاف',
+  'chat.user': 'المستخدم',
+  'chat.assistant': 'المساعد',
+  'chat.stopped': '(تم الإيقاف)',
+  'chat.notUnderstood': 'لم أفهم ذلك. هل يمكنك إعادة الصياغة؟',
+  'chat.error': 'عذرًا، حدث خطأ أثناء معالجة طلبك.',
+  'chat.resultFallback': 'إليك ما وجدته.',
+  'chat.thinking': 'يكتب…',
+  'chat.queued': 'لم يُرسل بعد: في انتظار الاتصال',
+  'chat.log': 'المحادثة',
+  'chat.input': 'الرسالة',
+
+  'voice.once': 'اطرح سؤالًا بالصوت',
+  'voice.handsFree': 'وضع الصوت دون استخدام اليدين',
+  'voice.error': 'خطأ في التعرف على الصوت: {error}',
+  'voice.unsupported': 'يتطلب الإدخال الصوتي متصفح Chrome أو Edge، أو خدمة تحويل الكلام إلى نص (stt.url في الإعدادات).',
+
+  'menu.avatar': 'الصورة الرمزية',
+  'menu.conversations': 'المحادثات',
+  'menu.language': 'اللغة',
+  'menu.account': 'الحساب',
+
+  'auth.signIn': 'تسجيل الدخول',
+  'auth.signOut': 'تسجيل الخروج',
+  'auth.signedIn': 'تم تسجيل الدخول',
+  'auth.signedInAs': 'تم تسجيل الدخول باسم {name}',
+  'auth.signedOut': 'لم يتم تسجيل الدخول',
+  'auth.declined': 'لا يمكنني الإجابة عن أسئلة حسابك إلا بعد تسجيل الدخول. يرجى تسجيل الدخول أولًا.',
+  'auth.expired': 'انتهت صلاحية جلستك. يرجى تسجيل الدخول مرة أخرى.',
+  'auth.placeholder': 'سجّل الدخول لتسأل عن حسابك',
+  'auth.failed': 'تعذّر تسجيل الدخول: {error}',
+  'auth.trustOrigin': 'هل تريد إرسال بيانات تسجيل دخولك إلى {origin} مع أسئلتك؟ لا تسمح إلا للخوادم التي تثق بها.',
+  'auth.untrusted': 'لا يتم إرسال بيانات تسجيل دخولك إلى {origin} لأنه ليس خادمًا موثوقًا. أدخل عنوان API مجددًا في ⚙ للسماح به.',
+
+  'actions.allow': 'سماح',
+  'actions.cancel': 'إلغاء',
+  'actions.allowed': 'تم السماح',
+  'actions.declined': 'تم الإلغاء',
+  'actions.navigate': 'فتح {url}؟',
+
+  'settings.title': 'الإعدادات',
+  'settings.voice': 'الصوت',
+  'settings.voiceAuto': 'تلقائي',
+  'settings.rate': 'السرعة',
+  'settings.pitch': 'طبقة الصوت',
+  'settings.muted': 'كتم الصوت',
+  'settings.exposure': 'السطوع',
+  'settings.environment': 'البيئة',
+  'settings.environment.studio': 'استوديو',
+  'settings.environment.office': 'مكتب',
+  'settings.environment.outdoor': 'في الهواء الطلق',
+  'settings.environment.brand': 'لون العلامة',
+  'settings.quality': 'الجودة',
+  'settings.quality.auto': 'تلقائية',
+  'settings.quality.low': 'منخفضة',
+  'settings.quality.medium': 'متوسطة',
+  'settings.quality.high': 'عالية',
+  'settings.quality.ultra': 'فائقة',
+  'settings.stats': 'إظهار معدل الإطارات',
+  'settings.contrast': 'التباين',
+  'settings.contrast.auto': 'النظام',
+  'settings.contrast.normal': 'عادي',
+  'settings.contrast.high': 'عالٍ',
+  'settings.motion': 'الحركة',
+  'settings.motion.auto': 'النظام',
+  'settings.motion.full': 'كاملة',
+  'settings.motion.reduced': 'مخفّضة',
+  'settings.captions': 'الترجمة النصية',
+  'settings.handsFree': 'وضع الصوت دون استخدام اليدين',
+  'settings.apiUrl': 'عنوان واجهة API',
+  'settings.invalid': 'أدخل عنوان http(s) صالحًا.',
+  'settings.test': 'تجربة الصوت',
+  'settings.sample': 'مرحبًا! هكذا يبدو صوتي بهذه الإعدادات.',
+  'settings.reset': 'إعادة الضبط',
+
+  'avatar.urlLabel': 'رابط الصورة الرمزية',
+  'avatar.load': 'تحميل',
+  'avatar.dropHint': 'أو أفلت ملف ‎.glb / .vrm‎ في أي مكان على الصفحة.',
+  'avatar.drop': 'أفلت ملف الصورة الرمزية لتحميله',
+  'avatar.dismiss': 'إغلاق',
+  'avatar.loading': 'جارٍ تحميل {name}…',
+  'avatar.loadingBytes': 'جارٍ التحميل… {size} ميغابايت',
+  'avatar.loadFailed': 'تعذّر تحميل {name}: {error}',
+  'avatar.notFound': 'لم يتم العثور على الملف (404).',
+  'avatar.denied': 'تم رفض الوصول إلى الملف.',
+  'avatar.network': 'تعذّر تنزيل الملف (خطأ في الشبكة أو CORS).',
+  'avatar.invalid': 'الملف ليس نموذج GLB/glTF صالحًا.',
+  'avatar.unknownError': 'خطأ غير معروف.',
+  'avatar.unsupportedFile': 'يمكن تحميل ملفات .glb و.gltf و.vrm فقط كصور رمزية.',
+
+  'session.label': 'المحادثة',
+  'session.defaultName': 'المحادثة {number}',
+  'session.imported': 'محادثة مستوردة',
+  'session.new': 'جديدة',
+  'session.rename': 'إعادة تسمية',
+  'session.delete': 'حذف',
+  'session.renamePrompt': 'اسم المحادثة',
+  'session.deleteConfirm': 'حذف "{name}"؟',
+  'session.exportJson': 'تصدير JSON',
+  'session.exportMarkdown': 'تصدير Markdown',
+  'session.import': 'استيراد',
+  'session.importError': 'تعذّر استيراد المحادثات: {error}',
+  'session.importEmpty': 'لم يتم العثور على محادثات في هذا الملف.',
+  'session.started': 'بدأت في {date}',
+
+  'tx.date': 'التاريخ',
+  'tx.description': 'الوصف',
+  'tx.category': 'الفئة',
+  'tx.amount': 'المبلغ',
+  'tx.total': 'الإجمالي ({count})',
+  'tx.found': {
+    one: 'وجدت معاملة واحدة{period}، بإجمالي {total}.',
+    two: 'وجدت معاملتين{period}، بإجمالي {total}.',
+    few: 'وجدت {count} معاملات{period}، بإجمالي {total}.',
+    other: 'وجدت {count} معاملة{period}، بإجمالي {total}.',
+  },
+  'tx.periodBetween': ' بين {from} و{to}',
+  'tx.periodOn': ' في {date}',
+  'tx.periodSince': ' منذ {date}',
+  'tx.periodUntil': ' حتى {date}',
+  'tx.largest': 'كانت أكبرها بقيمة {amount}.',
+  'tx.largestFor': 'كانت أكبرها بقيمة {amount} لـ {description}.',
+  'tx.details': 'التفاصيل موجودة في الجدول.',
+
+  'chart.category': 'الإنفاق حسب الفئة',
+  'chart.merchants': 'أكثر التجار',
+  'chart.balance': 'الرصيد عبر الزمن',
+  'chart.other': 'أخرى',
+  'chart.uncategorized': 'بدون فئة',
+  'chart.unknown': 'غير معروف',
+};
@@ -0,0 +1,138 @@
+// English (source catalog: every key must exist here)
+export default {
+  'app.title': 'Advanced 3D Chat Assistant',
+  'header.title': 'Personal Assistant',
+  'header.menu': 'Menu',
+
+  'chat.title': 'Assistant',
+  'chat.placeholder': 'Type your question...',
+  'chat.send': 'Send',
+  'chat.stop': 'Stop',
+  'chat.user': 'User',
+  'chat.assistant': 'Assistant',
+  'chat.stopped': '(stopped)',
+  'chat.notUnderstood': 'I did not understand that. Could you please rephrase?',
+  'chat.error': 'Sorry, I encountered an error processing your request.',
+  'chat.resultFallback': 'Here is what I found.',
+  'chat.thinking': 'Typing…',
+  'chat.queued': 'Not sent yet: waiting for the connection',
+  'chat.log': 'Conversation',
+  'chat.input': 'Message',
+
+  'voice.once': 'Speak one question',
+  'voice.handsFree': 'Hands-free voice mode',
+  'voice.error': 'Error with voice recognition: {error}',
+  'voice.unsupported': 'Voice input needs Chrome or Edge, or a speech-to-text endpoint (stt.url in the config).',
+
+  'menu.avatar': 'Avatar',
+  'menu.conversations': 'Conversations',
+  'menu.language': 'Language',
+  'menu.account': 'Account',
+
+  'auth.signIn': 'Sign in',
+  'auth.signOut': 'Sign out',
+  'auth.signedIn': 'Signed in',
+  'auth.signedInAs': 'Signed in as {name}',
+  'auth.signedOut': 'Not signed in',
+  'auth.declined': "I can only answer questions about your account once you're signed in. Please sign in first.",
+  'auth.expired': 'Your session has expired. Please sign in again.',
+  'auth.placeholder': 'Sign in to ask about your account',
+  'auth.failed': 'Sign-in failed: {error}',
+  'auth.trustOrigin': 'Send your sign-in to {origin} along with your questions? Only allow servers you trust.',
+  'auth.untrusted': "Your sign-in isn't sent to {origin}: it isn't a trusted server. Set the API URL in ⚙ again to allow it.",
+
+  'actions.allow': 'Allow',
+  'actions.cancel': 'Cancel',
+  'actions.allowed': 'Allowed',
+  'actions.declined': 'Cancelled',
+  'actions.navigate': 'Open {url}?',
+
+  'settings.title': 'Settings',
+  'settings.voice': 'Voice',
+  'settings.voiceAuto': 'Automatic',
+  'settings.rate': 'Speed',
+  'settings.pitch': 'Pitch',
+  'settings.muted': 'Mute voice',
+  'settings.exposure': 'Brightness',
+  'settings.environment': 'Environment',
+  'settings.environment.studio': 'Studio',
+  'settings.environment.office': 'Office',
+  'settings.environment.outdoor': 'Outdoor',
+  'settings.environment.brand': 'Brand colour',
+  'settings.quality': 'Quality',
+  'settings.quality.auto': 'Automatic',
+  'settings.quality.low': 'Low',
+  'settings.quality.medium': 'Medium',
+  'settings.quality.high': 'High',
+  'settings.quality.ultra': 'Ultra',
+  'settings.stats': 'Show FPS',
+  'settings.contrast': 'Contrast',
+  'settings.contrast.auto': 'System',
+  'settings.contrast.normal': 'Normal',
+  'settings.contrast.high': 'High',
+  'settings.motion': 'Motion',
+  'settings.motion.auto': 'System',
+  'settings.motion.full': 'Full',
+  'settings.motion.reduced': 'Reduced',
+  'settings.captions': 'Captions',
+  'settings.handsFree': 'Hands-free voice mode',
+  'settings.apiUrl': 'API URL',
+  'settings.invalid': 'Enter a valid http(s) URL.',
+  'settings.test': 'Test voice',
+  'settings.sample': 'Hello! This is how I sound with these settings.',
+  'settings.reset': 'Reset',
+
+  'avatar.urlLabel': 'Avatar URL',
+  'avatar.load': 'Load',
+  'avatar.dropHint': 'Or drop a .glb / .vrm file anywhere on the page.',
+  'avatar.drop': 'Drop avatar file to load it',
+  'avatar.dismiss': 'Dismiss',
+  'avatar.loading': 'Loading {name}…',
+  'avatar.loadingBytes': 'Loading… {size} MB',
+  'avatar.loadFailed': "Couldn't load {name}: {error}",
+  'avatar.notFound': 'The file was not found (404).',
+  'avatar.denied': 'Access to the file was denied.',
+  'avatar.network': 'The file could not be downloaded (network or CORS error).',
+  'avatar.invalid': 'The file is not a valid GLB/glTF model.',
+  'avatar.unknownError': 'Unknown error.',
+  'avatar.unsupportedFile': 'Only .glb, .gltf and .vrm files can be loaded as avatars.',
+
+  'session.label': 'Conversation',
+  'session.defaultName': 'Conversation {number}',
+  'session.imported': 'Imported conversation',
+  'session.new': 'New',
+  'session.rename': 'Rename',
+  'session.delete': 'Delete',
+  'session.renamePrompt': 'Conversation name',
+  'session.deleteConfirm': 'Delete "{name}"?',
+  'session.exportJson': 'Export JSON',
+  'session.exportMarkdown': 'Export Markdown',
+  'session.import': 'Import',
+  'session.importError': 'Could not import conversations: {error}',
+  'session.importEmpty': 'No conversations found in that file.',
+  'session.started': 'Started {date}',
+
+  'tx.date': 'Date',
+  'tx.description': 'Description',
+  'tx.category': 'Category',
+  'tx.amount': 'Amount',
+  'tx.total': 'Total ({count})',
+  'tx.found': {
+    one: 'I found one transaction{period}, totalling {total}.',
+    other: 'I found {count} transactions{period}, totalling {total}.',
+  },
+  'tx.periodBetween': ' between {from} and {to}',
+  'tx.periodOn': ' on {date}',
+  'tx.periodSince': ' since {date}',
+  'tx.periodUntil': ' up to {date}',
+  'tx.largest': 'The largest was {amount}.',
+  'tx.largestFor': 'The largest was {amount} for {description}.',
+  'tx.details': 'The details are in the table.',
+
+  'chart.category': 'Spending by category',
+  'chart.merchants': 'Top merchants',
+  'chart.balance': 'Balance over time',
+  'chart.other': 'Other',
+  'chart.uncategorized': 'Uncategorized',
+  'chart.unknown': 'Unknown',
+};
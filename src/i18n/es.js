@@ -0,0 +1,138 @@
+// Spanish
+export default {
+  'app.title': 'Asistente de chat 3D avanzado',
+  'header.title': 'Asistente personal',
+  'header.menu': 'Menú',
+
+  'chat.title': 'Asistente',
+  'chat.placeholder': 'Escribe tu pregunta...',
+  'chat.send': 'Enviar',
+  'chat.stop': 'Detener',
+  'chat.user': 'Usuario',
+  'chat.assistant': 'Asistente',
+  'chat.stopped': '(detenido)',
+  'chat.notUnderstood': 'No lo he entendido. ¿Puedes reformularlo?',
+  'chat.error': 'Lo siento, se produjo un error al procesar tu solicitud.',
+  'chat.resultFallback': 'Esto es lo que he encontrado.',
+  'chat.thinking': 'Escribiendo…',
+  'chat.queued': 'Aún sin enviar: esperando la conexión',
+  'chat.log': 'Conversación',
+  'chat.input': 'Mensaje',
+
+  'voice.once': 'Hacer una pregunta por voz',
+  'voice.handsFree': 'Modo de voz manos libres',
+  'voice.error': 'Error en el reconocimiento de voz: {error}',
+  'voice.unsupported': 'La entrada de voz necesita Chrome o Edge, o un servicio de voz a texto (stt.url en la configuración).',
+
+  'menu.avatar': 'Avatar',
+  'menu.conversations': 'Conversaciones',
+  'menu.language': 'Idioma',
+  'menu.account': 'Cuenta',
+
+  'auth.signIn': 'Iniciar sesión',
+  'auth.signOut': 'Cerrar sesión',
+  'auth.signedIn': 'Sesión iniciada',
+  'auth.signedInAs': 'Sesión iniciada como {name}',
+  'auth.signedOut': 'Sin sesión iniciada',
+  'auth.declined': 'Solo puedo responder preguntas sobre tu cuenta cuando hayas iniciado sesión. Inicia sesión primero.',
+  'auth.expired': 'Tu sesión ha caducado. Vuelve a iniciar sesión.',
+  'auth.placeholder': 'Inicia sesión para preguntar por tu cuenta',
+  'auth.failed': 'No se pudo iniciar sesión: {error}',
+  'auth.trustOrigin': '¿Enviar tu inicio de sesión a {origin} junto con tus preguntas? Permítelo solo con servidores de confianza.',
+  'auth.untrusted': 'Tu inicio de sesión no se envía a {origin}: no es un servidor de confianza. Vuelve a indicar la URL de la API en ⚙ para permitirlo.',
+
+  'actions.allow': 'Permitir',
+  'actions.cancel': 'Cancelar',
+  'actions.allowed': 'Permitido',
+  'actions.declined': 'Cancelado',
+  'actions.navigate': '¿Abrir {url}?',
+
+  'settings.title': 'Ajustes',
+  'settings.voice': 'Voz',
+  'settings.voiceAuto': 'Automática',
+  'settings.rate': 'Velocidad',
+  'settings.pitch': 'Tono',
+  'settings.muted': 'Silenciar voz',
+  'settings.exposure': 'Brillo',
+  'settings.environment': 'Entorno',
+  'settings.environment.studio': 'Estudio',
+  'settings.environment.office': 'Oficina',
+  'settings.environment.outdoor': 'Exterior',
+  'settings.environment.brand': 'Color de marca',
+  'settings.quality': 'Calidad',
+  'settings.quality.auto': 'Automática',
+  'settings.quality.low': 'Baja',
+  'settings.quality.medium': 'Media',
+  'settings.quality.high': 'Alta',
+  'settings.quality.ultra': 'Ultra',
+  'settings.stats': 'Mostrar FPS',
+  'settings.contrast': 'Contraste',
+  'settings.contrast.auto': 'Sistema',
+  'settings.contrast.normal': 'Normal',
+  'settings.contrast.high': 'Alto',
+  'settings.motion': 'Movimiento',
+  'settings.motion.auto': 'Sistema',
+  'settings.motion.full': 'Completo',
+  'settings.motion.reduced': 'Reducido',
+  'settings.captions': 'Subtítulos',
+  'settings.handsFree': 'Modo de voz manos libres',
+  'settings.apiUrl': 'URL de la API',
+  'settings.invalid': 'Introduce una URL http(s) válida.',
+  'settings.test': 'Probar voz',
+  'settings.sample': '¡Hola! Así sueno con estos ajustes.',
+  'settings.reset': 'Restablecer',
+
+  'avatar.urlLabel': 'URL del avatar',
+  'avatar.load': 'Cargar',
+  'avatar.dropHint': 'O arrastra un archivo .glb / .vrm a cualquier parte de la página.',
+  'avatar.drop': 'Suelta el archivo del avatar para cargarlo',
+  'avatar.dismiss': 'Cerrar',
+  'avatar.loading': 'Cargando {name}…',
+  'avatar.loadingBytes': 'Cargando… {size} MB',
+  'avatar.loadFailed': 'No se pudo cargar {name}: {error}',
+  'avatar.notFound': 'No se encontró el archivo (404).',
+  'avatar.denied': 'Se denegó el acceso al archivo.',
+  'avatar.network': 'No se pudo descargar el archivo (error de red o CORS).',
+  'avatar.invalid': 'El archivo no es un modelo GLB/glTF válido.',
+  'avatar.unknownError': 'Error desconocido.',
+  'avatar.unsupportedFile': 'Solo se pueden cargar archivos .glb, .gltf y .vrm como avatares.',
+
+  'session.label': 'Conversación',
+  'session.defaultName': 'Conversación {number}',
+  'session.imported': 'Conversación importada',
+  'session.new': 'Nueva',
+  'session.rename': 'Renombrar',
+  'session.delete': 'Eliminar',
+  'session.renamePrompt': 'Nombre de la conversación',
+  'session.deleteConfirm': '¿Eliminar «{name}»?',
+  'session.exportJson': 'Exportar JSON',
+  'session.exportMarkdown': 'Exportar Markdown',
+  'session.import': 'Importar',
+  'session.importError': 'No se pudieron importar las conversaciones: {error}',
+  'session.importEmpty': 'No se encontraron conversaciones en ese archivo.',
+  'session.started': 'Iniciada el {date}',
+
+  'tx.date': 'Fecha',
+  'tx.description': 'Descripción',
+  'tx.category': 'Categoría',
+  'tx.amount': 'Importe',
+  'tx.total': 'Total ({count})',
+  'tx.found': {
+    one: 'He encontrado una transacción{period}, por un total de {total}.',
+    other: 'He encontrado {count} transacciones{period}, por un total de {total}.',
+  },
+  'tx.periodBetween': ' entre el {from} y el {to}',
+  'tx.periodOn': ' el {date}',
+  'tx.periodSince': ' desde el {date}',
+  'tx.periodUntil': ' hasta el {date}',
+  'tx.largest': 'La mayor fue de {amount}.',
+  'tx.largestFor': 'La mayor fue de {amount} en {description}.',
+  'tx.details': 'Tienes los detalles en la tabla.',
+
+  'chart.category': 'Gastos por categoría',
+  'chart.merchants': 'Principales comercios',
+  'chart.balance': 'Saldo a lo largo del tiempo',
+  'chart.other': 'Otros',
+  'chart.uncategorized': 'Sin categoría',
+  'chart.unknown': 'Desconocido',
+};
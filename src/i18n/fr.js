@@ -0,0 +1,138 @@
+// French
+export default {
+  'app.title': 'Assistant de chat 3D avancé',
+  'header.title': 'Assistant personnel',
+  'header.menu': 'Menu',
+
+  'chat.title': 'Assistant',
+  'chat.placeholder': 'Posez votre question...',
+  'chat.send': 'Envoyer',
+  'chat.stop': 'Arrêter',
+  'chat.user': 'Utilisateur',
+  'chat.assistant': 'Assistant',
+  'chat.stopped': '(interrompu)',
+  'chat.notUnderstood': "Je n'ai pas compris. Pouvez-vous reformuler ?",
+  'chat.error': "Désolé, une erreur s'est produite lors du traitement de votre demande.",
+  'chat.resultFallback': "Voici ce que j'ai trouvé.",
+  'chat.thinking': "En train d'écrire…",
+  'chat.queued': 'Pas encore envoyé : en attente de la connexion',
+  'chat.log': 'Conversation',
+  'chat.input': 'Message',
+
+  'voice.once': 'Poser une question à voix haute',
+  'voice.handsFree': 'Mode vocal mains libres',
+  'voice.error': 'Erreur de reconnaissance vocale : {error}',
+  'voice.unsupported': "La saisie vocale nécessite Chrome ou Edge, ou un service de transcription (stt.url dans la configuration).",
+
+  'menu.avatar': 'Avatar',
+  'menu.conversations': 'Conversations',
+  'menu.language': 'Langue',
+  'menu.account': 'Compte',
+
+  'auth.signIn': 'Se connecter',
+  'auth.signOut': 'Se déconnecter',
+  'auth.signedIn': 'Connecté',
+  'auth.signedInAs': 'Connecté en tant que {name}',
+  'auth.signedOut': 'Non connecté',
+  'auth.declined': 'Je ne peux répondre aux questions sur votre compte que lorsque vous êtes connecté. Veuillez vous connecter.',
+  'auth.expired': 'Votre session a expiré. Veuillez vous reconnecter.',
+  'auth.placeholder': 'Connectez-vous pour poser des questions sur votre compte',
+  'auth.failed': 'Échec de la connexion : {error}',
+  'auth.trustOrigin': "Envoyer votre connexion à {origin} avec vos questions ? N'autorisez que les serveurs de confiance.",
+  'auth.untrusted': "Votre connexion n'est pas envoyée à {origin} : ce n'est pas un serveur de confiance. Saisissez à nouveau l'URL de l'API dans ⚙ pour l'autoriser.",
+
+  'actions.allow': 'Autoriser',
+  'actions.cancel': 'Annuler',
+  'actions.allowed': 'Autorisé',
+  'actions.declined': 'Annulé',
+  'actions.navigate': 'Ouvrir {url} ?',
+
+  'settings.title': 'Paramètres',
+  'settings.voice': 'Voix',
+  'settings.voiceAuto': 'Automatique',
+  'settings.rate': 'Vitesse',
+  'settings.pitch': 'Hauteur',
+  'settings.muted': 'Couper la voix',
+  'settings.exposure': 'Luminosité',
+  'settings.environment': 'Environnement',
+  'settings.environment.studio': 'Studio',
+  'settings.environment.office': 'Bureau',
+  'settings.environment.outdoor': 'Extérieur',
+  'settings.environment.brand': 'Couleur de marque',
+  'settings.quality': 'Qualité',
+  'settings.quality.auto': 'Automatique',
+  'settings.quality.low': 'Basse',
+  'settings.quality.medium': 'Moyenne',
+  'settings.quality.high': 'Haute',
+  'settings.quality.ultra': 'Ultra',
+  'settings.stats': 'Afficher les FPS',
+  'settings.contrast': 'Contraste',
+  'settings.contrast.auto': 'Système',
+  'settings.contrast.normal': 'Normal',
+  'settings.contrast.high': 'Élevé',
+  'settings.motion': 'Animations',
+  'settings.motion.auto': 'Système',
+  'settings.motion.full': 'Complètes',
+  'settings.motion.reduced': 'Réduites',
+  'settings.captions': 'Sous-titres',
+  'settings.handsFree': 'Mode vocal mains libres',
+  'settings.apiUrl': "URL de l'API",
+  'settings.invalid': 'Saisissez une URL http(s) valide.',
+  'settings.test': 'Tester la voix',
+  'settings.sample': 'Bonjour ! Voici ma voix avec ces réglages.',
+  'settings.reset': 'Réinitialiser',
+
+  'avatar.urlLabel': "URL de l'avatar",
+  'avatar.load': 'Charger',
+  'avatar.dropHint': "Ou déposez un fichier .glb / .vrm n'importe où sur la page.",
+  'avatar.drop': "Déposez le fichier de l'avatar pour le charger",
+  'avatar.dismiss': 'Fermer',
+  'avatar.loading': 'Chargement de {name}…',
+  'avatar.loadingBytes': 'Chargement… {size} Mo',
+  'avatar.loadFailed': 'Impossible de charger {name} : {error}',
+  'avatar.notFound': 'Le fichier est introuvable (404).',
+  'avatar.denied': "L'accès au fichier a été refusé.",
+  'avatar.network': "Le fichier n'a pas pu être téléchargé (erreur réseau ou CORS).",
+  'avatar.invalid': "Le fichier n'est pas un modèle GLB/glTF valide.",
+  'avatar.unknownError': 'Erreur inconnue.',
+  'avatar.unsupportedFile': 'Seuls les fichiers .glb, .gltf et .vrm peuvent être chargés comme avatars.',
+
+  'session.label': 'Conversation',
+  'session.defaultName': 'Conversation {number}',
+  'session.imported': 'Conversation importée',
+  'session.new': 'Nouvelle',
+  'session.rename': 'Renommer',
+  'session.delete': 'Supprimer',
+  'session.renamePrompt': 'Nom de la conversation',
+  'session.deleteConfirm': 'Supprimer « {name} » ?',
+  'session.exportJson': 'Exporter en JSON',
+  'session.exportMarkdown': 'Exporter en Markdown',
+  'session.import': 'Importer',
+  'session.importError': "Impossible d'importer les conversations : {error}",
+  'session.importEmpty': 'Aucune conversation trouvée dans ce fichier.',
+  'session.started': 'Commencée le {date}',
+
+  'tx.date': 'Date',
+  'tx.description': 'Libellé',
+  'tx.category': 'Catégorie',
+  'tx.amount': 'Montant',
+  'tx.total': 'Total ({count})',
+  'tx.found': {
+    one: "J'ai trouvé une transaction{period}, pour un total de {total}.",
+    other: "J'ai trouvé {count} transactions{period}, pour un total de {total}.",
+  },
+  'tx.periodBetween': ' entre le {from} et le {to}',
+  'tx.periodOn': ' le {date}',
+  'tx.periodSince': ' depuis le {date}',
+  'tx.periodUntil': " jusqu'au {date}",
+  'tx.largest': 'La plus importante était de {amount}.',
+  'tx.largestFor': 'La plus importante était de {amount} pour {description}.',
+  'tx.details': 'Le détail est dans le tableau.',
+
+  'chart.category': 'Dépenses par catégorie',
+  'chart.merchants': 'Principaux marchands',
+  'chart.balance': 'Évolution du solde',
+  'chart.other': 'Autres',
+  'chart.uncategorized': 'Sans catégorie',
+  'chart.unknown': 'Inconnu',
+};
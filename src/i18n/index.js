@@ -0,0 +1,110 @@
+import en from './en.js';
+import es from './es.js';
+import fr from './fr.js';
+import ar from './ar.js';
+
+/**
+ * UI language.
+ *
+ * One setting drives everything language-dependent: the string catalog, the
+ * page's `lang`/`dir` (RTL layout), number/date formatting, the speech
+ * recognition locale, the TTS voice, and the language the backend is asked
+ * to reply in.
+ *
+ * Catalog strings use `{name}` placeholders. A string can also be an object of
+ * plural forms (`one`, `two`, `few`, `other`, ... as in Intl.PluralRules),
+ * picked by the `count` parameter.
+ *
+ * Static markup is translated through attributes:
+ *   data-i18n="key"              -> textContent
+ *   data-i18n-placeholder="key"  -> placeholder
+ *   data-i18n-title="key"        -> title
+ *   data-i18n-aria-label="key"   -> aria-label
+ */
+
+/** Supported languages; `locale` is the default region for speech. */
+export const LANGUAGES = {
+  en: { name: 'English', locale: 'en-US', catalog: en },
+  es: { name: 'Español', locale: 'es-ES', catalog: es },
+  fr: { name: 'Français', locale: 'fr-FR', catalog: fr },
+  ar: { name: 'العربية', locale: 'ar-SA', catalog: ar, rtl: true },
+};
+
+// The language picked in the Menu; read back by getRuntimeConfig()
+export const LANGUAGE_STORAGE_KEY = 'assistant.language';
+
+const base = (tag) => String(tag || '').toLowerCase().split(/[-_]/)[0];
+
+let current = { code: 'en', locale: 'en-US', ...LANGUAGES.en };
+let plurals = new Intl.PluralRules(current.locale);
+
+/**
+ * Pick a supported language for a requested tag ('' = the browser's preference).
+ * @param {string} [requested]
+ * @returns {string} A key of LANGUAGES.
+ */
+export function resolveLanguage(requested) {
+  const candidates = requested ? [requested] : [...(navigator.languages || []), navigator.language];
+  for (const tag of candidates) {
+    if (LANGUAGES[base(tag)]) return base(tag);
+  }
+  return 'en';
+}
+
+/**
+ * Switch the UI language and update the document (lang, dir, title, marked-up strings).
+ * @param {string} [requested] - Language code or BCP 47 tag; '' = browser language.
+ */
+export function setLanguage(requested) {
+  const code = resolveLanguage(requested);
+  // Keep the user's own region when it matches ("en-GB" stays "en-GB")
+  const regional = [requested, ...(navigator.languages || [])].find((tag) => tag?.includes('-') && base(tag) === code);
+  current = { ...LANGUAGES[code], code, locale: regional || LANGUAGES[code].locale };
+  plurals = new Intl.PluralRules(current.locale);
+
+  document.documentElement.lang = current.locale;
+  document.documentElement.dir = current.rtl ? 'rtl' : 'ltr';
+  translatePage();
+}
+
+/**
+ * @returns {{code: string, locale: string, name: string, rtl?: boolean}}
+ */
+export function getLanguage() {
+  return current;
+}
+
+/**
+ * Look up a string and fill in `{placeholders}`.
+ * Falls back to English, then to the key itself.
+ * @param {string} key
+ * @param {object} [params]
+ * @returns {string}
+ */
+export function t(key, params = {}) {
+  let entry = current.catalog[key] ?? en[key] ?? key;
+  if (typeof entry === 'object') {
+    entry = entry[plurals.select(params.count ?? 0)] ?? entry.other;
+  }
+  return entry.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
+
+/**
+ * Apply the catalog to `data-i18n*` attributes under `root`.
+ * @param {ParentNode} [root=document]
+ */
+export function translatePage(root = document) {
+  if (root === document) document.title = t('app.title');
+  for (const element of root.querySelectorAll('[data-i18n]')) {
+    element.textContent = t(element.dataset.i18n);
+  }
+  for (const [attribute, dataKey] of [
+    ['placeholder', 'i18nPlaceholder'],
+    ['title', 'i18nTitle'],
+    ['aria-label', 'i18nAriaLabel'],
+  ]) {
+    for (const element of root.querySelectorAll(`[data-i18n-${attribute}]`)) {
+      element.setAttribute(attribute, t(element.dataset[dataKey]));
+    }
+  }
+}
@@ -0,0 +1,246 @@
+import { VISEMES, MOUTH_CHANNELS, VISEME_SHAPES, VISEME_DOMINANCE } from './visemes.js';
+import { textToTimeline, wordsToTimeline } from './phonemes.js';
+
+export { VISEMES, MOUTH_CHANNELS } from './visemes.js';
+
+const smoothstep = (edge0, edge1, x) => {
+  const t = Math.min(1, Math.max(0, (x - edge0) / (edge1 - edge0)));
+  return t * t * (3 - 2 * t);
+};
+
+/**
+ * Lip-sync engine.
+ *
+ * Three sources can drive the mouth:
+ *   - Timestamps: `playTimeline()` takes viseme or word timings from a TTS server
+ *     and follows them exactly.
+ *   - Text: `speakText()` builds a viseme timeline from the utterance text, and
+ *     `boundary()` (SpeechSynthesis `onboundary` word events) re-anchors the clock
+ *     so the timeline stays in step with the real voice.
+ *   - Audio: `attachAnalyser()` reads amplitude and spectral balance from a Web
+ *     Audio AnalyserNode while audio is played back. This wins over text when both
+ *     are present.
+ *
+ * Call `update(dt)` once per frame. It returns smoothed viseme weights and the
+ * derived mouth channels (see visemes.js); neighbouring visemes are blended
+ * (coarticulation) so the mouth moves through shapes instead of snapping.
+ */
+export function createLipSync() {
+  let timeline = null;
+  let clockStart = 0;
+  let segmentIndex = 0;
+  let analyser = null;
+  let timeData = null;
+  let freqData = null;
+
+  const target = Object.fromEntries(VISEMES.map((v) => [v, 0]));
+  const output = {
+    visemes: Object.fromEntries(VISEMES.map((v) => [v, 0])),
+    channels: Object.fromEntries(MOUTH_CHANNELS.map((c) => [c, 0])),
+  };
+
+  const now = () => performance.now() * 0.001;
+
+  function clearTarget() {
+    for (const viseme of VISEMES) target[viseme] = 0;
+  }
+
+  /**
+   * Timeline mode: current segment plus anticipation of the next one and a bit
+   * of carry-over from the previous one, weighted by dominance.
+   */
+  function sampleTimeline() {
+    const t = now() - clockStart;
+    const { segments } = timeline;
+    if (!segments.length || t >= timeline.duration) {
+      target.sil = 1;
+      return;
+    }
+
+    // Segments are sorted; walk forward (or back after a resync)
+    while (segmentIndex > 0 && segments[segmentIndex].start > t) segmentIndex--;
+    while (segmentIndex < segments.length - 1 && segments[segmentIndex].end <= t) segmentIndex++;
+
+    const current = segments[segmentIndex];
+    if (t < current.start) {
+      // In a gap between words
+      target.sil = 1;
+      return;
+    }
+
+    const progress = (t - current.start) / (current.end - current.start);
+    const dominance = VISEME_DOMINANCE[current.viseme];
+    let currentWeight = 1;
+
+    const next = segments[segmentIndex + 1];
+    if (next) {
+      const share = VISEME_DOMINANCE[next.viseme] / (dominance + VISEME_DOMINANCE[next.viseme]);
+      const weight = smoothstep(0.5, 1, progress) * share;
+      target[next.viseme] += weight;
+      currentWeight -= weight;
+    }
+
+    const previous = segments[segmentIndex - 1];
+    if (previous) {
+      const share = VISEME_DOMINANCE[previous.viseme] / (dominance + VISEME_DOMINANCE[previous.viseme]);
+      const weight = (1 - smoothstep(0, 0.3, progress)) * share * 0.6;
+      target[previous.viseme] += weight;
+      currentWeight -= weight;
+    }
+
+    target[current.viseme] += Math.max(0, currentWeight);
+  }
+
+  /**
+   * Audio mode: loudness opens the jaw, band energies pick the mouth shape.
+   */
+  function sampleAnalyser() {
+    analyser.getFloatTimeDomainData(timeData);
+    analyser.getByteFrequencyData(freqData);
+
+    let sum = 0;
+    for (let i = 0; i < timeData.length; i++) sum += timeData[i] * timeData[i];
+    const rms = Math.sqrt(sum / timeData.length);
+    const energy = Math.min(1, Math.max(0, (rms - 0.01) * 6));
+
+    if (energy < 0.05) {
+      target.sil = 1;
+      return;
+    }
+
+    const binHz = analyser.context.sampleRate / analyser.fftSize;
+    const band = (from, to) => {
+      let total = 0;
+      const start = Math.floor(from / binHz);
+      const end = Math.min(freqData.length, Math.ceil(to / binHz));
+      for (let i = start; i < end; i++) total += freqData[i];
+      return total / Math.max(1, end - start) / 255;
+    };
+
+    const low = band(200, 800);     // first formant region
+    const mid = band(800, 2500);    // second formant region
+    const high = band(4000, 8000);  // fricative noise
+
+    let viseme;
+    if (high > (low + mid) * 0.6) {
+      viseme = 'SS';
+    } else if (mid > low * 1.1) {
+      viseme = mid > low * 1.5 ? 'ih' : 'E';
+    } else if (mid < low * 0.5) {
+      viseme = 'ou';
+    } else if (mid < low * 0.8) {
+      viseme = 'oh';
+    } else {
+      viseme = 'aa';
+    }
+
+    target[viseme] = energy;
+    target.sil = 1 - energy;
+  }
+
+  return {
+    /**
+     * Start text-driven lip-sync for an utterance that begins now.
+     * @param {string} text
+     * @param {object} [options]
+     * @param {number} [options.rate=1] - Speech rate of the utterance.
+     */
+    speakText(text, { rate = 1 } = {}) {
+      timeline = textToTimeline(text, rate);
+      clockStart = now();
+      segmentIndex = 0;
+    },
+
+    /**
+     * Start lip-sync from server-provided timings, for audio that begins now.
+     * Viseme timings are used as-is; word timings are expanded into visemes.
+     * @param {object} timings
+     * @param {{viseme: string, start: number, end: number}[]} [timings.visemes] - Seconds.
+     * @param {{word: string, start: number, end?: number}[]} [timings.words] - Seconds.
+     */
+    playTimeline({ visemes, words }) {
+      if (visemes?.length) {
+        const segments = visemes.filter((segment) => segment.viseme in VISEME_SHAPES);
+        const last = segments[segments.length - 1];
+        timeline = { segments, words: [], duration: last ? last.end : 0 };
+      } else {
+        timeline = wordsToTimeline(words || []);
+      }
+      clockStart = now();
+      segmentIndex = 0;
+    },
+
+    /**
+     * Re-anchor the timeline to a word boundary reported by the speech engine.
+     * @param {number} charIndex - `SpeechSynthesisEvent.charIndex`.
+     */
+    boundary(charIndex) {
+      if (!timeline) return;
+      const word = timeline.words.find((w) => w.charIndex >= charIndex);
+      if (word) {
+        clockStart = now() - word.start;
+      }
+    },
+
+    /**
+     * Drive the mouth from live audio instead of text.
+     * @param {AnalyserNode} node
+     */
+    attachAnalyser(node) {
+      analyser = node;
+      timeData = new Float32Array(node.fftSize);
+      freqData = new Uint8Array(node.frequencyBinCount);
+    },
+
+    detachAnalyser() {
+      analyser = null;
+    },
+
+    /** Stop all mouth movement; shapes ease back to rest. */
+    stop() {
+      timeline = null;
+      analyser = null;
+    },
+
+    isActive() {
+      return Boolean(timeline || analyser);
+    },
+
+    /**
+     * Advance smoothing by `dt` seconds and return the current mouth pose.
+     * The returned object is reused between calls.
+     */
+    update(dt) {
+      clearTarget();
+      if (analyser) {
+        sampleAnalyser();
+      } else if (timeline) {
+        sampleTimeline();
+      } else {
+        target.sil = 1;
+      }
+
+      for (const viseme of VISEMES) {
+        const current = output.visemes[viseme];
+        // Open quickly, relax a little slower
+        const speed = target[viseme] > current ? 28 : 16;
+        output.visemes[viseme] = current + (target[viseme] - current) * (1 - Math.exp(-speed * dt));
+      }
+
+      for (const channel of MOUTH_CHANNELS) output.channels[channel] = 0;
+      for (const viseme of VISEMES) {
+        const weight = output.visemes[viseme];
+        if (weight < 0.001) continue;
+        const shape = VISEME_SHAPES[viseme];
+        for (const channel in shape) {
+          output.channels[channel] += shape[channel] * weight;
+        }
+      }
+      for (const channel of MOUTH_CHANNELS) {
+        output.channels[channel] = Math.min(1, output.channels[channel]);
+      }
+
+      return output;
+    },
+  };
+}
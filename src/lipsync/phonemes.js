@@ -0,0 +1,174 @@
+import { isVowel } from './visemes.js';
+
+/**
+ * Rough English text-to-viseme conversion.
+ *
+ * This is not a real phonemizer; it applies spelling rules that are good enough
+ * to make the mouth follow what is being said (closed lips on "b/m/p", rounded
+ * lips on "oo/w", tongue on "th", ...).
+ */
+
+// Checked first, longest first
+const DIGRAPHS = [
+  ['tch', ['CH']],
+  ['igh', ['aa', 'ih']],
+  ['th', ['TH']],
+  ['sh', ['CH']],
+  ['ch', ['CH']],
+  ['ph', ['FF']],
+  ['gh', []],
+  ['ng', ['nn']],
+  ['ck', ['kk']],
+  ['qu', ['kk', 'ou']],
+  ['wh', ['ou']],
+  ['oo', ['ou']],
+  ['ee', ['ih']],
+  ['ea', ['ih']],
+  ['ai', ['E']],
+  ['ay', ['E']],
+  ['oa', ['oh']],
+  ['oi', ['oh', 'ih']],
+  ['oy', ['oh', 'ih']],
+  ['ou', ['aa', 'ou']],
+  ['ow', ['oh', 'ou']],
+  ['au', ['aa']],
+  ['aw', ['aa']],
+];
+
+const LETTERS = {
+  a: ['aa'], e: ['E'], i: ['ih'], o: ['oh'], u: ['ou'], y: ['ih'],
+  b: ['PP'], m: ['PP'], p: ['PP'],
+  f: ['FF'], v: ['FF'],
+  d: ['DD'], t: ['DD'],
+  l: ['nn'], n: ['nn'],
+  g: ['kk'], k: ['kk'], q: ['kk'],
+  j: ['CH'],
+  r: ['RR'],
+  s: ['SS'], z: ['SS'],
+  x: ['kk', 'SS'],
+  w: ['ou'],
+  h: [],
+};
+
+const DIGITS = ['zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine'];
+
+/**
+ * Convert a single word to a viseme sequence.
+ * @param {string} word
+ * @returns {string[]}
+ */
+export function wordToVisemes(word) {
+  let text = word.toLowerCase().replace(/\d/g, (d) => DIGITS[d]).replace(/[^a-z]/g, '');
+
+  // Soft "c" at the end ("balance") before the silent "e" is dropped
+  text = text.replace(/ce$/, 's');
+
+  // Silent trailing "e" ("make", "home"), but keep it for short words ("be", "the")
+  if (text.length > 3 && /[^aeiou]e$/.test(text)) {
+    text = text.slice(0, -1);
+  }
+
+  const result = [];
+  let i = 0;
+  while (i < text.length) {
+    const digraph = DIGRAPHS.find(([letters]) => text.startsWith(letters, i));
+    if (digraph) {
+      result.push(...digraph[1]);
+      i += digraph[0].length;
+      continue;
+    }
+
+    const char = text[i];
+    if (char === 'c') {
+      // Soft "c" before e/i/y
+      result.push(/[eiy]/.test(text[i + 1] || '') ? 'SS' : 'kk');
+    } else if (LETTERS[char]) {
+      result.push(...LETTERS[char]);
+    }
+    i++;
+  }
+
+  // Collapse repeats ("ll", "ss") into one viseme
+  return result.filter((viseme, index) => viseme !== result[index - 1]);
+}
+
+/**
+ * Base duration (seconds, at speech rate 1) for a viseme.
+ */
+export function visemeDuration(viseme) {
+  return isVowel(viseme) ? 0.1 : 0.065;
+}
+
+/**
+ * Build a viseme timeline for a whole utterance.
+ *
+ * @param {string} text
+ * @param {number} [rate=1] - SpeechSynthesis rate; higher is faster.
+ * @returns {{ segments: {viseme: string, start: number, end: number}[],
+ *             words: {charIndex: number, start: number}[], duration: number }}
+ */
+export function textToTimeline(text, rate = 1) {
+  const segments = [];
+  const words = [];
+  let time = 0;
+
+  const wordPattern = /[\p{L}\p{N}']+|[.!?;:,]/gu;
+  let match;
+  while ((match = wordPattern.exec(text))) {
+    const token = match[0];
+
+    // Pauses for punctuation
+    if (/^[.!?;:]$/.test(token)) {
+      segments.push({ viseme: 'sil', start: time, end: time + 0.35 / rate });
+      time += 0.35 / rate;
+      continue;
+    }
+    if (token === ',') {
+      segments.push({ viseme: 'sil', start: time, end: time + 0.18 / rate });
+      time += 0.18 / rate;
+      continue;
+    }
+
+    words.push({ charIndex: match.index, start: time });
+    for (const viseme of wordToVisemes(token)) {
+      const duration = visemeDuration(viseme) / rate;
+      segments.push({ viseme, start: time, end: time + duration });
+      time += duration;
+    }
+
+    // Tiny gap between words
+    time += 0.03 / rate;
+  }
+
+  return { segments, words, duration: time };
+}
+
+/**
+ * Build a viseme timeline from word timestamps (e.g. returned by a TTS server).
+ * Each word's visemes are spread across its [start, end] span, weighted like
+ * `textToTimeline` weights them.
+ *
+ * @param {{word: string, start: number, end?: number, charIndex?: number}[]} words - Times in seconds.
+ */
+export function wordsToTimeline(words) {
+  const segments = [];
+  const anchors = [];
+
+  words.forEach((entry, index) => {
+    const next = words[index + 1];
+    const end = entry.end ?? (next ? next.start : entry.start + 0.3);
+    anchors.push({ charIndex: entry.charIndex ?? -1, start: entry.start });
+
+    const visemes = wordToVisemes(entry.word || '');
+    const total = visemes.reduce((sum, viseme) => sum + visemeDuration(viseme), 0);
+    let time = entry.start;
+    for (const viseme of visemes) {
+      const duration = ((end - entry.start) * visemeDuration(viseme)) / total;
+      segments.push({ viseme, start: time, end: time + duration });
+      time += duration;
+    }
+  });
+
+  const last = segments[segments.length - 1];
+  return { segments, words: anchors, duration: last ? last.end : 0 };
+}
@@ -0,0 +1,64 @@
+/**
+ * Viseme set and mouth shapes.
+ *
+ * We use the 15 Oculus/OVR visemes since most avatar pipelines (Ready Player Me,
+ * Character Creator, Oculus Lipsync) can export them. Each viseme is described as
+ * a mix of a few logical mouth channels so it can drive avatars that only have
+ * generic targets (mouthOpen, mouthSmile, ...) as well as ones with native viseme
+ * morphs.
+ *
+ * Channels (0..1):
+ *   jawOpen    - how far the jaw/mouth opens
+ *   mouthWide  - lips stretched sideways (smile-like)
+ *   mouthRound - lips rounded/pushed forward
+ *   mouthClose - lips pressed together
+ *   tongueOut  - tongue visible between the teeth
+ */
+
+export const VISEMES = ['sil', 'PP', 'FF', 'TH', 'DD', 'kk', 'CH', 'SS', 'nn', 'RR', 'aa', 'E', 'ih', 'oh', 'ou'];
+
+export const MOUTH_CHANNELS = ['jawOpen', 'mouthWide', 'mouthRound', 'mouthClose', 'tongueOut'];
+
+export const VISEME_SHAPES = {
+  sil: {},
+  PP: { mouthClose: 1 },
+  FF: { jawOpen: 0.1, mouthClose: 0.4, mouthWide: 0.2 },
+  TH: { jawOpen: 0.2, tongueOut: 0.6 },
+  DD: { jawOpen: 0.25, mouthWide: 0.15 },
+  kk: { jawOpen: 0.3, mouthWide: 0.1 },
+  CH: { jawOpen: 0.15, mouthRound: 0.5 },
+  SS: { jawOpen: 0.1, mouthWide: 0.35 },
+  nn: { jawOpen: 0.2, mouthWide: 0.1 },
+  RR: { jawOpen: 0.2, mouthRound: 0.4 },
+  aa: { jawOpen: 0.75, mouthWide: 0.1 },
+  E: { jawOpen: 0.45, mouthWide: 0.45 },
+  ih: { jawOpen: 0.3, mouthWide: 0.55 },
+  oh: { jawOpen: 0.55, mouthRound: 0.6 },
+  ou: { jawOpen: 0.25, mouthRound: 0.9 },
+};
+
+/**
+ * Dominance controls coarticulation: visemes that need a specific lip position
+ * (bilabials, labiodentals) resist being blended away by their neighbours.
+ */
+export const VISEME_DOMINANCE = {
+  sil: 0.5,
+  PP: 1.0,
+  FF: 0.9,
+  TH: 0.6,
+  DD: 0.3,
+  kk: 0.2,
+  CH: 0.7,
+  SS: 0.5,
+  nn: 0.3,
+  RR: 0.5,
+  aa: 0.8,
+  E: 0.7,
+  ih: 0.6,
+  oh: 0.8,
+  ou: 0.9,
+};
+
+const VOWELS = new Set(['aa', 'E', 'ih', 'oh', 'ou']);
+
+export const isVowel = (viseme) => VOWELS.has(viseme);
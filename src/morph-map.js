@@ -0,0 +1,196 @@
+/**
+ * Morph target mapping.
+ *
+ * The animation code talks in logical channels ("mouthOpen", "blink",
+ * "viseme_aa", ...). A mapping says which blendshapes on the model each channel
+ * drives. Built-in presets cover the common naming schemes; a JSON file can
+ * override or extend them per model:
+ *
+ *   {
+ *     "preset": "auto",                      // "auto" | "arkit" | "oculus" | "generic"
+ *     "channels": {
+ *       "mouthSmile": ["Smile_L", { "name": "Smile_R", "weight": 0.8 }]
+ *     }
+ *   }
+ *
+ * Every mesh carrying a matching target is bound (head, teeth, tongue, ...),
+ * not just the first one found.
+ */
+
+// Channels used by the facial animation in main.js
+export const FACE_CHANNELS = [
+  'mouthOpen', 'mouthSmile', 'mouthPucker', 'mouthClose', 'eyebrowRaise', 'blink',
+  'cheekRaise', 'lipCornerDepress', 'jawLeft', 'jawRight', 'tongueOut',
+];
+
+// Oculus/OVR viseme channels, keyed by lip-sync viseme id
+export const VISEME_CHANNELS = {
+  sil: 'viseme_sil', PP: 'viseme_PP', FF: 'viseme_FF', TH: 'viseme_TH', DD: 'viseme_DD',
+  kk: 'viseme_kk', CH: 'viseme_CH', SS: 'viseme_SS', nn: 'viseme_nn', RR: 'viseme_RR',
+  aa: 'viseme_aa', E: 'viseme_E', ih: 'viseme_I', oh: 'viseme_O', ou: 'viseme_U',
+};
+
+/**
+ * Presets. Names are matched case-insensitively; `generic` matches substrings,
+ * which is how the original hard-coded lookup behaved.
+ */
+export const MORPH_PRESETS = {
+  arkit: {
+    match: 'exact',
+    channels: {
+      mouthOpen: ['jawOpen'],
+      mouthSmile: ['mouthSmileLeft', 'mouthSmileRight'],
+      mouthPucker: ['mouthPucker', { name: 'mouthFunnel', weight: 0.5 }],
+      mouthClose: ['mouthClose'],
+      eyebrowRaise: ['browInnerUp', 'browOuterUpLeft', 'browOuterUpRight'],
+      blink: ['eyeBlinkLeft', 'eyeBlinkRight'],
+      cheekRaise: ['cheekSquintLeft', 'cheekSquintRight'],
+      lipCornerDepress: ['mouthFrownLeft', 'mouthFrownRight'],
+      jawLeft: ['jawLeft'],
+      jawRight: ['jawRight'],
+      tongueOut: ['tongueOut'],
+    },
+  },
+
+  oculus: {
+    match: 'exact',
+    channels: Object.fromEntries(Object.values(VISEME_CHANNELS).map((name) => [name, [name]])),
+  },
+
+  generic: {
+    match: 'substring',
+    channels: {
+      mouthOpen: ['mouthopen'],
+      mouthSmile: ['mouthsmile'],
+      mouthPucker: ['mouthpucker'],
+      mouthClose: ['mouthclose'],
+      eyebrowRaise: ['browraise'],
+      blink: ['blink'],
+      cheekRaise: ['cheekraise'],
+      lipCornerDepress: ['lipcornerdepress'],
+      jawLeft: ['jawleft'],
+      jawRight: ['jawright'],
+      tongueOut: ['tongueout'],
+    },
+  },
+};
+
+// Tried in this order for `preset: "auto"`; the first preset that finds a target wins per channel
+const AUTO_ORDER = ['arkit', 'oculus', 'generic'];
+
+/**
+ * Load a mapping override file. A missing or invalid file just means "no overrides".
+ * @param {string|null} url
+ * @returns {Promise<object>}
+ */
+export async function loadMorphMap(url) {
+  if (!url) return {};
+  try {
+    const response = await fetch(url);
+    if (!response.ok) return {};
+    return await response.json();
+  } catch (error) {
+    console.warn(`Could not load morph map "${url}":`, error);
+    return {};
+  }
+}
+
+const toEntry = (entry) => (typeof entry === 'string' ? { name: entry, weight: 1 } : { weight: 1, ...entry });
+
+/**
+ * Find bindings for one channel's target list on the given meshes.
+ */
+function resolveTargets(meshes, targets, match) {
+  const bindings = [];
+  for (const mesh of meshes) {
+    const dict = mesh.morphTargetDictionary;
+    for (const entry of targets.map(toEntry)) {
+      const wanted = entry.name.toLowerCase();
+      for (const key in dict) {
+        const lowerKey = key.toLowerCase();
+        const hit = match === 'substring' ? lowerKey.includes(wanted) : lowerKey === wanted;
+        if (hit) {
+          bindings.push({ influences: mesh.morphTargetInfluences, index: dict[key], weight: entry.weight });
+        }
+      }
+    }
+  }
+  return bindings;
+}
+
+/**
+ * Bind logical channels to the blendshapes of a loaded model.
+ *
+ * @param {THREE.Object3D} model
+ * @param {object} [mapping] - Override file contents (see top of file).
+ * @returns {{ channels: string[], has(channel: string): boolean, get(channel: string): number,
+ *             set(channel: string, value: number): void, lerp(channel: string, target: number, t: number): void,
+ *             meshes: THREE.Mesh[] }}
+ */
+export function createMorphRig(model, mapping = {}) {
+  const meshes = [];
+  model.traverse((child) => {
+    if (child.isMesh && child.morphTargetDictionary && child.morphTargetInfluences) {
+      meshes.push(child);
+    }
+  });
+
+  const presetName = mapping.preset || 'auto';
+  const presets = presetName === 'auto' ? AUTO_ORDER : [presetName];
+  if (presets.some((name) => !MORPH_PRESETS[name])) {
+    console.warn(`Unknown morph preset "${presetName}", using auto.`);
+    presets.splice(0, presets.length, ...AUTO_ORDER);
+  }
+
+  const bindings = new Map();
+  const allChannels = new Set([
+    ...FACE_CHANNELS,
+    ...Object.values(VISEME_CHANNELS),
+    ...Object.keys(mapping.channels || {}),
+  ]);
+
+  for (const channel of allChannels) {
+    // Explicit overrides are exact names
+    let found = mapping.channels?.[channel] ? resolveTargets(meshes, mapping.channels[channel], 'exact') : [];
+
+    for (const name of presets) {
+      if (found.length) break;
+      const preset = MORPH_PRESETS[name];
+      if (preset.channels[channel]) {
+        found = resolveTargets(meshes, preset.channels[channel], preset.match);
+      }
+    }
+
+    if (found.length) bindings.set(channel, found);
+  }
+
+  return {
+    meshes,
+    channels: [...bindings.keys()],
+
+    has(channel) {
+      return bindings.has(channel);
+    },
+
+    /** Current value of a channel (read from its first binding), 0 if unmapped. */
+    get(channel) {
+      const first = bindings.get(channel)?.[0];
+      return first ? first.influences[first.index] / (first.weight || 1) : 0;
+    },
+
+    set(channel, value) {
+      const list = bindings.get(channel);
+      if (!list) return;
+      for (const { influences, index, weight } of list) {
+        influences[index] = value * weight;
+      }
+    },
+
+    /** Ease a channel towards `target` by factor `t` (0..1). */
+    lerp(channel, target, t) {
+      if (!bindings.has(channel)) return;
+      const current = this.get(channel);
+      this.set(channel, current + (target - current) * t);
+    },
+  };
+}
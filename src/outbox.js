@@ -0,0 +1,124 @@
+import { extractEmotionTags } from './expressions.js';
+import { summarizeTransactions } from './transactions.js';
+
+/**
+ * Messages typed while offline.
+ *
+ * The messages themselves are already saved in their conversation; the outbox
+ * only remembers which ones still need a reply, with the context they were
+ * asked in. It is kept in localStorage so a reload doesn't lose them, and is
+ * flushed (oldest first, one at a time) when the browser comes back online.
+ *
+ * `send(item)` resolves to 'offline' when the connection dropped again; the
+ * item then stays queued. Any other result (answered, failed, stopped by the
+ * user) takes it off the queue.
+ */
+
+/**
+ * @param {object} options
+ * @param {string} [options.storageKey='assistant.outbox']
+ * @param {function(object): Promise<string>} options.send - Gets `{ text, sessionId, time, history }`.
+ * @param {function(object): void} [options.onSent] - An item left the queue.
+ */
+export function createOutbox({ storageKey = 'assistant.outbox', send, onSent }) {
+  let items = load();
+  let flushing = null;
+
+  function load() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(storageKey));
+      return Array.isArray(stored) ? stored : [];
+    } catch (error) {
+      console.warn('Could not read the outbox:', error);
+      return [];
+    }
+  }
+
+  function save() {
+    try {
+      localStorage.setItem(storageKey, JSON.stringify(items));
+    } catch (error) {
+      console.warn('Could not save the outbox:', error);
+    }
+  }
+
+  async function drain() {
+    while (items.length && navigator.onLine) {
+      const item = items[0];
+      const result = await send(item);
+      if (result === 'offline') break;
+      items = items.filter((queued) => queued !== item);
+      save();
+      onSent?.(item);
+    }
+  }
+
+  const outbox = {
+    /** Messages still waiting, oldest first. */
+    get items() {
+      return items;
+    },
+
+    /** Whether the message sent at `time` in `sessionId` is still waiting. */
+    isPending(sessionId, time) {
+      return items.some((item) => item.sessionId === sessionId && item.time === time);
+    },
+
+    /**
+     * @param {{text: string, sessionId: string, time: number, history: object[]}} item
+     */
+    add(item) {
+      items.push(item);
+      save();
+    },
+
+    /** Send everything queued, if online. Concurrent calls share one run. */
+    flush() {
+      flushing ??= drain().finally(() => {
+        flushing = null;
+      });
+      return flushing;
+    },
+
+    /** Stop flushing when the browser comes back online; the queue stays saved. */
+    dispose() {
+      window.removeEventListener('online', onOnline);
+    },
+  };
+
+  const onOnline = () => outbox.flush();
+  window.addEventListener('online', onOnline);
+  return outbox;
+}
+
+/**
+ * The outbox's `send` for one conversation store: a message asked in the open
+ * conversation is answered there as usual; one asked in another conversation
+ * only gets its answer saved to that conversation (the answer's actions are
+ * about a screen the user has moved on from, so they are dropped).
+ *
+ * @param {object} options
+ * @param {object} options.conversations - From createConversationStore().
+ * @param {function(string, {sessionId: string, history: object[]}): Promise<string>} options.replyHere -
+ *   Ask and show the reply in the open conversation; resolves like `send`.
+ * @param {function(string, object[]): Promise<{text: string, data: object|null}>} options.fetchReply -
+ *   Only fetch a reply, given the message and its history.
+ * @returns {function(object): Promise<string>}
+ */
+export function createOutboxSender({ conversations, replyHere, fetchReply }) {
+  return async ({ text, sessionId, history }) => {
+    if (!conversations.sessions.some((session) => session.id === sessionId)) return 'dropped';
+    if (sessionId === conversations.current.id) return replyHere(text, { sessionId, history });
+
+    try {
+      const reply = await fetchReply(text, history);
+      const replyText = extractEmotionTags(reply.text).text;
+      const shown = replyText || (reply.data ? summarizeTransactions(reply.data) : '');
+      if (shown) conversations.addMessage('assistant', shown, { sessionId, data: reply.data });
+      return 'done';
+    } catch (error) {
+      console.error('Error communicating with API:', error);
+      return error.offline ? 'offline' : 'failed';
+    }
+  };
+}
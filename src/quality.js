@@ -0,0 +1,246 @@
+import * as THREE from 'three';
+import { EffectComposer } from 'three/examples/jsm/postprocessing/EffectComposer.js';
+import { RenderPass } from 'three/examples/jsm/postprocessing/RenderPass.js';
+import { SSAOPass } from 'three/examples/jsm/postprocessing/SSAOPass.js';
+import { BokehPass } from 'three/examples/jsm/postprocessing/BokehPass.js';
+import { UnrealBloomPass } from 'three/examples/jsm/postprocessing/UnrealBloomPass.js';
+import { OutputPass } from 'three/examples/jsm/postprocessing/OutputPass.js';
+import { SMAAPass } from 'three/examples/jsm/postprocessing/SMAAPass.js';
+
+/**
+ * Render quality: post-processing passes, pixel ratio and shadow resolution.
+ *
+ * Fixed tiers ('low' ... 'ultra') switch passes on and off; 'auto' starts at
+ * 'high' and watches the frame time, stepping the pixel ratio down (then the
+ * tier) while frames take longer than the target, and back up when there is
+ * headroom. After a few changes of direction it settles where it is, so a
+ * machine right on the edge doesn't flicker between two levels.
+ *
+ * The composer chain is RenderPass (or SSAOPass, which renders the scene
+ * itself) → depth of field on the face → bloom → OutputPass (tone mapping and
+ * sRGB) → SMAA; disabled passes are skipped by the composer.
+ */
+
+export const QUALITY_TIERS = {
+  low: { pixelRatio: 1, shadowMapSize: 512, smaa: false, bloom: false, ssao: false, dof: false },
+  medium: { pixelRatio: 1.5, shadowMapSize: 1024, smaa: true, bloom: false, ssao: false, dof: false },
+  high: { pixelRatio: 2, shadowMapSize: 2048, smaa: true, bloom: true, ssao: false, dof: true },
+  ultra: { pixelRatio: 2, shadowMapSize: 4096, smaa: true, bloom: true, ssao: true, dof: true },
+};
+
+const TIER_NAMES = Object.keys(QUALITY_TIERS);
+
+// Adaptive mode
+const AUTO_START = 'high';
+const PIXEL_RATIO_STEP = 0.25;
+const MIN_PIXEL_RATIO = 0.5;
+const SAMPLE_WINDOW = 1; // seconds of frames averaged per decision
+const UPGRADE_AFTER = 5; // seconds of headroom before stepping up
+const SETTLE_AFTER_FLIPS = 3;
+
+/** Small fixed overlay with FPS, frame time, level and draw calls. */
+function createStatsOverlay(parent) {
+  const element = document.createElement('div');
+  element.className = 'render-stats';
+  element.setAttribute('aria-hidden', 'true');
+  parent.appendChild(element);
+  return element;
+}
+
+/**
+ * @param {object} options
+ * @param {THREE.WebGLRenderer} options.renderer
+ * @param {THREE.Scene} options.scene
+ * @param {THREE.Camera} options.camera
+ * @param {string} [options.quality='auto'] - 'auto' or a key of QUALITY_TIERS.
+ * @param {boolean} [options.stats=false] - Show the stats overlay.
+ * @param {number} [options.targetFps=50] - Adaptive mode steps down below this.
+ * @param {THREE.Vector3} [options.focus] - Depth-of-field focus point (the face).
+ * @param {function(number): void} [options.onShadowMapSize] - Apply a tier's shadow map size.
+ */
+export function createQuality({
+  renderer,
+  scene,
+  camera,
+  quality = 'auto',
+  stats = false,
+  targetFps = 50,
+  focus = new THREE.Vector3(0, 1.5, 0),
+  onShadowMapSize,
+}) {
+  // Resized with the canvas through setSize()
+  const { width, height } = renderer.getSize(new THREE.Vector2());
+
+  const composer = new EffectComposer(renderer);
+  const renderPass = new RenderPass(scene, camera);
+  const ssaoPass = new SSAOPass(scene, camera, width, height);
+  // Avatar-sized occlusion; distances are fractions of the camera's depth range
+  ssaoPass.kernelRadius = 0.08;
+  ssaoPass.minDistance = 0.00001;
+  ssaoPass.maxDistance = 0.001;
+  const dofPass = new BokehPass(scene, camera, { focus: 2, aperture: 0.002, maxblur: 0.006 });
+  const bloomPass = new UnrealBloomPass(new THREE.Vector2(width, height), 0.6, 0.4, 0.85);
+  const outputPass = new OutputPass();
+  const smaaPass = new SMAAPass(width * renderer.getPixelRatio(), height * renderer.getPixelRatio());
+  [renderPass, ssaoPass, dofPass, bloomPass, outputPass, smaaPass].forEach((pass) => composer.addPass(pass));
+
+  let mode = quality;
+  let tier = null;
+  let pixelRatio = 1;
+  let overlay = null;
+
+  // Adaptive bookkeeping
+  let sampleTime = 0;
+  let sampleFrames = 0;
+  let headroomTime = 0;
+  let lastStep = 0; // -1 down, 1 up
+  let flips = 0;
+
+  // Overlay
+  let statsTime = 0;
+  let statsFrames = 0;
+
+  const maxPixelRatio = (name) => Math.min(window.devicePixelRatio || 1, QUALITY_TIERS[name].pixelRatio);
+
+  function setPixelRatio(value) {
+    pixelRatio = value;
+    renderer.setPixelRatio(value);
+    composer.setPixelRatio(value);
+  }
+
+  function applyTier(name, ratio = maxPixelRatio(name)) {
+    const spec = QUALITY_TIERS[name];
+    tier = name;
+    renderPass.enabled = !spec.ssao;
+    ssaoPass.enabled = spec.ssao;
+    dofPass.enabled = spec.dof;
+    bloomPass.enabled = spec.bloom;
+    smaaPass.enabled = spec.smaa;
+    onShadowMapSize?.(spec.shadowMapSize);
+    setPixelRatio(Math.min(ratio, maxPixelRatio(name)));
+  }
+
+  function resetAdaptive() {
+    sampleTime = sampleFrames = headroomTime = 0;
+    lastStep = 0;
+    flips = 0;
+  }
+
+  function step(direction) {
+    const index = TIER_NAMES.indexOf(tier);
+    if (direction < 0) {
+      const floor = index === 0 ? MIN_PIXEL_RATIO : 1;
+      if (pixelRatio - PIXEL_RATIO_STEP >= floor) setPixelRatio(pixelRatio - PIXEL_RATIO_STEP);
+      else if (index > 0) applyTier(TIER_NAMES[index - 1], pixelRatio);
+      else return;
+    } else {
+      if (pixelRatio + PIXEL_RATIO_STEP <= maxPixelRatio(tier)) setPixelRatio(pixelRatio + PIXEL_RATIO_STEP);
+      else if (index < TIER_NAMES.length - 1) applyTier(TIER_NAMES[index + 1], pixelRatio);
+      else return;
+    }
+    if (lastStep && lastStep !== direction) flips++;
+    lastStep = direction;
+  }
+
+  /** Average the frame time over a window and move one level if needed. */
+  function adapt(dt) {
+    if (flips >= SETTLE_AFTER_FLIPS) return;
+    sampleTime += dt;
+    sampleFrames++;
+    if (sampleTime < SAMPLE_WINDOW) return;
+
+    const average = sampleTime / sampleFrames;
+    const budget = 1 / targetFps;
+    if (average > budget) {
+      step(-1);
+      headroomTime = 0;
+    } else if (average < budget * 0.8) {
+      headroomTime += sampleTime;
+      if (headroomTime >= UPGRADE_AFTER) {
+        step(1);
+        headroomTime = 0;
+      }
+    } else {
+      headroomTime = 0;
+    }
+    sampleTime = sampleFrames = 0;
+  }
+
+  function updateOverlay(dt) {
+    statsTime += dt;
+    statsFrames++;
+    if (statsTime < 0.5) return;
+    const frameMs = (statsTime / statsFrames) * 1000;
+    const { calls, triangles } = renderer.info.render;
+    overlay.textContent =
+      `${Math.round(1000 / frameMs)} fps · ${frameMs.toFixed(1)} ms\n` +
+      `${mode === 'auto' ? `auto → ${tier}` : tier} · ${pixelRatio.toFixed(2)}x\n` +
+      `${calls} calls · ${triangles.toLocaleString()} tris`;
+    statsTime = statsFrames = 0;
+  }
+
+  const api = {
+    composer,
+
+    /** The tier in use (the one adaptive mode picked when on 'auto'). */
+    get tier() {
+      return tier;
+    },
+
+    get pixelRatio() {
+      return pixelRatio;
+    },
+
+    /**
+     * @param {string} value - 'auto' or a key of QUALITY_TIERS.
+     */
+    setQuality(value) {
+      mode = value === 'auto' || QUALITY_TIERS[value] ? value : 'auto';
+      resetAdaptive();
+      applyTier(mode === 'auto' ? AUTO_START : mode);
+    },
+
+    /** @param {boolean} visible */
+    setStats(visible) {
+      if (visible && !overlay) {
+        overlay = createStatsOverlay(renderer.domElement.parentElement || document.body);
+        renderer.info.autoReset = false;
+      } else if (!visible && overlay) {
+        overlay.remove();
+        overlay = null;
+        renderer.info.autoReset = true;
+      }
+    },
+
+    /**
+     * Where the depth of field is sharp (the face, see frameAvatar()).
+     * @param {THREE.Vector3} point
+     */
+    focusOn(point) {
+      focus.copy(point);
+    },
+
+    setSize(w, h) {
+      composer.setSize(w, h);
+    },
+
+    /**
+     * Draw a frame and account for its time.
+     * @param {number} dt - Seconds since the last frame, unclamped.
+     */
+    render(dt) {
+      if (dofPass.enabled) dofPass.uniforms.focus.value = camera.position.distanceTo(focus);
+      if (overlay) renderer.info.reset();
+      composer.render(dt);
+
+      // Background tabs and long stalls (loading a model) say nothing about the GPU
+      if (document.hidden || dt > 0.25) return;
+      if (mode === 'auto') adapt(dt);
+      if (overlay) updateOverlay(dt);
+    },
+  };
+
+  api.setQuality(quality);
+  api.setStats(stats);
+  return api;
+}
@@ -0,0 +1,54 @@
+/**
+ * Splits streamed text into speakable sentences.
+ *
+ * Text is pushed in arbitrary chunks (tokens). Whenever a sentence boundary is
+ * seen, the finished sentence is handed to `onSentence` so speech synthesis can
+ * start before the full reply has arrived. Long runs without punctuation are cut
+ * at the last comma or space so the avatar never waits too long.
+ *
+ * @param {function(string): void} onSentence
+ * @param {object} [options]
+ * @param {number} [options.maxLength=160] - Force a split once the buffer grows past this.
+ */
+export function createSentenceChunker(onSentence, { maxLength = 160 } = {}) {
+  // Punctuation followed by whitespace (so "12.50" or "e.g" mid-token don't split), or a newline
+  const boundary = /[.!?…]+["')\]]*\s+|\n+/;
+  let buffer = '';
+
+  const emit = (sentence) => {
+    const trimmed = sentence.trim();
+    if (trimmed) onSentence(trimmed);
+  };
+
+  return {
+    push(chunk) {
+      buffer += chunk;
+
+      let match;
+      while ((match = boundary.exec(buffer))) {
+        const end = match.index + match[0].length;
+        emit(buffer.slice(0, end));
+        buffer = buffer.slice(end);
+      }
+
+      if (buffer.length > maxLength) {
+        const cut = Math.max(buffer.lastIndexOf(', '), buffer.lastIndexOf(' '));
+        if (cut > 0) {
+          emit(buffer.slice(0, cut + 1));
+          buffer = buffer.slice(cut + 1);
+        }
+      }
+    },
+
+    /** Emit whatever is left once the stream ends. */
+    flush() {
+      emit(buffer);
+      buffer = '';
+    },
+
+    /** Drop buffered text (e.g. when the reply is cancelled). */
+    reset() {
+      buffer = '';
+    },
+  };
+}
@@ -0,0 +1,198 @@
+import { PRESETS } from './environment.js';
+import { QUALITY_TIERS } from './quality.js';
+import { API_URL_KEYS } from './config.js';
+
+/**
+ * User preferences edited in the ⚙ panel.
+ *
+ * Each setting is a view onto one config path (`tts.rate`, `scene.exposure`,
+ * ...), so the rest of the app keeps reading `config` as before. Changes are
+ * written into the config object, saved to localStorage and announced to
+ * subscribers so they can be applied live.
+ *
+ * Settings can also be seeded from the page URL with their key as parameter,
+ * e.g. `?rate=1.2&pitch=0.9&environment=outdoor&muted=1`, `?quality=low&stats=1` or `?contrast=high`.
+ * Seeded values are saved like any other change and the parameters are removed
+ * from the address bar, so a shared demo link configures the browser once.
+ * Settings marked `fromUrl: false` (the API URL) can't be seeded: a link must not
+ * be able to point the assistant, and the user's messages, at another server.
+ * Settings marked `persist: false` (hands-free listening) last for the visit
+ * only, so the microphone never turns itself on when the page loads.
+ */
+
+/**
+ * Known settings. `path` is the config path (or a function of the config).
+ * `type` is 'number' | 'boolean' | 'choice' | 'text' | 'url'.
+ * `fromUrl: false` keeps a setting out of URL seeding, `persist: false` out of localStorage.
+ */
+export const SETTINGS = {
+  voice: { path: 'tts.voice', type: 'text' },
+  rate: { path: 'tts.rate', type: 'number', min: 0.5, max: 2, step: 0.05 },
+  pitch: { path: 'tts.pitch', type: 'number', min: 0, max: 2, step: 0.05 },
+  muted: { path: 'tts.muted', type: 'boolean' },
+  exposure: { path: 'scene.exposure', type: 'number', min: 0.1, max: 2, step: 0.05 },
+  environment: { path: 'scene.environment', type: 'choice', options: Object.keys(PRESETS) },
+  quality: { path: 'render.quality', type: 'choice', options: ['auto', ...Object.keys(QUALITY_TIERS)] },
+  stats: { path: 'render.stats', type: 'boolean' },
+  contrast: { path: 'accessibility.contrast', type: 'choice', options: ['auto', 'normal', 'high'] },
+  motion: { path: 'accessibility.motion', type: 'choice', options: ['auto', 'full', 'reduced'] },
+  captions: { path: 'accessibility.captions', type: 'boolean' },
+  handsFree: { path: 'voice.handsFree', type: 'boolean', fromUrl: false, persist: false },
+  apiUrl: {
+    path: (config) => API_URL_KEYS[config.backend] && `backends.${config.backend}.${API_URL_KEYS[config.backend]}`,
+    type: 'url',
+    fromUrl: false,
+  },
+};
+
+function readPath(object, path) {
+  return path.split('.').reduce((value, key) => value?.[key], object);
+}
+
+function writePath(object, path, value) {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((value, key) => (value[key] ??= {}), object);
+  parent[last] = value;
+}
+
+/**
+ * Turn a stored or URL value into a valid one for the setting, or undefined.
+ */
+function parseValue(setting, raw) {
+  if (raw === undefined || raw === null) return undefined;
+  switch (setting.type) {
+    case 'number': {
+      const number = Number(raw);
+      if (raw === '' || !Number.isFinite(number)) return undefined;
+      return Math.min(setting.max, Math.max(setting.min, number));
+    }
+    case 'boolean':
+      if (typeof raw === 'boolean') return raw;
+      return ['1', 'true', 'yes', 'on'].includes(String(raw).toLowerCase());
+    case 'choice':
+      return setting.options.includes(raw) ? raw : undefined;
+    case 'url':
+      try {
+        return new URL(raw).protocol.startsWith('http') ? String(raw) : undefined;
+      } catch (error) {
+        return undefined;
+      }
+    default:
+      return String(raw);
+  }
+}
+
+/**
+ * @param {object} config - From getRuntimeConfig(); updated in place.
+ * @param {object} [options]
+ * @param {string} [options.storageKey='assistant.settings']
+ * @param {string[]} [options.fixed] - Settings the embedding page decides: left out
+ *   entirely, so nothing saved or typed in the panel overrides the page.
+ */
+export function createSettings(config, { storageKey = 'assistant.settings', fixed = [] } = {}) {
+  const listeners = new Set();
+  const paths = {};
+  const defaults = {};
+  for (const [key, setting] of Object.entries(SETTINGS)) {
+    const path = typeof setting.path === 'function' ? setting.path(config) : setting.path;
+    if (!path || fixed.includes(key)) continue;
+    paths[key] = path;
+    defaults[key] = readPath(config, path);
+  }
+
+  // Only values that differ from the config are kept
+  let overrides = {};
+
+  function load() {
+    try {
+      return JSON.parse(localStorage.getItem(storageKey)) || {};
+    } catch (error) {
+      console.warn('Could not read the saved settings:', error);
+      return {};
+    }
+  }
+
+  function save() {
+    try {
+      const kept = Object.entries(overrides).filter(([key]) => SETTINGS[key].persist !== false);
+      localStorage.setItem(storageKey, JSON.stringify(Object.fromEntries(kept)));
+    } catch (error) {
+      console.warn('Could not save the settings:', error);
+    }
+  }
+
+  function apply(key, value) {
+    writePath(config, paths[key], value);
+    if (value === defaults[key]) delete overrides[key];
+    else overrides[key] = value;
+  }
+
+  // Saved preferences, then URL seeds on top
+  const stored = load();
+  const params = new URLSearchParams(window.location.search);
+  const seeded = [];
+  for (const key of Object.keys(paths)) {
+    const seedable = SETTINGS[key].fromUrl !== false && params.has(key);
+    const fromUrl = seedable ? parseValue(SETTINGS[key], params.get(key)) : undefined;
+    const value = fromUrl ?? parseValue(SETTINGS[key], stored[key]);
+    if (value !== undefined) apply(key, value);
+    if (seedable) seeded.push(key);
+  }
+  if (seeded.length) {
+    save();
+    const url = new URL(window.location.href);
+    seeded.forEach((key) => url.searchParams.delete(key));
+    history.replaceState(history.state, '', url);
+  }
+
+  const notify = (key, value) => {
+    for (const listener of listeners) listener(key, value);
+  };
+
+  return {
+    /** Whether the setting applies to this configuration (no API URL for the mock backend). */
+    has(key) {
+      return key in paths;
+    },
+
+    get(key) {
+      return readPath(config, paths[key]);
+    },
+
+    /**
+     * @param {string} key
+     * @param {any} value
+     * @returns {boolean} False when the value is invalid for the setting.
+     */
+    set(key, value) {
+      if (!(key in paths)) return false;
+      const parsed = parseValue(SETTINGS[key], value);
+      if (parsed === undefined) return false;
+      if (parsed === this.get(key)) return true;
+      apply(key, parsed);
+      save();
+      notify(key, parsed);
+      return true;
+    },
+
+    /** Back to the configured defaults. */
+    reset() {
+      for (const key of Object.keys(overrides)) {
+        writePath(config, paths[key], defaults[key]);
+        notify(key, defaults[key]);
+      }
+      overrides = {};
+      save();
+    },
+
+    /**
+     * @param {function(string, any): void} listener - Called with (key, value) on every change.
+     * @returns {function(): void} Unsubscribe.
+     */
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+  };
+}
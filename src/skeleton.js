@@ -0,0 +1,67 @@
+/**
+ * Humanoid bone lookup shared by the body and gaze animation.
+ *
+ * VRM avatars come with a humanoid bone map; for plain glTF rigs the bones are
+ * matched by name, covering Mixamo ("mixamorig:LeftArm"), Ready Player Me /
+ * Blender ("LeftArm", "Spine2"), VRoid-style ("J_Bip_L_UpperArm") and
+ * Character Creator ("CC_Base_L_Upperarm") naming.
+ */
+
+// Humanoid bone -> normalised name candidates (lowercase, alphanumerics only, prefix stripped)
+const BONE_NAMES = {
+  hips: ['hips', 'pelvis', 'chips'],
+  spine: ['spine', 'cspine', 'waist'],
+  chest: ['spine1', 'chest', 'cchest'],
+  upperChest: ['spine2', 'upperchest', 'cupperchest'],
+  neck: ['neck', 'cneck', 'neck1'],
+  head: ['head', 'chead'],
+  leftEye: ['lefteye', 'eyeleft', 'eyel', 'leye', 'adjlfaceeye'],
+  rightEye: ['righteye', 'eyeright', 'eyer', 'reye', 'adjrfaceeye'],
+  leftShoulder: ['leftshoulder', 'shoulderl', 'lshoulder', 'lclavicle', 'claviclel'],
+  rightShoulder: ['rightshoulder', 'shoulderr', 'rshoulder', 'rclavicle', 'clavicler'],
+  leftUpperArm: ['leftarm', 'leftupperarm', 'upperarml', 'lupperarm'],
+  rightUpperArm: ['rightarm', 'rightupperarm', 'upperarmr', 'rupperarm'],
+  leftLowerArm: ['leftforearm', 'leftlowerarm', 'lowerarml', 'llowerarm', 'lforearm', 'forearml'],
+  rightLowerArm: ['rightforearm', 'rightlowerarm', 'lowerarmr', 'rlowerarm', 'rforearm', 'forearmr'],
+  leftHand: ['lefthand', 'handl', 'lhand'],
+  rightHand: ['righthand', 'handr', 'rhand'],
+};
+
+export const HUMANOID_BONES = Object.keys(BONE_NAMES);
+
+const normalizeName = (name) =>
+  name
+    .toLowerCase()
+    .replace(/^(mixamorig\d*:?|j_bip_|cc_base_|bip01_?|def-)/, '')
+    .replace(/[^a-z0-9]/g, '');
+
+/**
+ * @param {THREE.Object3D} model
+ * @param {object|null} [vrm] - When given, its humanoid map is used (normalized bones).
+ * @returns {Object<string, THREE.Object3D>} Found bones keyed by humanoid name.
+ */
+export function findHumanoidBones(model, vrm = null) {
+  const bones = {};
+
+  if (vrm?.humanoid) {
+    for (const name of HUMANOID_BONES) {
+      const node = vrm.humanoid.getNormalizedBoneNode(name);
+      if (node) bones[name] = node;
+    }
+    return bones;
+  }
+
+  const byName = new Map();
+  model.traverse((node) => {
+    if (node.isBone || node.type === 'Object3D') {
+      const key = normalizeName(node.name);
+      if (!byName.has(key)) byName.set(key, node);
+    }
+  });
+
+  for (const [bone, candidates] of Object.entries(BONE_NAMES)) {
+    const match = candidates.find((candidate) => byName.has(candidate));
+    if (match) bones[bone] = byName.get(match);
+  }
+  return bones;
+}
@@ -0,0 +1,109 @@
+/**
+ * Plays decoded speech audio through Web Audio.
+ *
+ * Audio is routed source -> analyser -> volume -> speakers, so the lip-sync can
+ * read the analyser when the server sends no timings (even while muted).
+ */
+export function createAudioPlayer() {
+  let context = null;
+  let analyser = null;
+  let output = null;
+  let volume = 1;
+  let source = null;
+  let finishCurrent = null;
+
+  function ensureContext() {
+    if (!context) {
+      context = new (window.AudioContext || window.webkitAudioContext)();
+      analyser = context.createAnalyser();
+      analyser.fftSize = 1024;
+      analyser.smoothingTimeConstant = 0.5;
+      output = context.createGain();
+      output.gain.value = volume;
+      analyser.connect(output);
+      output.connect(context.destination);
+    }
+    return context;
+  }
+
+  return {
+    get analyser() {
+      ensureContext();
+      return analyser;
+    },
+
+    /** Output volume, 0..1; applies to the sound playing now. */
+    get volume() {
+      return volume;
+    },
+
+    set volume(value) {
+      volume = value;
+      if (output) output.gain.value = value;
+    },
+
+    /**
+     * Create/resume the AudioContext. Browsers only allow this from a user
+     * gesture, so call it from a click/keydown handler.
+     */
+    unlock() {
+      const ctx = ensureContext();
+      if (ctx.state === 'suspended') {
+        ctx.resume().catch(() => {});
+      }
+    },
+
+    /**
+     * @param {ArrayBuffer} data - Encoded WAV/MP3/Opus.
+     * @returns {Promise<AudioBuffer>}
+     */
+    decode(data) {
+      return ensureContext().decodeAudioData(data.slice(0));
+    },
+
+    /**
+     * Play a decoded buffer. Resolves when playback ends or is stopped.
+     * @param {AudioBuffer} buffer
+     * @param {function(): void} [onStart] - Called right as playback begins.
+     */
+    play(buffer, onStart) {
+      const ctx = ensureContext();
+      this.stop();
+
+      return new Promise((resolve) => {
+        source = ctx.createBufferSource();
+        source.buffer = buffer;
+        source.connect(analyser);
+
+        finishCurrent = () => {
+          finishCurrent = null;
+          source = null;
+          resolve();
+        };
+        source.onended = () => finishCurrent?.();
+
+        source.start();
+        onStart?.();
+      });
+    },
+
+    stop() {
+      if (source) {
+        source.onended = null;
+        try {
+          source.stop();
+        } catch {
+          // already stopped
+        }
+      }
+      finishCurrent?.();
+    },
+
+    /** Stop and close the AudioContext; it is created again if needed. */
+    dispose() {
+      this.stop();
+      context?.close();
+      context = analyser = output = null;
+    },
+  };
+}
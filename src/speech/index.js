@@ -0,0 +1,230 @@
+import { fetchSpeech } from './server-tts.js';
+import { createAudioPlayer } from './audio-player.js';
+
+const FEMALE_VOICE = /female|zira|susan|salli|joanna|lucy|amelie|monica|paulina|hoda|laila/i;
+
+/**
+ * Speech output queue.
+ *
+ * Text is queued sentence by sentence and played back to back. Each item is
+ * spoken through one of two paths:
+ *   - server TTS (`tts.mode === 'server'`): audio is fetched as soon as the item
+ *     is queued, played through Web Audio, and the lip-sync follows the returned
+ *     word/viseme timings (or the audio analyser when there are none);
+ *   - browser speechSynthesis: used directly in 'browser' mode, and as the
+ *     fallback whenever the server returns no audio.
+ *
+ * `generation` is bumped on every stop so playback that was cancelled can't
+ * touch the state of the new queue.
+ *
+ * @param {object} options
+ * @param {object} options.lipSync - Lip-sync engine (lipsync/index.js).
+ * @param {object} options.tts - `config.tts`; voice, rate, pitch and muted are read as each item plays.
+ * @param {string} [options.lang] - BCP 47 locale to speak in; picks the voice.
+ * @param {function(boolean): void} options.onSpeakingChange - Called when the avatar starts/stops talking.
+ * @param {function(string): void} [options.onSentenceStart] - Called as each queued text starts playing.
+ * @param {function(string, number, number): void} [options.onWord] - Called with the text, character
+ *   index and length of each word as the browser voice reaches it (speechSynthesis boundary events;
+ *   server audio doesn't report words).
+ */
+export function createSpeaker({
+  lipSync,
+  tts,
+  lang = navigator.language || 'en-US',
+  onSpeakingChange,
+  onSentenceStart,
+  onWord,
+}) {
+  const player = createAudioPlayer();
+  const useServer = tts.mode === 'server' && Boolean(tts.url);
+
+  let queue = [];
+  let generation = 0;
+  let fetchController = new AbortController();
+  let draining = false;
+  let speaking = false;
+  // Resolves the utterance in flight; some browsers skip onend after cancel()
+  let finishUtterance = null;
+
+  const setSpeaking = (value) => {
+    if (speaking === value) return;
+    speaking = value;
+    onSpeakingChange(value);
+  };
+
+  function pickVoice() {
+    const voices = speechSynthesis.getVoices();
+    // Some platforms report "en_US"
+    const voiceLang = (voice) => voice.lang.replace('_', '-').toLowerCase();
+    const locale = lang.toLowerCase();
+    const language = locale.split('-')[0];
+    const sameLanguage = voices.filter((voice) => voiceLang(voice).split('-')[0] === language);
+
+    return (
+      (tts.voice && voices.find((voice) => voice.name === tts.voice)) ||
+      // Attempt to find a female-sounding voice in the right locale, then language
+      sameLanguage.find((voice) => voiceLang(voice) === locale && FEMALE_VOICE.test(voice.name)) ||
+      sameLanguage.find((voice) => voiceLang(voice) === locale) ||
+      sameLanguage.find((voice) => FEMALE_VOICE.test(voice.name)) ||
+      sameLanguage[0] ||
+      voices[0] // fallback
+    );
+  }
+
+  function speakWithBrowser(text, itemGeneration) {
+    return new Promise((resolve) => {
+      if (!('speechSynthesis' in window)) {
+        console.warn('Web Speech API not supported in this browser.');
+        resolve();
+        return;
+      }
+
+      const utterance = new SpeechSynthesisUtterance(text);
+      utterance.lang = lang;
+      const voice = pickVoice();
+      if (voice) {
+        utterance.voice = voice;
+      }
+
+      utterance.rate = tts.rate ?? 1;
+      utterance.pitch = tts.pitch ?? 1;
+      // Muted speech still runs, so boundaries keep driving the lip-sync
+      utterance.volume = tts.muted ? 0 : 1;
+
+      utterance.onstart = () => {
+        if (itemGeneration !== generation) return;
+        setSpeaking(true);
+        onSentenceStart?.(text);
+        lipSync.speakText(text, { rate: utterance.rate });
+      };
+
+      // Word boundaries keep the estimated viseme timeline in step with the real voice
+      utterance.onboundary = (event) => {
+        if (itemGeneration !== generation || event.name !== 'word') return;
+        lipSync.boundary(event.charIndex);
+        // Not every engine reports charLength; the word runs to the next space then
+        const length = event.charLength || text.slice(event.charIndex).search(/\s|$/);
+        onWord?.(text, event.charIndex, length);
+      };
+
+      const finish = () => {
+        if (finishUtterance === finish) finishUtterance = null;
+        resolve();
+      };
+      finishUtterance = finish;
+      utterance.onend = utterance.onerror = finish;
+
+      speechSynthesis.speak(utterance);
+    });
+  }
+
+  async function speakWithAudio(item, itemGeneration) {
+    const speech = await item.audio;
+    if (itemGeneration !== generation) return;
+    if (!speech) {
+      await speakWithBrowser(item.text, itemGeneration);
+      return;
+    }
+
+    let buffer;
+    try {
+      buffer = await player.decode(speech.buffer);
+    } catch (error) {
+      console.warn('Could not decode TTS audio, falling back to speechSynthesis:', error);
+      await speakWithBrowser(item.text, itemGeneration);
+      return;
+    }
+    if (itemGeneration !== generation) return;
+
+    player.volume = tts.muted ? 0 : 1;
+    await player.play(buffer, () => {
+      setSpeaking(true);
+      onSentenceStart?.(item.text);
+      if (speech.visemes?.length || speech.words?.length) {
+        lipSync.playTimeline(speech);
+      } else {
+        lipSync.attachAnalyser(player.analyser);
+      }
+    });
+    lipSync.stop();
+  }
+
+  async function drain() {
+    if (draining) return;
+    draining = true;
+
+    while (queue.length) {
+      const itemGeneration = generation;
+      const item = queue.shift();
+      await (item.audio ? speakWithAudio(item, itemGeneration) : speakWithBrowser(item.text, itemGeneration));
+    }
+
+    draining = false;
+    lipSync.stop();
+    setSpeaking(false);
+  }
+
+  const speaker = {
+    /**
+     * Append text to the queue without interrupting what is already playing.
+     */
+    queue(text) {
+      if (!text.trim()) return;
+      const item = { text };
+      if (useServer) {
+        // Start fetching now so audio is ready by the time earlier sentences finish
+        item.audio = fetchSpeech(text, tts, lang, fetchController.signal);
+      }
+      queue.push(item);
+      drain();
+    },
+
+    /**
+     * Stop speaking immediately and drop anything still queued.
+     */
+    stop() {
+      generation++;
+      queue = [];
+      fetchController.abort();
+      fetchController = new AbortController();
+      player.stop();
+      if ('speechSynthesis' in window) {
+        speechSynthesis.cancel();
+      }
+      finishUtterance?.();
+      lipSync.stop();
+      setSpeaking(false);
+    },
+
+    /**
+     * Speak a complete text, replacing any ongoing speech.
+     */
+    speak(text) {
+      speaker.stop();
+      speaker.queue(text);
+    },
+
+    /**
+     * Apply `tts.muted` to the audio playing now (speechSynthesis picks it up
+     * from the next sentence).
+     */
+    updateVolume() {
+      player.volume = tts.muted ? 0 : 1;
+    },
+
+    /**
+     * Must be called from a user gesture before server audio can play.
+     */
+    unlock() {
+      if (useServer) player.unlock();
+    },
+
+    /** Stop and release the audio output. */
+    dispose() {
+      speaker.stop();
+      player.dispose();
+    },
+  };
+
+  return speaker;
+}
@@ -0,0 +1,109 @@
+/**
+ * Client for a server-side text-to-speech endpoint.
+ *
+ * Request:  POST { text, voice, lang }   (lang: BCP 47, e.g. "es-ES")
+ * Response: one of
+ *   - 204 / empty JSON          -> no audio, caller falls back to speechSynthesis
+ *   - audio/* body (WAV/MP3/Opus) -> audio without timings
+ *   - JSON {
+ *       audio: "<base64>",
+ *       format?: "wav" | "mp3" | "opus",
+ *       words?:   [{ word, start, end? }],     // seconds from audio start
+ *       visemes?: [{ viseme, start, end? }],   // Oculus ids ("aa", "PP") or Polly symbols ("a", "p")
+ *     }
+ */
+
+// Amazon Polly speech-mark visemes -> Oculus visemes used by the lip-sync
+const POLLY_VISEMES = {
+  p: 'PP', f: 'FF', T: 'TH', t: 'DD', S: 'CH', s: 'SS', k: 'kk', r: 'RR',
+  a: 'aa', '@': 'aa', e: 'E', E: 'E', i: 'ih', o: 'oh', O: 'oh', u: 'ou', sil: 'sil',
+};
+
+function base64ToArrayBuffer(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes.buffer;
+}
+
+/**
+ * Fill in missing `end` times from the next entry's start.
+ */
+function withEnds(entries, fallbackLength) {
+  return entries.map((entry, index) => {
+    const next = entries[index + 1];
+    return { ...entry, end: entry.end ?? (next ? next.start : entry.start + fallbackLength) };
+  });
+}
+
+function normalizeVisemes(visemes) {
+  if (!Array.isArray(visemes)) return null;
+  const entries = visemes.map((entry) => {
+    const id = String(entry.viseme ?? entry.value).replace(/^viseme_/, '');
+    return { viseme: POLLY_VISEMES[id] ?? id, start: entry.start ?? entry.time, end: entry.end };
+  });
+  return withEnds(entries, 0.1);
+}
+
+function normalizeWords(words) {
+  if (!Array.isArray(words)) return null;
+  const entries = words.map((entry) => ({
+    word: entry.word ?? entry.value,
+    start: entry.start ?? entry.time,
+    end: entry.end,
+  }));
+  return withEnds(entries, 0.3);
+}
+
+/**
+ * Fetch synthesized speech for `text`.
+ * Never throws: any failure resolves to null so the caller can fall back.
+ *
+ * @param {string} text
+ * @param {object} options - `config.tts` (url, voice, timeout, headers).
+ * @param {string} [lang] - Locale to speak in.
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<{buffer: ArrayBuffer, words: object[]|null, visemes: object[]|null}|null>}
+ */
+export async function fetchSpeech(text, options, lang, signal) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), options.timeout || 10000);
+  const onAbort = () => controller.abort();
+  signal?.addEventListener('abort', onAbort);
+
+  try {
+    const response = await fetch(options.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...options.headers,
+      },
+      body: JSON.stringify({ text, voice: options.voice || undefined, lang: lang || undefined }),
+      signal: controller.signal,
+    });
+
+    if (!response.ok || response.status === 204) return null;
+
+    const contentType = response.headers.get('Content-Type') || '';
+    if (contentType.startsWith('audio/')) {
+      return { buffer: await response.arrayBuffer(), words: null, visemes: null };
+    }
+
+    const data = await response.json();
+    if (!data?.audio) return null;
+
+    return {
+      buffer: base64ToArrayBuffer(data.audio),
+      words: normalizeWords(data.words),
+      visemes: normalizeVisemes(data.visemes),
+    };
+  } catch (error) {
+    if (!signal?.aborted) {
+      console.warn('Server TTS unavailable, falling back to speechSynthesis:', error);
+    }
+    return null;
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', onAbort);
+  }
+}
@@ -0,0 +1,222 @@
+import { t, getLanguage } from './i18n/index.js';
+
+/**
+ * Structured bank results.
+ *
+ * The transactions service answers with JSON whose exact shape varies between
+ * endpoints: a bare array, or an object with the rows under `transactions`,
+ * `results`, `items`, ... plus optional totals and a date range. `parseTransactions`
+ * turns any of those into one normalized, JSON-safe shape (it is stored with
+ * the conversation history):
+ *
+ *   {
+ *     rows: [{ date: number|null, description, category, amount, currency }],
+ *     total: number,
+ *     currency: string|null,
+ *     range: { from: number|null, to: number|null },
+ *   }
+ *
+ * Dates are epoch milliseconds. `summarizeTransactions` gives the one or two
+ * sentences the avatar says out loud instead of reading the table.
+ */
+
+const LIST_KEYS = ['transactions', 'results', 'items', 'records', 'rows', 'data'];
+const AMOUNT_KEYS = ['amount', 'value', 'sum', 'total_amount', 'amount_value'];
+const DATE_KEYS = ['date', 'transaction_date', 'booking_date', 'posted_at', 'posted_date', 'created_at', 'timestamp', 'time'];
+const DESCRIPTION_KEYS = ['description', 'merchant', 'merchant_name', 'payee', 'name', 'memo', 'details', 'narrative', 'title'];
+const CATEGORY_KEYS = ['category', 'type', 'kind'];
+const RANGE_KEYS = [
+  ['from', 'to'],
+  ['start_date', 'end_date'],
+  ['startDate', 'endDate'],
+  ['date_from', 'date_to'],
+];
+
+const pick = (object, keys) => {
+  for (const key of keys) {
+    if (object[key] !== undefined && object[key] !== null && object[key] !== '') return object[key];
+  }
+  return undefined;
+};
+
+/**
+ * An amount written as text, in either convention: "1,234.50" or "1.234,50"
+ * (also "1 234,50 €", "$-12.00", "-12 USD", "(12.00)" for a debit). With both
+ * separators the last one is the decimal point; a separator that repeats
+ * groups thousands. A single "," or "." followed by exactly three digits
+ * ("1,234") means a thousand in one convention and one in the other, so such
+ * amounts are rejected rather than guessed: send them as JSON numbers.
+ */
+function parseAmount(text) {
+  const compact = text.trim().replace(/[\s\u00a0\u202f']/g, '').replace(/\u2212/g, '-');
+  const negative = /^\(.*\)$/.test(compact) || /^[^\d]*-|-[^\d]*$/.test(compact);
+  const digits = compact.replace(/[^\d.,]/g, '');
+  if (!/^\d[\d.,]*$/.test(digits) || /[.,]$/.test(digits)) return null;
+
+  const last = Math.max(digits.lastIndexOf('.'), digits.lastIndexOf(','));
+  let whole = digits;
+  let fraction = '';
+  if (last >= 0) {
+    const mixed = digits.includes('.') && digits.includes(',');
+    const repeated = digits.indexOf(digits[last]) !== last;
+    if (mixed && repeated) return null;
+    if (mixed || !repeated) {
+      // The last separator is the decimal point
+      whole = digits.slice(0, last);
+      fraction = digits.slice(last + 1);
+      if (!mixed && fraction.length === 3) return null;
+    }
+  }
+  // Before the decimal point, separators may only group thousands (and all alike)
+  const [head, ...groups] = whole.split(/[.,]/);
+  if (new Set(whole.match(/[.,]/g)).size > 1 || groups.some((group) => group.length !== 3)) return null;
+  const number = Number(`${head}${groups.join('')}.${fraction || '0'}`);
+  return negative ? -number : number;
+}
+
+function toNumber(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value === 'string') return parseAmount(value);
+  if (value && typeof value === 'object') return toNumber(pick(value, AMOUNT_KEYS));
+  return null;
+}
+
+function toTime(value) {
+  if (value === undefined || value === null || value === '') return null;
+  // Unix seconds vs milliseconds
+  if (typeof value === 'number') return value < 1e11 ? value * 1000 : value;
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? null : time;
+}
+
+function findRows(payload) {
+  if (Array.isArray(payload)) return payload;
+  if (!payload || typeof payload !== 'object') return null;
+  for (const key of LIST_KEYS) {
+    const value = payload[key];
+    if (Array.isArray(value)) return value;
+    // { data: { transactions: [...] } }
+    if (value && typeof value === 'object') {
+      const nested = findRows(value);
+      if (nested) return nested;
+    }
+  }
+  return null;
+}
+
+/**
+ * @param {any} payload - Parsed JSON from the backend.
+ * @returns {object|null} Normalized result (see top of file), or null if there are no transactions in it.
+ */
+export function parseTransactions(payload) {
+  const list = findRows(payload);
+  if (!list?.length) return null;
+
+  const meta = Array.isArray(payload) ? {} : payload;
+  const defaultCurrency = pick(meta, ['currency', 'currency_code']) || null;
+
+  const rows = [];
+  for (const item of list) {
+    if (!item || typeof item !== 'object') continue;
+    const amount = toNumber(pick(item, AMOUNT_KEYS));
+    if (amount === null) continue;
+    const currency = pick(item, ['currency', 'currency_code']) || item.amount?.currency || defaultCurrency;
+    rows.push({
+      date: toTime(pick(item, DATE_KEYS)),
+      description: String(pick(item, DESCRIPTION_KEYS) ?? ''),
+      category: String(pick(item, CATEGORY_KEYS) ?? ''),
+      amount,
+      currency: currency ? String(currency).toUpperCase() : null,
+    });
+  }
+  // An array of something else (accounts, messages, ...) isn't a transaction list
+  if (!rows.length) return null;
+
+  const currencies = new Set(rows.map((row) => row.currency).filter(Boolean));
+  const total = toNumber(pick(meta, ['total', 'total_amount', 'sum'])) ?? rows.reduce((sum, row) => sum + row.amount, 0);
+
+  let from = null;
+  let to = null;
+  for (const [fromKey, toKey] of RANGE_KEYS) {
+    if (meta[fromKey] || meta[toKey]) {
+      from = toTime(meta[fromKey]);
+      to = toTime(meta[toKey]);
+      break;
+    }
+  }
+  const range = meta.date_range || meta.period;
+  if (range && typeof range === 'object' && from === null && to === null) {
+    from = toTime(pick(range, ['from', 'start']));
+    to = toTime(pick(range, ['to', 'end']));
+  }
+  if (from === null && to === null) {
+    const dates = rows.map((row) => row.date).filter((date) => date !== null);
+    if (dates.length) {
+      from = Math.min(...dates);
+      to = Math.max(...dates);
+    }
+  }
+
+  return {
+    rows,
+    total,
+    currency: currencies.size === 1 ? [...currencies][0] : defaultCurrency,
+    range: { from, to },
+  };
+}
+
+const plainNumber = (amount) =>
+  new Intl.NumberFormat(getLanguage().locale, { minimumFractionDigits: 2, maximumFractionDigits: 2 }).format(amount);
+
+/**
+ * Format an amount in the UI language; plain number if the currency is unknown.
+ */
+export function formatMoney(amount, currency) {
+  if (!currency) return plainNumber(amount);
+  try {
+    return new Intl.NumberFormat(getLanguage().locale, { style: 'currency', currency }).format(amount);
+  } catch (error) {
+    // Not an ISO 4217 code, e.g. "points"
+    return `${plainNumber(amount)} ${currency}`;
+  }
+}
+
+export function formatDate(time, options = { dateStyle: 'medium' }) {
+  return time === null ? '' : new Intl.DateTimeFormat(getLanguage().locale, options).format(time);
+}
+
+/**
+ * A short spoken summary of a result: count, period, total and the largest item.
+ * @param {object} result - From parseTransactions().
+ * @returns {string}
+ */
+export function summarizeTransactions(result) {
+  const { rows, total, currency, range } = result;
+  const spokenDate = (time) => formatDate(time, { month: 'long', day: 'numeric' });
+
+  let period = '';
+  if (range.from !== null && range.to !== null) {
+    period = spokenDate(range.from) === spokenDate(range.to)
+      ? t('tx.periodOn', { date: spokenDate(range.from) })
+      : t('tx.periodBetween', { from: spokenDate(range.from), to: spokenDate(range.to) });
+  } else if (range.from !== null) {
+    period = t('tx.periodSince', { date: spokenDate(range.from) });
+  } else if (range.to !== null) {
+    period = t('tx.periodUntil', { date: spokenDate(range.to) });
+  }
+
+  const sentences = [t('tx.found', { count: rows.length, period, total: formatMoney(total, currency) })];
+
+  if (rows.length > 1) {
+    const largest = rows.reduce((best, row) => (Math.abs(row.amount) > Math.abs(best.amount) ? row : best));
+    const amount = formatMoney(Math.abs(largest.amount), largest.currency || currency);
+    sentences.push(
+      largest.description
+        ? t('tx.largestFor', { amount, description: largest.description })
+        : t('tx.largest', { amount })
+    );
+  }
+
+  sentences.push(t('tx.details'));
+  return sentences.join(' ');
+}
@@ -0,0 +1,43 @@
+import { t } from '../i18n/index.js';
+
+/**
+ * "Account" section of the Menu: who is signed in, with Sign in / Sign out.
+ *
+ * @param {object} options
+ * @param {object} options.menu - From createMenu().
+ * @param {object} options.auth - From createAuth().
+ */
+export function setupAccountSection({ menu, auth }) {
+  const section = menu.addSection(t('menu.account'));
+
+  const status = document.createElement('div');
+  status.className = 'account-status';
+
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'session-action';
+  button.addEventListener('click', () => {
+    if (auth.signedIn) auth.logout();
+    else auth.login();
+  });
+
+  const error = document.createElement('div');
+  error.className = 'menu-hint';
+
+  const render = () => {
+    if (auth.signedIn) {
+      status.textContent = auth.user?.name ? t('auth.signedInAs', { name: auth.user.name }) : t('auth.signedIn');
+    } else {
+      status.textContent = t('auth.signedOut');
+    }
+    button.textContent = t(auth.signedIn ? 'auth.signOut' : 'auth.signIn');
+    error.textContent = auth.error && !auth.signedIn ? t('auth.failed', { error: auth.error }) : '';
+    error.hidden = !error.textContent;
+  };
+
+  auth.subscribe(render);
+  auth.ready.then(render);
+  render();
+
+  section.append(status, button, error);
+}
@@ -0,0 +1,164 @@
+import { t } from '../i18n/index.js';
+
+/**
+ * Avatar choosing UI: gallery + URL field in the Menu, drag-and-drop of
+ * .glb/.gltf/.vrm files onto the page (or the drop target), and the
+ * loading/error overlay.
+ */
+
+const MODEL_FILE = /\.(glb|gltf|vrm)$/i;
+
+/**
+ * @param {object} options
+ * @param {object|null} options.menu - From createMenu(); without one there is no gallery.
+ * @param {{name: string, url: string, morphMap?: string}[]} options.gallery
+ * @param {function({name: string, url: string, morphMap?: string}): void} options.onSelect
+ * @param {HTMLElement} options.container - The scene container; holds the loading overlay.
+ * @param {Window|HTMLElement} [options.dropTarget=window] - Where model files can be dropped.
+ */
+export function setupAvatarPicker({ menu, gallery, onSelect, container, dropTarget = window }) {
+  const list = document.createElement('div');
+  list.className = 'avatar-gallery';
+  for (const item of gallery) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'avatar-gallery-item';
+    button.textContent = item.name;
+    button.dataset.url = item.url;
+    button.addEventListener('click', () => {
+      menu.close();
+      onSelect(item);
+    });
+    list.appendChild(button);
+  }
+
+  const form = document.createElement('form');
+  form.className = 'avatar-url-form';
+  const input = document.createElement('input');
+  input.type = 'url';
+  input.placeholder = 'https://…/avatar.glb';
+  input.setAttribute('aria-label', t('avatar.urlLabel'));
+  const load = document.createElement('button');
+  load.type = 'submit';
+  load.textContent = t('avatar.load');
+  form.append(input, load);
+  form.addEventListener('submit', (event) => {
+    event.preventDefault();
+    const url = input.value.trim();
+    if (!url) return;
+    menu.close();
+    onSelect({ url, name: url.split('/').pop() });
+  });
+
+  const hint = document.createElement('p');
+  hint.className = 'menu-hint';
+  hint.textContent = t('avatar.dropHint');
+
+  // --- Menu section: gallery + load from URL ---
+  if (menu) menu.addSection(t('menu.avatar')).append(list, form, hint);
+
+  // --- Drag and drop ---
+  const dropZone = document.createElement('div');
+  dropZone.className = 'drop-overlay';
+  dropZone.textContent = t('avatar.drop');
+  dropZone.hidden = true;
+  (dropTarget === window ? document.body : dropTarget).appendChild(dropZone);
+
+  let dragDepth = 0;
+  const hasFiles = (event) => Array.from(event.dataTransfer?.types || []).includes('Files');
+
+  dropTarget.addEventListener('dragenter', (event) => {
+    if (!hasFiles(event)) return;
+    dragDepth++;
+    dropZone.hidden = false;
+  });
+  dropTarget.addEventListener('dragleave', () => {
+    dragDepth = Math.max(0, dragDepth - 1);
+    if (!dragDepth) dropZone.hidden = true;
+  });
+  dropTarget.addEventListener('dragover', (event) => {
+    if (hasFiles(event)) event.preventDefault();
+  });
+  dropTarget.addEventListener('drop', (event) => {
+    if (!hasFiles(event)) return;
+    event.preventDefault();
+    dragDepth = 0;
+    dropZone.hidden = true;
+
+    const file = Array.from(event.dataTransfer.files).find((f) => MODEL_FILE.test(f.name));
+    if (!file) {
+      overlay.showError(t('avatar.unsupportedFile'));
+      return;
+    }
+    onSelect({ url: URL.createObjectURL(file), name: file.name });
+  });
+
+  // --- Loading / error overlay ---
+  const overlay = createLoadingOverlay(container);
+
+  const markCurrent = (url) => {
+    for (const button of list.children) {
+      button.classList.toggle('is-current', button.dataset.url === url);
+    }
+  };
+
+  return { overlay, markCurrent };
+}
+
+function createLoadingOverlay(container) {
+  const element = document.createElement('div');
+  element.className = 'avatar-loading';
+  element.setAttribute('role', 'status');
+  element.hidden = true;
+
+  const label = document.createElement('div');
+  label.className = 'avatar-loading-label';
+  const bar = document.createElement('div');
+  bar.className = 'avatar-loading-bar';
+  const fill = document.createElement('div');
+  fill.className = 'avatar-loading-fill';
+  bar.appendChild(fill);
+  const dismiss = document.createElement('button');
+  dismiss.type = 'button';
+  dismiss.className = 'avatar-loading-dismiss';
+  dismiss.textContent = t('avatar.dismiss');
+  dismiss.addEventListener('click', () => {
+    element.hidden = true;
+  });
+
+  element.append(label, bar, dismiss);
+  container.appendChild(element);
+
+  return {
+    show(name) {
+      element.hidden = false;
+      element.classList.remove('is-error', 'is-indeterminate');
+      label.textContent = t('avatar.loading', { name });
+      fill.style.width = '0%';
+    },
+
+    /**
+     * @param {number|null} fraction - 0..1, or null when the size is unknown.
+     * @param {number} bytes - Bytes received so far.
+     */
+    progress(fraction, bytes) {
+      if (fraction === null) {
+        element.classList.add('is-indeterminate');
+        label.textContent = t('avatar.loadingBytes', { size: (bytes / 1048576).toFixed(1) });
+      } else {
+        fill.style.width = `${Math.round(fraction * 100)}%`;
+      }
+    },
+
+    hide() {
+      element.hidden = true;
+    },
+
+    showError(message) {
+      element.hidden = false;
+      element.classList.add('is-error');
+      element.classList.remove('is-indeterminate');
+      label.textContent = message;
+    },
+  };
+}
@@ -0,0 +1,63 @@
+/**
+ * Captions over the scene: the sentence being spoken, with the current word
+ * highlighted as the browser voice reaches it (`word` events on the bus; server
+ * audio shows the sentence without highlighting).
+ *
+ * They are visual only (aria-hidden): screen readers already get the reply
+ * from the chat log.
+ */
+
+/**
+ * @param {object} options
+ * @param {HTMLElement} options.container - The scene container.
+ * @param {object} options.bus - From createEventBus().
+ * @param {boolean} [options.enabled=true]
+ * @returns {{setEnabled: function(boolean): void, dispose: function(): void}}
+ */
+export function setupCaptions({ container, bus, enabled = true }) {
+  const element = document.createElement('div');
+  element.className = 'speech-caption';
+  element.setAttribute('aria-hidden', 'true');
+  element.hidden = true;
+  container.appendChild(element);
+
+  let sentence = '';
+
+  const render = (start = 0, length = 0) => {
+    if (!enabled || !sentence) {
+      element.hidden = true;
+      return;
+    }
+    const word = document.createElement('mark');
+    word.textContent = sentence.slice(start, start + length);
+    element.replaceChildren(sentence.slice(0, start), ...(length ? [word] : []), sentence.slice(start + length));
+    element.hidden = false;
+  };
+
+  const unsubscribe = [
+    bus.on('sentence', ({ text }) => {
+      sentence = text.trim() ? text : '';
+      render();
+    }),
+    bus.on('word', ({ text, charIndex, charLength }) => {
+      if (text === sentence) render(charIndex, charLength);
+    }),
+    bus.on('speaking', ({ active }) => {
+      if (active) return;
+      sentence = '';
+      render();
+    }),
+  ];
+
+  return {
+    setEnabled(value) {
+      enabled = value;
+      render();
+    },
+
+    dispose() {
+      unsubscribe.forEach((off) => off());
+      element.remove();
+    },
+  };
+}
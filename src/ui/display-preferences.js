@@ -0,0 +1,56 @@
+/**
+ * High contrast and reduced motion.
+ *
+ * Each is 'auto' (follow the system: `prefers-contrast: more` or forced colours,
+ * `prefers-reduced-motion: reduce`), or forced on or off in the ⚙ panel. The
+ * result is put on `root` as the `high-contrast` / `reduced-motion` classes for
+ * the stylesheet, and reduced motion is reported so the avatar and charts can
+ * calm down too.
+ */
+
+const HIGH_CONTRAST_QUERY = '(prefers-contrast: more), (forced-colors: active)';
+const REDUCED_MOTION_QUERY = '(prefers-reduced-motion: reduce)';
+
+/**
+ * @param {object} options
+ * @param {HTMLElement} options.root
+ * @param {{contrast: string, motion: string}} options.preferences - `config.accessibility`, read on every update:
+ *   contrast 'auto' | 'normal' | 'high', motion 'auto' | 'full' | 'reduced'.
+ * @param {function(boolean): void} [options.onReducedMotionChange]
+ */
+export function setupDisplayPreferences({ root, preferences, onReducedMotionChange }) {
+  const highContrastMedia = window.matchMedia(HIGH_CONTRAST_QUERY);
+  const reducedMotionMedia = window.matchMedia(REDUCED_MOTION_QUERY);
+  let reducedMotion = false;
+
+  function update() {
+    const highContrast = preferences.contrast === 'auto' ? highContrastMedia.matches : preferences.contrast === 'high';
+    root.classList.toggle('high-contrast', highContrast);
+
+    const reduced = preferences.motion === 'auto' ? reducedMotionMedia.matches : preferences.motion === 'reduced';
+    root.classList.toggle('reduced-motion', reduced);
+    if (reduced !== reducedMotion) {
+      reducedMotion = reduced;
+      onReducedMotionChange?.(reduced);
+    }
+  }
+
+  highContrastMedia.addEventListener('change', update);
+  reducedMotionMedia.addEventListener('change', update);
+  update();
+
+  return {
+    /** Re-read the preferences (after a settings change). */
+    update,
+
+    get reducedMotion() {
+      return reducedMotion;
+    },
+
+    dispose() {
+      highContrastMedia.removeEventListener('change', update);
+      reducedMotionMedia.removeEventListener('change', update);
+      root.classList.remove('high-contrast', 'reduced-motion');
+    },
+  };
+}
@@ -0,0 +1,39 @@
+import { LANGUAGES, LANGUAGE_STORAGE_KEY, getLanguage, t } from '../i18n/index.js';
+
+/**
+ * "Language" section of the Menu. Every part of the app picks up the language
+ * when it starts, so switching saves the choice and reloads the page (the
+ * conversation is kept, see conversations.js).
+ *
+ * @param {object} options
+ * @param {object} options.menu - From createMenu().
+ */
+export function setupLanguagePicker({ menu }) {
+  const section = menu.addSection(t('menu.language'));
+
+  const select = document.createElement('select');
+  select.className = 'language-select';
+  select.setAttribute('aria-label', t('menu.language'));
+  for (const [code, { name }] of Object.entries(LANGUAGES)) {
+    const option = document.createElement('option');
+    option.value = code;
+    option.lang = code;
+    option.textContent = name;
+    select.appendChild(option);
+  }
+  select.value = getLanguage().code;
+
+  select.addEventListener('change', () => {
+    try {
+      localStorage.setItem(LANGUAGE_STORAGE_KEY, select.value);
+    } catch (error) {
+      console.warn('Could not save the language:', error);
+    }
+    // Drop a ?lang= override so the new choice takes effect
+    const url = new URL(window.location.href);
+    url.searchParams.delete('lang');
+    window.location.replace(url);
+  });
+
+  section.appendChild(select);
+}
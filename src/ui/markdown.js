@@ -0,0 +1,247 @@
+/**
+ * Small, safe Markdown renderer for chat replies.
+ *
+ * Builds DOM nodes directly (never innerHTML), so model or backend output can't
+ * inject markup. Supported: paragraphs, headings, bullet/numbered lists,
+ * block quotes, fenced code, pipe tables, `code`, **bold**, *italic*, and
+ * links (http, https and mailto only; anything else is shown as text).
+ *
+ * `createSpeechFilter` does the opposite for the voice: it strips the markup
+ * and drops code and tables, which make no sense read aloud.
+ */
+
+const FENCE = /^\s*```/;
+const HEADING = /^(#{1,6})\s+(.*)$/;
+const LIST_ITEM = /^\s*(?:([-*+])|(\d+)[.)])\s+(.*)$/;
+const QUOTE = /^\s*>\s?(.*)$/;
+const TABLE_ROW = /^\s*\|.*\|\s*$/;
+const TABLE_DIVIDER = /^\s*\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?\s*$/;
+
+// Code, bold, italic, [links](url) and bare URLs
+const INLINE = new RegExp(
+  [
+    '(`+)([\\s\\S]*?)\\1',
+    '\\*\\*([\\s\\S]+?)\\*\\*',
+    '(?<!\\w)__([\\s\\S]+?)__(?!\\w)',
+    '\\*([^*\\s](?:[^*]*[^*\\s])?)\\*',
+    '(?<!\\w)_([^_\\s](?:[^_]*[^_\\s])?)_(?!\\w)',
+    '\\[([^\\]]+)\\]\\(([^)\\s]+)\\)',
+    '(https?:\\/\\/[^\\s<]*[^\\s<.,;:!?)\\]\'"])',
+  ].join('|'),
+  'g'
+);
+
+const SAFE_URL = /^(https?:|mailto:)/i;
+
+function createLink(text, href) {
+  if (!SAFE_URL.test(href)) return document.createTextNode(text);
+  const link = document.createElement('a');
+  link.href = href;
+  link.target = '_blank';
+  link.rel = 'noopener noreferrer';
+  link.textContent = text;
+  return link;
+}
+
+function wrap(tag, nodes) {
+  const element = document.createElement(tag);
+  element.append(...nodes);
+  return element;
+}
+
+/**
+ * Inline markup to an array of nodes.
+ */
+function renderInline(text) {
+  const nodes = [];
+  let last = 0;
+  for (const match of text.matchAll(INLINE)) {
+    if (match.index > last) nodes.push(document.createTextNode(text.slice(last, match.index)));
+    last = match.index + match[0].length;
+
+    const [, ticks, code, bold, boldUnderscore, italic, italicUnderscore, linkText, linkHref, url] = match;
+    if (ticks) {
+      const element = document.createElement('code');
+      element.textContent = code.trim();
+      nodes.push(element);
+    } else if (bold || boldUnderscore) {
+      nodes.push(wrap('strong', renderInline(bold || boldUnderscore)));
+    } else if (italic || italicUnderscore) {
+      nodes.push(wrap('em', renderInline(italic || italicUnderscore)));
+    } else if (linkText) {
+      nodes.push(createLink(linkText, linkHref));
+    } else if (url) {
+      nodes.push(createLink(url, url));
+    }
+  }
+  if (last < text.length) nodes.push(document.createTextNode(text.slice(last)));
+  return nodes;
+}
+
+/** Inline content of several source lines, with the line breaks kept. */
+function renderLines(lines) {
+  const nodes = [];
+  lines.forEach((line, i) => {
+    if (i) nodes.push(document.createElement('br'));
+    nodes.push(...renderInline(line));
+  });
+  return nodes;
+}
+
+const splitRow = (line) =>
+  line
+    .trim()
+    .replace(/^\||\|$/g, '')
+    .split('|')
+    .map((cell) => cell.trim());
+
+function renderTable(headerLine, bodyLines) {
+  const table = document.createElement('table');
+  table.className = 'md-table';
+  const head = table.createTHead().insertRow();
+  for (const cell of splitRow(headerLine)) {
+    head.appendChild(wrap('th', renderInline(cell)));
+  }
+  const body = table.createTBody();
+  for (const line of bodyLines) {
+    const row = body.insertRow();
+    for (const cell of splitRow(line)) {
+      row.appendChild(wrap('td', renderInline(cell)));
+    }
+  }
+  return table;
+}
+
+/**
+ * @param {string} text - Markdown source.
+ * @returns {DocumentFragment}
+ */
+export function renderMarkdown(text) {
+  const fragment = document.createDocumentFragment();
+  const lines = text.replace(/\r\n?/g, '\n').split('\n');
+  let paragraph = [];
+
+  const endParagraph = () => {
+    if (paragraph.length) fragment.appendChild(wrap('p', renderLines(paragraph)));
+    paragraph = [];
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    if (FENCE.test(line)) {
+      endParagraph();
+      const code = [];
+      // An unclosed fence (still streaming) runs to the end
+      while (++i < lines.length && !FENCE.test(lines[i])) code.push(lines[i]);
+      const pre = document.createElement('pre');
+      const element = document.createElement('code');
+      element.textContent = code.join('\n');
+      pre.appendChild(element);
+      fragment.appendChild(pre);
+      continue;
+    }
+
+    if (!line.trim()) {
+      endParagraph();
+      continue;
+    }
+
+    const heading = line.match(HEADING);
+    if (heading) {
+      endParagraph();
+      // Chat bubbles are small: # maps to h3
+      fragment.appendChild(wrap(`h${Math.min(heading[1].length + 2, 6)}`, renderInline(heading[2])));
+      continue;
+    }
+
+    if (TABLE_ROW.test(line) && TABLE_DIVIDER.test(lines[i + 1] || '')) {
+      endParagraph();
+      const body = [];
+      i += 2;
+      while (i < lines.length && TABLE_ROW.test(lines[i])) body.push(lines[i++]);
+      i--;
+      fragment.appendChild(renderTable(line, body));
+      continue;
+    }
+
+    const item = line.match(LIST_ITEM);
+    if (item) {
+      endParagraph();
+      const ordered = Boolean(item[2]);
+      const list = document.createElement(ordered ? 'ol' : 'ul');
+      if (ordered && item[2] !== '1') list.start = Number(item[2]);
+      let match = item;
+      while (match && Boolean(match[2]) === ordered) {
+        list.appendChild(wrap('li', renderInline(match[3])));
+        match = (lines[i + 1] || '').match(LIST_ITEM);
+        if (match && Boolean(match[2]) === ordered) i++;
+      }
+      fragment.appendChild(list);
+      continue;
+    }
+
+    const quote = line.match(QUOTE);
+    if (quote) {
+      endParagraph();
+      const quoted = [quote[1]];
+      while (i + 1 < lines.length && QUOTE.test(lines[i + 1])) quoted.push(lines[++i].match(QUOTE)[1]);
+      fragment.appendChild(wrap('blockquote', renderLines(quoted)));
+      continue;
+    }
+
+    paragraph.push(line);
+  }
+
+  endParagraph();
+  return fragment;
+}
+
+/**
+ * Markup-free text for speech, one line at a time.
+ */
+function stripForSpeech(text) {
+  return text
+    .split('\n')
+    .filter((line) => !TABLE_ROW.test(line) && !TABLE_DIVIDER.test(line))
+    .map((line) =>
+      line
+        .replace(HEADING, '$2')
+        .replace(LIST_ITEM, '$3')
+        .replace(QUOTE, '$1')
+        .replace(INLINE, (match, ticks, code, bold, boldU, italic, italicU, linkText, linkHref, url) => {
+          if (ticks) return code;
+          if (url) return '';
+          return bold || boldU || italic || italicU || linkText || '';
+        })
+    )
+    .join(' ')
+    .replace(/\s{2,}/g, ' ');
+}
+
+/**
+ * Returns a function that turns successive chunks of a Markdown reply (e.g.
+ * streamed sentences) into speakable text. It remembers whether a code fence
+ * is still open between chunks, so code is skipped even when split up.
+ * @returns {function(string): string}
+ */
+export function createSpeechFilter() {
+  let inCode = false;
+  return (chunk) => {
+    let spoken = '';
+    chunk.split('```').forEach((part, i) => {
+      if (i > 0) inCode = !inCode;
+      if (!inCode) spoken += part;
+    });
+    return stripForSpeech(spoken);
+  };
+}
+
+/**
+ * Speakable text for a complete Markdown reply.
+ * @param {string} text
+ * @returns {string}
+ */
+export function markdownToSpeech(text) {
+  return createSpeechFilter()(text).trim();
+}
@@ -0,0 +1,60 @@
+/**
+ * Drop-down panel behind the header "Menu" button.
+ * Features add their own sections with `addSection(title)`.
+ */
+export function createMenu() {
+  const button = document.querySelector('.header-right .header-btn');
+  const panel = document.createElement('div');
+  panel.className = 'menu-panel';
+  panel.hidden = true;
+  document.body.appendChild(panel);
+
+  const setOpen = (open) => {
+    panel.hidden = !open;
+    button.setAttribute('aria-expanded', String(open));
+  };
+
+  button.setAttribute('aria-haspopup', 'true');
+  button.setAttribute('aria-expanded', 'false');
+  button.addEventListener('click', (event) => {
+    event.stopPropagation();
+    setOpen(panel.hidden);
+  });
+
+  // Close on outside click or Escape
+  document.addEventListener('click', (event) => {
+    if (!panel.hidden && !panel.contains(event.target)) setOpen(false);
+  });
+  document.addEventListener('keydown', (event) => {
+    if (event.key === 'Escape' && !panel.hidden) {
+      setOpen(false);
+      button.focus();
+    }
+  });
+
+  return {
+    /**
+     * @param {string} title
+     * @returns {HTMLElement} The section body to fill.
+     */
+    addSection(title) {
+      const section = document.createElement('section');
+      section.className = 'menu-section';
+
+      const heading = document.createElement('h2');
+      heading.className = 'menu-section-title';
+      heading.textContent = title;
+
+      const body = document.createElement('div');
+      body.className = 'menu-section-body';
+
+      section.append(heading, body);
+      panel.appendChild(section);
+      return body;
+    },
+
+    close() {
+      setOpen(false);
+    },
+  };
+}
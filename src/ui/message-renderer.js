@@ -0,0 +1,31 @@
+import { renderMarkdown } from './markdown.js';
+import { renderTransactionTable } from './transaction-table.js';
+import { t } from '../i18n/index.js';
+
+/**
+ * Fill a chat bubble. User messages stay plain text; assistant replies are
+ * rendered as Markdown, followed by a table when the reply carried
+ * structured transaction data.
+ *
+ * @param {HTMLElement} div - The message element.
+ * @param {'user'|'assistant'} role
+ * @param {string} text
+ * @param {object|null} [data] - From parseTransactions().
+ */
+export function renderMessage(div, role, text, data = null) {
+  if (role !== 'assistant') {
+    div.textContent = `${t('chat.user')}: ${text}`;
+    return;
+  }
+
+  const label = document.createElement('span');
+  label.className = 'msg-sender';
+  label.textContent = `${t('chat.assistant')}: `;
+
+  const content = document.createElement('div');
+  content.className = 'msg-content';
+  content.appendChild(renderMarkdown(text));
+  if (data) content.appendChild(renderTransactionTable(data));
+
+  div.replaceChildren(label, content);
+}
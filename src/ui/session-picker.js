@@ -0,0 +1,112 @@
+import { t } from '../i18n/index.js';
+
+/**
+ * "Conversations" section of the Menu: switch, create, rename and delete
+ * sessions, and export/import them as files.
+ */
+
+function download(filename, text, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+const fileSafe = (name) => name.replace(/[^\w-]+/g, '-').replace(/^-+|-+$/g, '') || 'conversation';
+
+/**
+ * @param {object} options
+ * @param {object} options.menu - From createMenu().
+ * @param {object} options.store - From createConversationStore().
+ * @param {function(): void} [options.beforeSwitch] - Called before the current session changes
+ *   (e.g. to cancel a reply that is still coming in).
+ */
+export function setupSessionPicker({ menu, store, beforeSwitch }) {
+  const section = menu.addSection(t('menu.conversations'));
+
+  const select = document.createElement('select');
+  select.className = 'session-select';
+  select.setAttribute('aria-label', t('session.label'));
+  select.addEventListener('change', () => {
+    beforeSwitch?.();
+    store.switchTo(select.value);
+  });
+
+  const button = (label, onClick) => {
+    const element = document.createElement('button');
+    element.type = 'button';
+    element.className = 'session-action';
+    element.textContent = label;
+    element.addEventListener('click', onClick);
+    return element;
+  };
+
+  const actions = document.createElement('div');
+  actions.className = 'session-actions';
+  actions.append(
+    button(t('session.new'), () => {
+      beforeSwitch?.();
+      store.create();
+    }),
+    button(t('session.rename'), () => {
+      const name = prompt(t('session.renamePrompt'), store.current.name);
+      if (name) store.rename(store.current.id, name);
+    }),
+    button(t('session.delete'), () => {
+      if (!confirm(t('session.deleteConfirm', { name: store.current.name }))) return;
+      beforeSwitch?.();
+      store.remove(store.current.id);
+    })
+  );
+
+  // Export / import
+  const fileInput = document.createElement('input');
+  fileInput.type = 'file';
+  fileInput.accept = '.json,application/json';
+  fileInput.hidden = true;
+  fileInput.addEventListener('change', async () => {
+    const file = fileInput.files[0];
+    fileInput.value = '';
+    if (!file) return;
+    try {
+      beforeSwitch?.();
+      store.importJSON(await file.text());
+      menu.close();
+    } catch (error) {
+      console.error('Could not import conversations:', error);
+      alert(t('session.importError', { error: error.message }));
+    }
+  });
+
+  const transfer = document.createElement('div');
+  transfer.className = 'session-actions';
+  transfer.append(
+    button(t('session.exportJson'), () => download('conversations.json', store.exportJSON(), 'application/json')),
+    button(t('session.exportMarkdown'), () =>
+      download(`${fileSafe(store.current.name)}.md`, store.exportMarkdown(), 'text/markdown')
+    ),
+    button(t('session.import'), () => fileInput.click()),
+    fileInput
+  );
+
+  section.append(select, actions, transfer);
+
+  const render = () => {
+    select.replaceChildren(
+      ...store.sessions.map((session) => {
+        const option = document.createElement('option');
+        option.value = session.id;
+        option.textContent = session.name;
+        return option;
+      })
+    );
+    select.value = store.current.id;
+  };
+
+  render();
+  store.subscribe(render);
+
+  return { render };
+}
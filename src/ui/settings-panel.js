@@ -0,0 +1,210 @@
+import { SETTINGS } from '../settings.js';
+import { getLanguage, t } from '../i18n/index.js';
+
+/**
+ * Settings panel behind the ⚙ button in the chat bar.
+ *
+ * Every control writes straight to the settings store (settings.js), which
+ * saves it and lets main.js apply it live: sliders update while dragged,
+ * text fields on change. "Reset" goes back to the configured defaults.
+ */
+
+let panelCount = 0;
+
+/** Voice names for the datalist, those for the UI language first. */
+function listVoices() {
+  if (!('speechSynthesis' in window)) return [];
+  const language = getLanguage().code;
+  const matches = (voice) => voice.lang.toLowerCase().startsWith(language);
+  return speechSynthesis
+    .getVoices()
+    .slice()
+    .sort((a, b) => matches(b) - matches(a))
+    .map((voice) => voice.name);
+}
+
+/**
+ * @param {object} options
+ * @param {HTMLElement} options.button - The ⚙ button.
+ * @param {HTMLElement} options.anchor - The panel is inserted right after this element.
+ * @param {object} options.settings - From createSettings().
+ * @param {function(): void} [options.onTestVoice] - Speak a sample with the current voice settings.
+ * @returns {{open: function(): void, close: function(): void, dispose: function(): void}}
+ */
+export function setupSettingsPanel({ button, anchor, settings, onTestVoice }) {
+  const panel = document.createElement('div');
+  panel.className = 'settings-panel';
+  panel.id = `settings-panel-${++panelCount}`;
+  panel.hidden = true;
+
+  const title = document.createElement('h2');
+  title.className = 'menu-section-title';
+  title.textContent = t('settings.title');
+  panel.appendChild(title);
+
+  // key -> function that shows the current value in the control
+  const refreshers = {};
+  let fillVoices = null;
+
+  const addRow = (key, control, extra) => {
+    const row = document.createElement('label');
+    row.className = 'settings-row';
+    const name = document.createElement('span');
+    name.className = 'settings-label';
+    name.textContent = t(`settings.${key}`);
+    row.append(name, control);
+    if (extra) row.appendChild(extra);
+    panel.appendChild(row);
+  };
+
+  for (const [key, setting] of Object.entries(SETTINGS)) {
+    if (!settings.has(key)) continue;
+
+    if (setting.type === 'number') {
+      const input = document.createElement('input');
+      input.type = 'range';
+      input.min = setting.min;
+      input.max = setting.max;
+      input.step = setting.step;
+      const output = document.createElement('output');
+      output.className = 'settings-value';
+      refreshers[key] = () => {
+        input.value = settings.get(key);
+        output.value = Number(settings.get(key)).toFixed(2);
+      };
+      input.addEventListener('input', () => {
+        settings.set(key, input.value);
+        output.value = Number(input.value).toFixed(2);
+      });
+      addRow(key, input, output);
+    } else if (setting.type === 'boolean') {
+      const input = document.createElement('input');
+      input.type = 'checkbox';
+      refreshers[key] = () => {
+        input.checked = settings.get(key);
+      };
+      input.addEventListener('change', () => settings.set(key, input.checked));
+      addRow(key, input);
+    } else if (setting.type === 'choice') {
+      const select = document.createElement('select');
+      select.className = 'settings-input';
+      for (const value of setting.options) {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = t(`settings.${key}.${value}`);
+        select.appendChild(option);
+      }
+      refreshers[key] = () => {
+        select.value = settings.get(key);
+      };
+      select.addEventListener('change', () => settings.set(key, select.value));
+      addRow(key, select);
+    } else {
+      const input = document.createElement('input');
+      input.className = 'settings-input';
+      input.type = setting.type === 'url' ? 'url' : 'text';
+      input.spellcheck = false;
+
+      if (key === 'voice') {
+        input.placeholder = t('settings.voiceAuto');
+        const datalist = document.createElement('datalist');
+        datalist.id = `${panel.id}-voices`;
+        input.setAttribute('list', datalist.id);
+        fillVoices = () => {
+          datalist.replaceChildren(
+            ...listVoices().map((name) => {
+              const option = document.createElement('option');
+              option.value = name;
+              return option;
+            })
+          );
+        };
+        fillVoices();
+        // Voices load asynchronously in most browsers
+        if ('speechSynthesis' in window) speechSynthesis.addEventListener('voiceschanged', fillVoices);
+        panel.appendChild(datalist);
+      }
+
+      refreshers[key] = () => {
+        input.value = settings.get(key) ?? '';
+        input.setCustomValidity('');
+      };
+      input.addEventListener('change', () => {
+        const valid = settings.set(key, input.value.trim());
+        input.setCustomValidity(valid ? '' : t('settings.invalid'));
+        if (!valid) input.reportValidity();
+      });
+      addRow(key, input);
+    }
+  }
+
+  const actions = document.createElement('div');
+  actions.className = 'session-actions';
+  if (onTestVoice) {
+    const test = document.createElement('button');
+    test.type = 'button';
+    test.className = 'session-action';
+    test.textContent = t('settings.test');
+    test.addEventListener('click', onTestVoice);
+    actions.appendChild(test);
+  }
+  const reset = document.createElement('button');
+  reset.type = 'button';
+  reset.className = 'session-action';
+  reset.textContent = t('settings.reset');
+  reset.addEventListener('click', () => settings.reset());
+  actions.appendChild(reset);
+  panel.appendChild(actions);
+
+  const render = () => Object.values(refreshers).forEach((refresh) => refresh());
+  const unsubscribe = settings.subscribe((key) => refreshers[key]?.());
+  render();
+
+  anchor.after(panel);
+
+  const setOpen = (open) => {
+    panel.hidden = !open;
+    button.setAttribute('aria-expanded', String(open));
+  };
+
+  button.title = t('settings.title');
+  button.setAttribute('aria-label', t('settings.title'));
+  button.setAttribute('aria-controls', panel.id);
+  button.setAttribute('aria-expanded', 'false');
+  button.addEventListener('click', (event) => {
+    event.stopPropagation();
+    setOpen(panel.hidden);
+  });
+
+  // Close on outside click or Escape
+  const onDocumentClick = (event) => {
+    if (!panel.hidden && !panel.contains(event.target)) setOpen(false);
+  };
+  const onDocumentKeydown = (event) => {
+    if (event.key === 'Escape' && !panel.hidden) {
+      setOpen(false);
+      button.focus();
+    }
+  };
+  document.addEventListener('click', onDocumentClick);
+  document.addEventListener('keydown', onDocumentKeydown);
+
+  return {
+    open() {
+      setOpen(true);
+    },
+
+    close() {
+      setOpen(false);
+    },
+
+    /** Remove the panel and its page-wide listeners. */
+    dispose() {
+      unsubscribe();
+      document.removeEventListener('click', onDocumentClick);
+      document.removeEventListener('keydown', onDocumentKeydown);
+      if (fillVoices && 'speechSynthesis' in window) speechSynthesis.removeEventListener('voiceschanged', fillVoices);
+      panel.remove();
+    },
+  };
+}
@@ -0,0 +1,103 @@
+import { formatMoney, formatDate } from '../transactions.js';
+import { t } from '../i18n/index.js';
+
+/**
+ * Sortable table for a parsed transaction result (see transactions.js).
+ * Clicking a column header sorts by it; clicking again reverses the order.
+ */
+
+const COLUMNS = [
+  { key: 'date', label: 'tx.date', compare: (a, b) => (a.date ?? -Infinity) - (b.date ?? -Infinity) },
+  { key: 'description', label: 'tx.description', compare: (a, b) => a.description.localeCompare(b.description) },
+  { key: 'category', label: 'tx.category', compare: (a, b) => a.category.localeCompare(b.category) },
+  { key: 'amount', label: 'tx.amount', numeric: true, compare: (a, b) => a.amount - b.amount },
+];
+
+/**
+ * @param {object} result - From parseTransactions().
+ * @returns {HTMLElement}
+ */
+export function renderTransactionTable(result) {
+  // Tolerate a partial result rather than failing the whole message
+  const { rows = [], currency = null, range = {} } = result;
+  const total = result.total ?? rows.reduce((sum, row) => sum + row.amount, 0);
+  const from = range.from ?? null;
+  const to = range.to ?? null;
+  // Leave out columns the backend didn't fill in
+  const columns = COLUMNS.filter(({ key }) => key === 'amount' || rows.some((row) => row[key]));
+
+  const container = document.createElement('div');
+  container.className = 'tx-result';
+
+  if (from !== null || to !== null) {
+    const period = document.createElement('div');
+    period.className = 'tx-period';
+    period.textContent = [formatDate(from), formatDate(to)].filter(Boolean).join(' – ');
+    container.appendChild(period);
+  }
+
+  const scroller = document.createElement('div');
+  scroller.className = 'tx-scroll';
+  const table = document.createElement('table');
+  table.className = 'tx-table';
+
+  const headRow = table.createTHead().insertRow();
+  const body = table.createTBody();
+  let sort = { key: null, direction: 1 };
+
+  const renderBody = () => {
+    const column = columns.find(({ key }) => key === sort.key);
+    const sorted = column ? [...rows].sort((a, b) => column.compare(a, b) * sort.direction) : rows;
+
+    body.replaceChildren();
+    for (const row of sorted) {
+      const tr = body.insertRow();
+      for (const { key, numeric } of columns) {
+        const cell = tr.insertCell();
+        if (key === 'date') {
+          cell.textContent = formatDate(row.date);
+        } else if (key === 'amount') {
+          cell.textContent = formatMoney(row.amount, row.currency || currency);
+          cell.classList.add(row.amount < 0 ? 'is-debit' : 'is-credit');
+        } else {
+          cell.textContent = row[key];
+        }
+        if (numeric) cell.classList.add('is-numeric');
+      }
+    }
+
+    for (const th of headRow.cells) {
+      const active = th.dataset.key === sort.key;
+      th.setAttribute('aria-sort', active ? (sort.direction > 0 ? 'ascending' : 'descending') : 'none');
+    }
+  };
+
+  for (const { key, label, numeric } of columns) {
+    const th = document.createElement('th');
+    th.dataset.key = key;
+    th.scope = 'col';
+    if (numeric) th.classList.add('is-numeric');
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = t(label);
+    button.addEventListener('click', () => {
+      sort = { key, direction: sort.key === key ? -sort.direction : 1 };
+      renderBody();
+    });
+    th.appendChild(button);
+    headRow.appendChild(th);
+  }
+
+  const footRow = table.createTFoot().insertRow();
+  const totalLabel = footRow.insertCell();
+  totalLabel.colSpan = Math.max(1, columns.length - 1);
+  totalLabel.textContent = t('tx.total', { count: rows.length });
+  const totalCell = footRow.insertCell();
+  totalCell.className = 'is-numeric';
+  totalCell.textContent = formatMoney(total, currency);
+
+  renderBody();
+  scroller.appendChild(table);
+  container.appendChild(scroller);
+  return container;
+}
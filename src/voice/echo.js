@@ -0,0 +1,24 @@
+/**
+ * Telling the avatar's own voice apart from the user's, for hands-free
+ * listening while it talks. Echo cancellation removes most of it; what still
+ * gets through is recognised as the very words being spoken.
+ */
+
+// Share of the heard words that must come from what is being said
+const ECHO_OVERLAP = 0.8;
+
+const words = (text) => text.toLowerCase().match(/[\p{L}\p{N}']+/gu) || [];
+
+/**
+ * Whether `heard` is (mostly) words of `spoken`, so it is the avatar hearing itself.
+ * @param {string} heard - A transcript, possibly partial.
+ * @param {string} spoken - What the avatar is saying.
+ * @returns {boolean}
+ */
+export function isEcho(heard, spoken) {
+  const heardWords = words(heard);
+  if (!heardWords.length) return false;
+  const spokenWords = new Set(words(spoken));
+  const matching = heardWords.filter((word) => spokenWords.has(word)).length;
+  return matching / heardWords.length >= ECHO_OVERLAP;
+}
@@ -0,0 +1,235 @@
+import { wakePattern } from './wake-phrase.js';
+
+/**
+ * Speech recognition wrapper (Web Speech API).
+ *
+ * Two ways to listen:
+ *   - one-shot: a single utterance, like the original mic button;
+ *   - hands-free: continuous recognition that restarts itself when the browser
+ *     ends the session, so the user can just keep talking to the avatar.
+ *
+ * Interim transcripts are reported as they change. An utterance ends after
+ * `silenceMs` without new words (or when a one-shot session ends), which is
+ * more reliable across browsers than waiting for `isFinal`.
+ *
+ * With a wake phrase set, hands-free mode ignores everything until it hears
+ * the phrase; the text after it is the utterance ("hey assistant, what did I
+ * spend on food?").
+ *
+ * While the avatar talks, `setEchoGuard(true)` drops what `isEcho` says is
+ * its own voice, so the user can still interrupt it (barge-in). Or
+ * `setPaused(true)` suspends hands-free listening altogether, dropping anything
+ * half heard; one-shot listening, which the user starts on purpose, is never
+ * paused.
+ */
+
+// After the wake phrase on its own, the next utterance is accepted without it
+const WAKE_WINDOW_MS = 6000;
+
+const IGNORED_ERRORS = ['no-speech', 'aborted'];
+const FATAL_ERRORS = ['not-allowed', 'service-not-allowed', 'audio-capture'];
+
+const Recognition = window.SpeechRecognition || window.webkitSpeechRecognition;
+
+/**
+ * @param {object} options
+ * @param {string} [options.lang] - BCP 47 tag; defaults to the browser language.
+ * @param {string} [options.wakePhrase] - Hands-free mode only listens after this phrase.
+ * @param {number} [options.silenceMs=1200] - Pause that ends an utterance.
+ * @param {function(string): void} [options.onInterim] - Live transcript of the current utterance.
+ * @param {function(string): void} options.onUtterance - A finished utterance.
+ * @param {function(): void} [options.onSpeechStart] - The user started an utterance (barge-in hook).
+ * @param {function(string): boolean} [options.isEcho] - Whether heard text is the avatar's own voice.
+ * @param {function(boolean): void} [options.onActiveChange] - Recognition started/stopped.
+ * @param {function(string): void} [options.onError] - Errors worth telling the user about.
+ */
+export function createRecognizer({
+  lang = navigator.language || 'en-US',
+  wakePhrase = '',
+  silenceMs = 1200,
+  onInterim,
+  onUtterance,
+  onSpeechStart,
+  isEcho,
+  onActiveChange,
+  onError,
+}) {
+  const wake = wakePhrase ? wakePattern(wakePhrase) : null;
+
+  let recognition = null;
+  let handsFree = false;
+  let paused = false;
+  let echoGuard = false;
+  let active = false;
+  // Results before this index belong to utterances already handled
+  let committed = 0;
+  let resultCount = 0;
+  let transcript = '';
+  let speaking = false;
+  let awakeUntil = 0;
+  let silenceTimer = null;
+  let restartTimer = null;
+
+  const setActive = (value) => {
+    if (active === value) return;
+    active = value;
+    onActiveChange?.(value);
+  };
+
+  function finishUtterance() {
+    clearTimeout(silenceTimer);
+    silenceTimer = null;
+    committed = resultCount;
+    const text = transcript.trim();
+    transcript = '';
+    speaking = false;
+    if (text) {
+      awakeUntil = 0;
+      onUtterance(text);
+    }
+  }
+
+  function handleResult(event) {
+    resultCount = event.results.length;
+    let heard = '';
+    for (let i = committed; i < event.results.length; i++) {
+      heard += event.results[i][0].transcript;
+    }
+    heard = heard.trim();
+
+    // Hands-free with a wake phrase: wait for it, then keep only what follows
+    if (wake && handsFree) {
+      const match = heard.match(wake);
+      if (match) {
+        heard = heard.slice(match.index + match[0].length);
+        awakeUntil = Date.now() + WAKE_WINDOW_MS;
+      } else if (!speaking && Date.now() > awakeUntil) {
+        // Don't let unrelated talk pile up
+        if (event.results[event.results.length - 1].isFinal) committed = resultCount;
+        return;
+      }
+    }
+
+    if (!speaking) {
+      // The avatar hearing itself: not the start of an utterance
+      if (echoGuard && isEcho?.(heard)) {
+        if (event.results[event.results.length - 1].isFinal) committed = resultCount;
+        return;
+      }
+      speaking = true;
+      onSpeechStart?.();
+    }
+    transcript = heard;
+    onInterim?.(heard);
+
+    clearTimeout(silenceTimer);
+    silenceTimer = setTimeout(() => {
+      // Restart so the next utterance starts from an empty result list
+      finishUtterance();
+      if (handsFree) recognition?.stop();
+    }, silenceMs);
+  }
+
+  function start(continuous) {
+    clearTimeout(restartTimer);
+    recognition = new Recognition();
+    recognition.lang = lang;
+    recognition.continuous = continuous;
+    recognition.interimResults = true;
+
+    committed = 0;
+    resultCount = 0;
+
+    recognition.onresult = handleResult;
+
+    recognition.onerror = (event) => {
+      if (IGNORED_ERRORS.includes(event.error)) return;
+      console.error('Speech Recognition Error:', event.error);
+      if (FATAL_ERRORS.includes(event.error)) handsFree = false;
+      onError?.(event.error);
+    };
+
+    recognition.onend = () => {
+      finishUtterance();
+      recognition = null;
+      if (handsFree) {
+        // Browsers end continuous sessions after a while; pick up again unless paused
+        if (!paused) restartTimer = setTimeout(() => handsFree && !paused && start(true), 250);
+      } else {
+        setActive(false);
+      }
+    };
+
+    try {
+      recognition.start();
+      setActive(true);
+    } catch (error) {
+      console.error('Could not start speech recognition:', error);
+      recognition = null;
+      handsFree = false;
+      setActive(false);
+      onError?.(error.message);
+    }
+  }
+
+  return {
+    /** Whether this browser has SpeechRecognition at all. */
+    supported: Boolean(Recognition),
+
+    get active() {
+      return active;
+    },
+
+    get handsFree() {
+      return handsFree;
+    },
+
+    /** Listen for one utterance. */
+    listenOnce() {
+      if (!Recognition || active) return;
+      handsFree = false;
+      start(false);
+    },
+
+    /** Turn continuous hands-free listening on or off. */
+    setHandsFree(enabled) {
+      if (!Recognition || enabled === handsFree) return;
+      handsFree = enabled;
+      if (enabled) {
+        // Switch a running one-shot session over to continuous
+        if (recognition) recognition.stop();
+        else if (!paused) start(true);
+      } else {
+        this.stop();
+      }
+    },
+
+    /** Ignore the avatar's own voice (see `isEcho`) while it talks. */
+    setEchoGuard(value) {
+      echoGuard = value;
+    },
+
+    /** Suspend or resume hands-free listening (stays on, just not hearing). */
+    setPaused(value) {
+      if (value === paused) return;
+      paused = value;
+      if (!handsFree) return;
+      if (paused) {
+        clearTimeout(restartTimer);
+        clearTimeout(silenceTimer);
+        transcript = '';
+        recognition?.abort();
+      } else if (!recognition) {
+        start(true);
+      }
+    },
+
+    /** Stop listening (the utterance in progress is still delivered). */
+    stop() {
+      handsFree = false;
+      clearTimeout(restartTimer);
+      if (recognition) recognition.stop();
+      else setActive(false);
+    },
+  };
+}
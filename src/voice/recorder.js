@@ -0,0 +1,304 @@
+import { createVAD } from './vad.js';
+import { encodeWAV, downsample } from './wav.js';
+import { transcribe } from './stt.js';
+import { wakePattern } from './wake-phrase.js';
+
+/**
+ * Voice input for browsers without SpeechRecognition (Firefox, ...).
+ *
+ * The microphone is captured with getUserMedia and run through a local
+ * energy-based VAD (vad.js). Each detected utterance is encoded (16 kHz WAV, or
+ * Opus through MediaRecorder when `stt.format` is 'opus') and posted to the
+ * speech-to-text endpoint; the transcript comes back through `onUtterance`
+ * exactly like the SpeechRecognition path.
+ *
+ * Same interface as createRecognizer() (recognizer.js), plus `onLevel` for a
+ * mic level meter. While paused, hands-free mode keeps the mic open but ignores it.
+ * The echo guard asks the VAD for a louder voice than the avatar's leftover
+ * echo and drops transcripts that are its own words.
+ */
+
+const FRAME_SIZE = 2048;
+const TARGET_RATE = 16000;
+// Audio kept from before the VAD triggers, so the first syllable isn't clipped
+const PRE_ROLL_MS = 300;
+const WAKE_WINDOW_MS = 6000;
+// VAD speech/noise ratio normally and while the avatar talks
+const VAD_RATIO = 3;
+const ECHO_VAD_RATIO = 6;
+
+const OPUS_TYPES = ['audio/webm;codecs=opus', 'audio/ogg;codecs=opus'];
+
+/**
+ * @param {object} options
+ * @param {object} options.stt - `config.stt` (url, format, timeout, headers).
+ * @param {string} [options.lang] - Passed to the endpoint.
+ * @param {string} [options.wakePhrase]
+ * @param {number} [options.silenceMs=900]
+ * @param {function(string): void} [options.onInterim] - '…' while transcribing, '' when done.
+ * @param {function(string): void} options.onUtterance
+ * @param {function(): void} [options.onSpeechStart]
+ * @param {function(string): boolean} [options.isEcho]
+ * @param {function(boolean): void} [options.onActiveChange]
+ * @param {function(number): void} [options.onLevel] - Mic level, 0..1.
+ * @param {function(string): void} [options.onError]
+ */
+export function createRecordingRecognizer({
+  stt,
+  lang = navigator.language || 'en-US',
+  wakePhrase = '',
+  silenceMs = 900,
+  onInterim,
+  onUtterance,
+  onSpeechStart,
+  isEcho,
+  onActiveChange,
+  onLevel,
+  onError,
+}) {
+  const wake = wakePhrase ? wakePattern(wakePhrase) : null;
+  const opusType =
+    stt.format === 'opus' && window.MediaRecorder ? OPUS_TYPES.find((type) => MediaRecorder.isTypeSupported(type)) : null;
+
+  let handsFree = false;
+  let paused = false;
+  let echoGuard = false;
+  let active = false;
+  let opening = null;
+  // Bumped by close(), so a microphone that opens after it is released at once
+  let generation = 0;
+  let awakeUntil = 0;
+
+  // Audio graph, while the mic is open
+  let stream = null;
+  let context = null;
+  let source = null;
+  let processor = null;
+  let sink = null;
+  let vad = null;
+
+  // Current utterance
+  let preRoll = [];
+  let frames = [];
+  let mediaRecorder = null;
+
+  const setActive = (value) => {
+    if (active === value) return;
+    active = value;
+    onActiveChange?.(value);
+  };
+
+  const awake = () => !wake || !handsFree || Date.now() < awakeUntil;
+
+  function startOpus() {
+    if (!opusType) return;
+    const chunks = [];
+    mediaRecorder = new MediaRecorder(stream, { mimeType: opusType });
+    mediaRecorder.ondataavailable = (event) => chunks.push(event.data);
+    mediaRecorder.done = new Promise((resolve) => {
+      mediaRecorder.onstop = () => resolve(new Blob(chunks, { type: opusType }));
+    });
+    mediaRecorder.start();
+  }
+
+  /** Close off the utterance: returns a promise of the encoded audio, or null. */
+  function takeUtterance() {
+    const recorder = mediaRecorder;
+    mediaRecorder = null;
+    const captured = frames;
+    frames = [];
+
+    if (recorder) {
+      recorder.stop();
+      return recorder.done;
+    }
+    if (!captured.length) return null;
+
+    const samples = new Float32Array(captured.reduce((total, frame) => total + frame.length, 0));
+    let offset = 0;
+    for (const frame of captured) {
+      samples.set(frame, offset);
+      offset += frame.length;
+    }
+    const rate = Math.min(TARGET_RATE, context.sampleRate);
+    return Promise.resolve(encodeWAV(downsample(samples, context.sampleRate, rate), rate));
+  }
+
+  async function deliver(audioPromise) {
+    if (!audioPromise) return;
+    onInterim?.('…');
+
+    let text;
+    try {
+      text = await transcribe(await audioPromise, stt, lang);
+    } catch (error) {
+      onInterim?.('');
+      console.error('Speech-to-text failed:', error);
+      onError?.(error.message);
+      return;
+    }
+    onInterim?.('');
+    if (echoGuard && isEcho?.(text)) return;
+
+    if (wake && handsFree) {
+      const match = text.match(wake);
+      if (match) {
+        text = text.slice(match.index + match[0].length);
+        awakeUntil = Date.now() + WAKE_WINDOW_MS;
+      } else if (Date.now() > awakeUntil) {
+        return;
+      }
+    }
+
+    text = text.trim();
+    if (text) {
+      awakeUntil = 0;
+      onUtterance(text);
+    }
+  }
+
+  /** Forget the utterance in progress and start the VAD afresh. */
+  function discardUtterance() {
+    mediaRecorder?.stop();
+    mediaRecorder = null;
+    frames = [];
+    preRoll = [];
+    vad?.reset();
+  }
+
+  function handleFrame(frame) {
+    if (paused && handsFree) {
+      onLevel?.(0);
+      return;
+    }
+    const change = vad.process(frame);
+    onLevel?.(Math.min(1, Math.sqrt(vad.level) * 2.5));
+
+    if (change === 'start') {
+      frames = [...preRoll, frame];
+      preRoll = [];
+      startOpus();
+      if (awake()) onSpeechStart?.();
+    } else if (change === 'end') {
+      frames.push(frame);
+      deliver(takeUtterance());
+      // One-shot: done after the first utterance
+      if (!handsFree) close();
+    } else if (change === 'cancel') {
+      // Too short to be speech
+      mediaRecorder?.stop();
+      mediaRecorder = null;
+      frames = [];
+    } else if (vad.speaking) {
+      frames.push(frame);
+    } else {
+      preRoll.push(frame);
+      const keep = Math.ceil((PRE_ROLL_MS / 1000) * context.sampleRate / FRAME_SIZE);
+      if (preRoll.length > keep) preRoll.shift();
+    }
+  }
+
+  async function open() {
+    const current = generation;
+    const opened = await navigator.mediaDevices.getUserMedia({
+      audio: { echoCancellation: true, noiseSuppression: true, autoGainControl: true },
+    });
+    if (current !== generation) {
+      opened.getTracks().forEach((track) => track.stop());
+      return;
+    }
+    stream = opened;
+    context = new AudioContext();
+    source = context.createMediaStreamSource(stream);
+
+    // ScriptProcessor is deprecated but works everywhere without a separate worklet file
+    processor = context.createScriptProcessor(FRAME_SIZE, 1, 1);
+    processor.onaudioprocess = (event) => handleFrame(new Float32Array(event.inputBuffer.getChannelData(0)));
+
+    // The processor only runs when connected to the output; keep it silent
+    sink = context.createGain();
+    sink.gain.value = 0;
+    source.connect(processor);
+    processor.connect(sink);
+    sink.connect(context.destination);
+
+    vad = createVAD({ sampleRate: context.sampleRate, silenceMs, ratio: echoGuard ? ECHO_VAD_RATIO : VAD_RATIO });
+    preRoll = [];
+    frames = [];
+    setActive(true);
+  }
+
+  function close() {
+    generation++;
+    if (processor) processor.onaudioprocess = null;
+    source?.disconnect();
+    processor?.disconnect();
+    sink?.disconnect();
+    stream?.getTracks().forEach((track) => track.stop());
+    context?.close();
+    stream = context = source = processor = sink = vad = null;
+    mediaRecorder = null;
+    onLevel?.(0);
+    setActive(false);
+  }
+
+  function ensureOpen() {
+    if (active || opening) return;
+    opening = open()
+      .catch((error) => {
+        console.error('Could not open the microphone:', error);
+        handsFree = false;
+        close();
+        onError?.(error.name === 'NotAllowedError' ? 'not-allowed' : error.message);
+      })
+      .finally(() => {
+        opening = null;
+      });
+  }
+
+  return {
+    /** getUserMedia is available and an endpoint is configured. */
+    supported: Boolean(navigator.mediaDevices?.getUserMedia && stt.url),
+
+    get active() {
+      return active;
+    },
+
+    get handsFree() {
+      return handsFree;
+    },
+
+    listenOnce() {
+      if (active) return;
+      handsFree = false;
+      ensureOpen();
+    },
+
+    setHandsFree(enabled) {
+      if (enabled === handsFree) return;
+      handsFree = enabled;
+      if (enabled) ensureOpen();
+      else this.stop();
+    },
+
+    /** See recognizer.js. */
+    setEchoGuard(value) {
+      echoGuard = value;
+      vad?.setRatio(value ? ECHO_VAD_RATIO : VAD_RATIO);
+    },
+
+    /** Suspend or resume hands-free listening; see recognizer.js. */
+    setPaused(value) {
+      if (value === paused) return;
+      paused = value;
+      if (handsFree) discardUtterance();
+    },
+
+    /** Stop listening; speech already captured is still transcribed. */
+    stop() {
+      handsFree = false;
+      if (vad?.speaking) deliver(takeUtterance());
+      close();
+    },
+  };
+}
@@ -0,0 +1,56 @@
+/**
+ * Client for a server-side speech-to-text endpoint, used when the browser has
+ * no SpeechRecognition.
+ *
+ * Request:  POST <url>?lang=<bcp47>  with the recorded audio as the body
+ *           (Content-Type audio/wav or audio/webm;codecs=opus / audio/ogg)
+ * Response: JSON { text } (or { transcript }), or a text/plain transcript
+ */
+
+/**
+ * @param {Blob} audio
+ * @param {object} options - `config.stt` (url, timeout, headers).
+ * @param {string} [lang]
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<string>} The transcript ('' when nothing was understood).
+ */
+export async function transcribe(audio, options, lang, signal) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), options.timeout || 15000);
+  const onAbort = () => controller.abort();
+  signal?.addEventListener('abort', onAbort);
+
+  const url = new URL(options.url, window.location.href);
+  if (lang) url.searchParams.set('lang', lang);
+
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': audio.type,
+        ...options.headers,
+      },
+      body: audio,
+      signal: controller.signal,
+    });
+
+    if (!response.ok) {
+      throw new Error(`Speech-to-text error: ${response.status} ${response.statusText}`);
+    }
+
+    const contentType = response.headers.get('Content-Type') || '';
+    if (!contentType.includes('json')) {
+      return (await response.text()).trim();
+    }
+    const data = await response.json();
+    return String(data?.text ?? data?.transcript ?? '').trim();
+  } catch (error) {
+    if (error.name === 'AbortError' && !signal?.aborted) {
+      throw new Error(`Speech-to-text timed out after ${options.timeout || 15000} ms`);
+    }
+    throw error;
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', onAbort);
+  }
+}
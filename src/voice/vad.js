@@ -0,0 +1,97 @@
+/**
+ * Energy-based voice activity detection.
+ *
+ * Feed it successive frames of mono samples. It tracks the background noise
+ * level while nobody is talking and calls it speech once the RMS stays above
+ * `ratio` times that floor (and above `minLevel`) for `attackMs`. Speech ends
+ * after `silenceMs` below the threshold; utterances shorter than `minSpeechMs`
+ * (clicks, coughs) are reported as 'cancel' instead of 'end'.
+ *
+ * @param {object} options
+ * @param {number} options.sampleRate
+ * @param {number} [options.ratio=3] - Speech vs. noise floor.
+ * @param {number} [options.minLevel=0.01] - Absolute RMS below which nothing counts as speech.
+ * @param {number} [options.attackMs=90]
+ * @param {number} [options.silenceMs=900]
+ * @param {number} [options.minSpeechMs=300]
+ * @param {number} [options.maxSpeechMs=15000] - Force an end so one utterance can't grow forever.
+ *
+ * `setRatio()` changes the ratio on the fly, e.g. to demand a louder voice while
+ * the avatar's own speech is playing.
+ */
+export function createVAD({
+  sampleRate,
+  ratio = 3,
+  minLevel = 0.01,
+  attackMs = 90,
+  silenceMs = 900,
+  minSpeechMs = 300,
+  maxSpeechMs = 15000,
+}) {
+  let noiseFloor = minLevel / 2;
+  let speaking = false;
+  let aboveMs = 0;
+  let belowMs = 0;
+  let speechMs = 0;
+  let level = 0;
+  let currentRatio = ratio;
+
+  return {
+    /** RMS of the last frame. */
+    get level() {
+      return level;
+    },
+
+    get speaking() {
+      return speaking;
+    },
+
+    /**
+     * @param {Float32Array} frame
+     * @returns {'start'|'end'|'cancel'|null} What changed with this frame.
+     */
+    process(frame) {
+      let sum = 0;
+      for (let i = 0; i < frame.length; i++) sum += frame[i] * frame[i];
+      level = Math.sqrt(sum / frame.length);
+      const frameMs = (frame.length / sampleRate) * 1000;
+      const threshold = Math.max(minLevel, noiseFloor * currentRatio);
+      const loud = level > threshold;
+
+      if (!speaking) {
+        // Adapt to the room, quickly downwards and slowly upwards
+        noiseFloor += (level - noiseFloor) * (level < noiseFloor ? 0.2 : 0.02);
+        aboveMs = loud ? aboveMs + frameMs : 0;
+        if (aboveMs >= attackMs) {
+          speaking = true;
+          speechMs = aboveMs;
+          belowMs = 0;
+          return 'start';
+        }
+        return null;
+      }
+
+      speechMs += frameMs;
+      belowMs = loud ? 0 : belowMs + frameMs;
+      if (belowMs >= silenceMs || speechMs >= maxSpeechMs) {
+        speaking = false;
+        aboveMs = 0;
+        return speechMs - belowMs >= minSpeechMs ? 'end' : 'cancel';
+      }
+      return null;
+    },
+
+    /** @param {number} value - Speech vs. noise floor from now on. */
+    setRatio(value) {
+      currentRatio = value;
+    },
+
+    /** Forget the utterance in progress; the noise floor and ratio are kept. */
+    reset() {
+      speaking = false;
+      aboveMs = 0;
+      belowMs = 0;
+      speechMs = 0;
+    },
+  };
+}
@@ -0,0 +1,16 @@
+/**
+ * Wake phrase matching, shared by both voice input paths.
+ */
+
+/**
+ * Build a pattern for the wake phrase that ignores case and the punctuation
+ * recognizers put between its words ("Hey, assistant!").
+ * @param {string} phrase
+ * @returns {RegExp|null}
+ */
+export function wakePattern(phrase) {
+  const words = phrase.toLowerCase().match(/[\p{L}\p{N}']+/gu);
+  if (!words) return null;
+  const escaped = words.map((word) => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  return new RegExp(`(?<![\\p{L}\\p{N}])${escaped.join('[\\s,.!?]+')}(?![\\p{L}\\p{N}])[\\s,.!?]*`, 'iu');
+}
@@ -0,0 +1,54 @@
+/**
+ * 16-bit mono WAV encoding for recorded utterances.
+ */
+
+/**
+ * Average samples down to a lower rate (speech-to-text wants 16 kHz at most).
+ */
+export function downsample(samples, fromRate, toRate) {
+  if (toRate >= fromRate) return samples;
+  const step = fromRate / toRate;
+  const result = new Float32Array(Math.floor(samples.length / step));
+  for (let i = 0; i < result.length; i++) {
+    const start = Math.floor(i * step);
+    const end = Math.min(samples.length, Math.floor((i + 1) * step));
+    let sum = 0;
+    for (let j = start; j < end; j++) sum += samples[j];
+    result[i] = sum / Math.max(1, end - start);
+  }
+  return result;
+}
+
+/**
+ * @param {Float32Array} samples - -1..1
+ * @param {number} sampleRate
+ * @returns {Blob} audio/wav
+ */
+export function encodeWAV(samples, sampleRate) {
+  const buffer = new ArrayBuffer(44 + samples.length * 2);
+  const view = new DataView(buffer);
+  const writeString = (offset, text) => {
+    for (let i = 0; i < text.length; i++) view.setUint8(offset + i, text.charCodeAt(i));
+  };
+
+  writeString(0, 'RIFF');
+  view.setUint32(4, 36 + samples.length * 2, true);
+  writeString(8, 'WAVE');
+  writeString(12, 'fmt ');
+  view.setUint32(16, 16, true);
+  view.setUint16(20, 1, true); // PCM
+  view.setUint16(22, 1, true); // mono
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * 2, true);
+  view.setUint16(32, 2, true);
+  view.setUint16(34, 16, true);
+  writeString(36, 'data');
+  view.setUint32(40, samples.length * 2, true);
+
+  for (let i = 0; i < samples.length; i++) {
+    const sample = Math.max(-1, Math.min(1, samples[i]));
+    view.setInt16(44 + i * 2, sample < 0 ? sample * 0x8000 : sample * 0x7fff, true);
+  }
+
+  return new Blob([buffer], { type: 'audio/wav' });
+}
@@ -0,0 +1,107 @@
+import { VRMUtils } from '@pixiv/three-vrm';
+import { VISEME_CHANNELS } from './morph-map.js';
+
+/**
+ * VRM (0.x / 1.0) avatar support.
+ *
+ * A VRM brings its own humanoid bone map, facial expressions, look-at setup,
+ * spring bones and MToon materials; all of them are updated by `vrm.update(dt)`
+ * once per frame. This module adapts the VRM expression presets to the same
+ * channel interface as morph-map.js so the facial animation code does not need
+ * to know which kind of avatar it is driving.
+ */
+
+// Logical channel -> VRM expression presets (names as exposed by three-vrm, VRM 1.0 style)
+export const VRM_CHANNELS = {
+  blink: ['blink'],
+  mouthOpen: ['aa'],
+  mouthSmile: [{ name: 'happy', weight: 0.6 }],
+  lipCornerDepress: [{ name: 'sad', weight: 0.5 }],
+  eyebrowRaise: [{ name: 'surprised', weight: 0.4 }],
+  [VISEME_CHANNELS.aa]: ['aa'],
+  [VISEME_CHANNELS.ih]: ['ih'],
+  [VISEME_CHANNELS.ou]: ['ou'],
+  [VISEME_CHANNELS.E]: ['ee'],
+  [VISEME_CHANNELS.oh]: ['oh'],
+};
+
+/**
+ * Normalise a freshly loaded VRM: face it towards +Z, trim unused data and
+ * relax the arms out of the T-pose.
+ * @param {object} gltf - GLTFLoader result with `userData.vrm`.
+ */
+export function prepareVRM(gltf) {
+  const { vrm } = gltf.userData;
+
+  VRMUtils.rotateVRM0(vrm);
+  VRMUtils.removeUnnecessaryVertices(gltf.scene);
+  VRMUtils.combineSkeletons(gltf.scene);
+
+  // Frustum culling misbehaves with skinned meshes whose bind pose is off-screen
+  vrm.scene.traverse((node) => {
+    node.frustumCulled = false;
+    if (node.isMesh) {
+      node.castShadow = true;
+      node.receiveShadow = true;
+    }
+  });
+
+  const leftUpperArm = vrm.humanoid.getNormalizedBoneNode('leftUpperArm');
+  const rightUpperArm = vrm.humanoid.getNormalizedBoneNode('rightUpperArm');
+  if (leftUpperArm) leftUpperArm.rotation.z = -1.2;
+  if (rightUpperArm) rightUpperArm.rotation.z = 1.2;
+
+  return vrm;
+}
+
+const toEntry = (entry) => (typeof entry === 'string' ? { name: entry, weight: 1 } : { weight: 1, ...entry });
+
+/**
+ * Channel rig backed by VRM expressions (same interface as createMorphRig).
+ *
+ * @param {object} vrm
+ * @param {object} [mapping] - Override file contents; channel entries name VRM expressions.
+ */
+export function createVRMRig(vrm, mapping = {}) {
+  const manager = vrm.expressionManager;
+  const bindings = new Map();
+
+  const channels = { ...VRM_CHANNELS, ...(mapping.channels || {}) };
+  for (const [channel, targets] of Object.entries(channels)) {
+    const found = targets.map(toEntry).filter(({ name }) => manager?.getExpression(name));
+    if (found.length) bindings.set(channel, found);
+  }
+
+  const meshes = [];
+  vrm.scene.traverse((child) => {
+    if (child.isMesh && child.morphTargetInfluences) meshes.push(child);
+  });
+
+  return {
+    meshes,
+    channels: [...bindings.keys()],
+
+    has(channel) {
+      return bindings.has(channel);
+    },
+
+    get(channel) {
+      const first = bindings.get(channel)?.[0];
+      return first ? (manager.getValue(first.name) ?? 0) / first.weight : 0;
+    },
+
+    set(channel, value) {
+      const list = bindings.get(channel);
+      if (!list) return;
+      for (const { name, weight } of list) {
+        manager.setValue(name, Math.min(1, Math.max(0, value * weight)));
+      }
+    },
+
+    lerp(channel, target, t) {
+      if (!bindings.has(channel)) return;
+      const current = this.get(channel);
+      this.set(channel, current + (target - current) * t);
+    },
+  };
+}
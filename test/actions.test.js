@@ -0,0 +1,89 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validate, createActionRegistry } from '../src/actions.js';
+
+const schema = {
+  type: 'object',
+  properties: {
+    url: { type: 'string', format: 'url' },
+    count: { type: 'integer', minimum: 1, maximum: 10 },
+    sort: { type: 'string', enum: ['date', 'amount'] },
+    tags: { type: 'array', items: { type: 'string' } },
+  },
+  required: ['url'],
+};
+
+test('params matching the schema have no errors', () => {
+  assert.deepEqual(validate(schema, { url: 'https://bank.example/', count: 3, sort: 'date', tags: ['a'] }), []);
+});
+
+test('each kind of mismatch is reported with its path', () => {
+  assert.deepEqual(validate(schema, null), ['params must be an object']);
+  assert.deepEqual(validate(schema, []), ['params must be an object']);
+  assert.deepEqual(validate(schema, {}), ['params.url is required']);
+  assert.deepEqual(validate(schema, { url: 'https://a.example/', count: 1.5 }), ['params.count must be a integer']);
+  assert.deepEqual(validate(schema, { url: 'https://a.example/', count: 11 }), ['params.count must be at most 10']);
+  assert.deepEqual(validate(schema, { url: 'https://a.example/', sort: 'name' }), [
+    'params.sort must be one of date, amount',
+  ]);
+  assert.deepEqual(validate(schema, { url: 'https://a.example/', tags: ['a', 2] }), [
+    'params.tags[1] must be a string',
+  ]);
+});
+
+test('only http(s) URLs pass the url format', () => {
+  assert.deepEqual(validate(schema, { url: 'javascript:alert(1)' }), ['params.url must be an http(s) URL']);
+  assert.deepEqual(validate(schema, { url: 'not a url' }), ['params.url must be a URL']);
+});
+
+test('NaN is not a number', () => {
+  assert.deepEqual(validate({ type: 'number' }, NaN), ['params must be a number']);
+});
+
+function registry(answer = true) {
+  const results = [];
+  const actions = createActionRegistry({ confirm: async () => answer, onResult: (result) => results.push(result) });
+  return { actions, results };
+}
+
+test('actions run in order, and side effects only once the user agrees', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const ran = [];
+  const { actions } = registry(false);
+  actions.register('open', { description: 'Open', params: schema, run: ({ url }) => ran.push(url) });
+  actions.register('pay', { description: 'Pay', confirm: () => 'Pay?', run: () => ran.push('paid') });
+
+  const statuses = (await actions.run([
+    { type: 'open', params: { url: 'https://a.example/' } },
+    { type: 'pay' },
+    { type: 'open', params: { url: 'ftp://a.example/' } },
+    { type: 'missing' },
+  ])).map((result) => result.status);
+
+  assert.deepEqual(statuses, ['done', 'declined', 'invalid', 'invalid']);
+  assert.deepEqual(ran, ['https://a.example/']);
+});
+
+test('unparseable tool arguments are invalid rather than run with no params', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  let ran = false;
+  const { actions, results } = registry();
+  actions.register('refresh', { description: 'Refresh', run: () => (ran = true) });
+
+  await actions.run([{ type: 'refresh', params: null }]);
+  assert.equal(results[0].status, 'invalid');
+  assert.equal(ran, false);
+});
+
+test('a failing handler is reported, and unregistering keeps a newer registration', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const { actions, results } = registry();
+  const unregister = actions.register('boom', { description: 'Old', run: () => {} });
+  actions.register('boom', { description: 'New', run: () => Promise.reject(new Error('nope')) });
+  unregister();
+
+  assert.deepEqual(actions.describe().map((action) => action.description), ['New']);
+  await actions.run([{ type: 'boom' }]);
+  assert.equal(results[0].status, 'failed');
+  assert.throws(() => actions.register('bad type', { run: () => {} }), /Invalid action type/);
+});
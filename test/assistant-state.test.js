@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { STATES, TRANSITIONS, nextState, createAssistantState } from '../src/assistant-state.js';
+import { createEventBus } from '../src/events.js';
+
+function setup() {
+  const bus = createEventBus();
+  const state = createAssistantState(bus);
+  const changes = [];
+  bus.on('state', (change) => changes.push(change));
+  return { bus, state, changes };
+}
+
+test('every transition leads to a known state from a known state', () => {
+  assert.deepEqual(Object.keys(TRANSITIONS).sort(), [...STATES].sort());
+  for (const targets of Object.values(TRANSITIONS)) {
+    for (const target of Object.values(targets)) {
+      assert.ok(target === '*' || STATES.includes(target), target);
+    }
+  }
+});
+
+test('nextState follows the table and falls back to the most important activity', () => {
+  assert.equal(nextState('idle', 'listening:start', new Set(['listening'])), 'listening');
+  assert.equal(nextState('listening', 'thinking:start', new Set(['listening', 'thinking'])), 'thinking');
+  assert.equal(nextState('thinking', 'speaking:start', new Set(['speaking'])), 'speaking');
+  assert.equal(nextState('speaking', 'speaking:end', new Set(['thinking', 'listening'])), 'listening');
+  assert.equal(nextState('thinking', 'thinking:end', new Set()), 'idle');
+  assert.equal(nextState('listening', 'error', new Set()), 'error');
+  assert.equal(nextState('error', 'speaking:start', new Set(['speaking'])), 'speaking');
+});
+
+test('while speaking, every event but speaking:end is ignored', () => {
+  const active = new Set(['speaking', 'listening', 'thinking']);
+  const others = ['listening:start', 'listening:end', 'thinking:start', 'thinking:end', 'speaking:start', 'error'];
+  for (const event of others) {
+    assert.equal(nextState('speaking', event, active), 'speaking', event);
+  }
+  assert.equal(nextState('speaking', 'speaking:end', new Set(['thinking'])), 'thinking');
+});
+
+test('the state follows the bus through a voice turn', () => {
+  const { bus, state } = setup();
+  assert.equal(state.current, 'idle');
+  bus.emit('listening', { active: true });
+  assert.ok(state.is('listening'));
+  bus.emit('thinking', { active: true });
+  bus.emit('listening', { active: false });
+  assert.ok(state.is('thinking'));
+  assert.equal(state.isActive('listening'), false);
+  bus.emit('speaking', { active: true });
+  bus.emit('thinking', { active: false });
+  assert.ok(state.is('speaking'));
+  bus.emit('speaking', { active: false });
+  assert.ok(state.is('idle'));
+});
+
+test('listeners hear each change once, with where it came from and why', () => {
+  const { bus, changes } = setup();
+  bus.emit('thinking', { active: true });
+  bus.emit('thinking', { active: true });
+  bus.emit('speaking', { active: true });
+  bus.emit('error', { error: 'ignored while speaking' });
+  bus.emit('speaking', { active: false });
+  assert.deepEqual(changes, [
+    { from: 'idle', to: 'thinking', event: 'thinking:start' },
+    { from: 'thinking', to: 'speaking', event: 'speaking:start' },
+    { from: 'speaking', to: 'thinking', event: 'speaking:end' },
+  ]);
+});
+
+test('an error shows until something new starts', () => {
+  const { bus, state, changes } = setup();
+  bus.emit('thinking', { active: true });
+  bus.emit('error', { error: 'boom' });
+  bus.emit('thinking', { active: false });
+  assert.ok(state.is('error'));
+  bus.emit('speaking', { active: true });
+  assert.ok(state.is('speaking'));
+  assert.deepEqual(changes.map(({ to }) => to), ['thinking', 'error', 'speaking']);
+});
@@ -0,0 +1,47 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createAuth } from '../src/auth/index.js';
+
+// The session lives in sessionStorage, remembered origins in localStorage
+const storageStub = (map) => ({
+  getItem: (key) => map.get(key) ?? null,
+  setItem: (key, value) => map.set(key, String(value)),
+  removeItem: (key) => map.delete(key),
+});
+const local = new Map();
+const session = new Map();
+globalThis.localStorage = storageStub(local);
+globalThis.sessionStorage = storageStub(session);
+globalThis.window = { location: { href: 'https://app.example/' } };
+
+const options = {
+  mode: 'oauth',
+  storageKey: 'auth',
+  origins: ['https://bank.example'],
+  tokenUrl: 'https://id.example/token',
+};
+
+beforeEach(() => {
+  local.clear();
+  session.clear();
+  session.set('auth', JSON.stringify({ accessToken: 'abc', refreshToken: null, expiresAt: null }));
+});
+
+test('the token only goes to trusted origins', async () => {
+  const auth = createAuth(options);
+  assert.deepEqual(await auth.headers('https://bank.example/query'), { Authorization: 'Bearer abc' });
+  assert.deepEqual(await auth.headers('https://elsewhere.example/query'), {});
+});
+
+test('an origin the user allowed is remembered for the next visit', async () => {
+  createAuth(options).trust('http://localhost:8788/bank/transactions/query/', { remember: true });
+  const auth = createAuth(options);
+  assert.ok(auth.trusts('http://localhost:8788/other'));
+  assert.deepEqual(await auth.headers('http://localhost:8788/bank/'), { Authorization: 'Bearer abc' });
+});
+
+test('a failed refresh without a refresh token keeps the session', async () => {
+  const auth = createAuth(options);
+  assert.equal(await auth.refresh(), false);
+  assert.ok(auth.signedIn);
+});
@@ -0,0 +1,36 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createConversationStore } from '../src/conversations.js';
+
+const storage = new Map();
+globalThis.localStorage = {
+  getItem: (key) => storage.get(key) ?? null,
+  setItem: (key, value) => storage.set(key, String(value)),
+  removeItem: (key) => storage.delete(key),
+};
+
+beforeEach(() => storage.clear());
+
+const imported = (messages) => {
+  const store = createConversationStore();
+  store.importJSON(JSON.stringify({ messages }));
+  return store.current.messages;
+};
+
+test('imported data that is not a transaction result is dropped', () => {
+  const [message] = imported([{ role: 'assistant', text: 'Hi', data: {} }]);
+  assert.equal(message.text, 'Hi');
+  assert.equal('data' in message, false);
+});
+
+test('imported transaction results are rebuilt with every field present', () => {
+  const [message] = imported([
+    { role: 'assistant', text: 'Spent', data: { rows: [{ amount: -12.5, description: 'Coffee' }, { amount: 'x' }] } },
+  ]);
+  assert.deepEqual(message.data, {
+    rows: [{ date: null, description: 'Coffee', category: '', amount: -12.5, currency: null }],
+    total: -12.5,
+    currency: null,
+    range: { from: null, to: null },
+  });
+});
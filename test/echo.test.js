@@ -0,0 +1,20 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { isEcho } from '../src/voice/echo.js';
+
+const spoken = 'You spent 42 euros on groceries this week, mostly at the market.';
+
+test("the avatar's own words are an echo, however they are punctuated", () => {
+  assert.ok(isEcho('you spent 42 Euros', spoken));
+  assert.ok(isEcho('groceries this week mostly', spoken));
+});
+
+test('the user talking over the avatar is not an echo', () => {
+  assert.equal(isEcho('stop', spoken), false);
+  assert.equal(isEcho('what about last month', spoken), false);
+});
+
+test('nothing heard, or nothing being said, is not an echo', () => {
+  assert.equal(isEcho('', spoken), false);
+  assert.equal(isEcho('you spent', ''), false);
+});
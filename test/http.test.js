@@ -0,0 +1,104 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHttpAdapter, wait } from '../src/backends/http.js';
+
+Object.defineProperty(globalThis, 'navigator', { value: { onLine: true }, configurable: true });
+
+function adapter(options) {
+  return createHttpAdapter({
+    name: 'test',
+    url: 'https://api.example/chat',
+    buildRequest: (message) => ({ message }),
+    extractReply: (data) => data.reply,
+    retryDelay: 1,
+    ...options,
+  });
+}
+
+function countingFetch(respond) {
+  const calls = [];
+  globalThis.fetch = (url, init) => {
+    calls.push(init);
+    return respond(init, calls.length);
+  };
+  return calls;
+}
+
+test('a request that timed out is not sent again', async () => {
+  const calls = countingFetch((init) => new Promise((resolve, reject) => {
+    init.signal.addEventListener('abort', () => reject(new DOMException('aborted', 'AbortError')));
+  }));
+  await assert.rejects(adapter({ timeout: 5 }).send('transfer 10'), /timed out/);
+  assert.equal(calls.length, 1);
+});
+
+test('a dropped connection is not sent again', async () => {
+  const calls = countingFetch(() => Promise.reject(new TypeError('Failed to fetch')));
+  await assert.rejects(adapter().send('transfer 10'), /unreachable/);
+  assert.equal(calls.length, 1);
+});
+
+test('an answer saying the request was not handled is retried', async () => {
+  const calls = countingFetch((init, count) => Promise.resolve(count === 1
+    ? new Response('busy', { status: 503 })
+    : Response.json({ reply: 'done' })));
+  const { text } = await adapter().send('transfer 10');
+  assert.equal(text, 'done');
+  assert.equal(calls.length, 2);
+});
+
+test('a gateway error may hide a processed request and is not retried', async () => {
+  const calls = countingFetch(() => Promise.resolve(new Response('', { status: 504 })));
+  await assert.rejects(adapter().send('transfer 10'), (error) => error.status === 504);
+  assert.equal(calls.length, 1);
+});
+
+test('a 401 to a request without our token does not refresh the session', async () => {
+  let refreshed = 0;
+  const auth = { headers: async () => ({}), refresh: async () => ++refreshed > 0 };
+  countingFetch(() => Promise.resolve(new Response('', { status: 401 })));
+  await assert.rejects(adapter({ auth }).send('hi'), (error) => error.status === 401 && !error.authenticated);
+  assert.equal(refreshed, 0);
+});
+
+test('a 401 to our token gets one refresh and a second try', async () => {
+  let refreshed = 0;
+  const auth = { headers: async () => ({ Authorization: 'Bearer abc' }), refresh: async () => ++refreshed > 0 };
+  const calls = countingFetch((init, count) => Promise.resolve(count === 1
+    ? new Response('', { status: 401 })
+    : Response.json({ reply: 'ok' })));
+  assert.equal((await adapter({ auth }).send('hi')).text, 'ok');
+  assert.equal(refreshed, 1);
+  assert.equal(calls.length, 2);
+});
+
+test('a Retry-After beyond the longest backoff fails at once', async () => {
+  const busy = () => new Response('', { status: 503, headers: { 'Retry-After': '3600' } });
+  const calls = countingFetch(() => Promise.resolve(busy()));
+  await assert.rejects(adapter({ maxRetryDelay: 50 }).send('hi'), (error) => error.status === 503);
+  assert.equal(calls.length, 1);
+});
+
+test('a body that stalls after the headers still times out', async () => {
+  countingFetch((init) => {
+    const body = new ReadableStream({
+      start(controller) {
+        init.signal.addEventListener('abort', () => controller.error(new DOMException('aborted', 'AbortError')));
+      },
+    });
+    return Promise.resolve(new Response(body, { headers: { 'Content-Type': 'application/json' } }));
+  });
+  await assert.rejects(adapter({ timeout: 20 }).send('hi'), /timed out/);
+});
+
+test('wait leaves no abort listener behind once it is over', async () => {
+  const signal = new AbortController().signal;
+  const added = [];
+  const removed = [];
+  const add = signal.addEventListener.bind(signal);
+  const remove = signal.removeEventListener.bind(signal);
+  signal.addEventListener = (type, listener, options) => added.push(listener) && add(type, listener, options);
+  signal.removeEventListener = (type, listener) => removed.push(listener) && remove(type, listener);
+  await wait(1, signal);
+  assert.deepEqual(removed, added);
+});
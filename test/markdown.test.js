@@ -0,0 +1,107 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Just enough of the DOM for the renderer, serialised back to HTML for the assertions
+class Node {
+  constructor(tag) {
+    this.tag = tag;
+    this.children = [];
+  }
+
+  append(...nodes) {
+    this.children.push(...nodes);
+  }
+
+  appendChild(node) {
+    this.children.push(node);
+    return node;
+  }
+
+  set textContent(text) {
+    this.children = [{ text }];
+  }
+
+  createTHead() {
+    return this.appendChild(new Node('thead'));
+  }
+
+  createTBody() {
+    return this.appendChild(new Node('tbody'));
+  }
+
+  insertRow() {
+    return this.appendChild(new Node('tr'));
+  }
+}
+
+globalThis.document = {
+  createElement: (tag) => new Node(tag),
+  createTextNode: (text) => ({ text }),
+  createDocumentFragment: () => new Node(null),
+};
+
+const escape = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+function html(node) {
+  if ('text' in node) return escape(node.text);
+  const inner = node.children.map(html).join('');
+  if (!node.tag) return inner;
+  const attributes = ['href', 'start'].filter((name) => name in node).map((name) => ` ${name}="${node[name]}"`);
+  return `<${node.tag}${attributes.join('')}>${inner}</${node.tag}>`;
+}
+
+const { renderMarkdown, markdownToSpeech, createSpeechFilter } = await import('../src/ui/markdown.js');
+const render = (text) => html(renderMarkdown(text));
+
+test('block structure: headings, lists, quotes, code and tables', () => {
+  assert.equal(render('# Title\nfirst\nsecond\n\nnext'), '<h3>Title</h3><p>first<br></br>second</p><p>next</p>');
+  assert.equal(render('- a\n- b\n3. c'), '<ul><li>a</li><li>b</li></ul><ol start="3"><li>c</li></ol>');
+  assert.equal(render('> quoted\n> more'), '<blockquote>quoted<br></br>more</blockquote>');
+  assert.equal(render('```js\nconst a = 1 < 2;\n```'), '<pre><code>const a = 1 &lt; 2;</code></pre>');
+  assert.equal(
+    render('| Date | Amount |\n| --- | ---: |\n| 1 May | **12** |'),
+    '<table><thead><tr><th>Date</th><th>Amount</th></tr></thead>' +
+      '<tbody><tr><td>1 May</td><td><strong>12</strong></td></tr></tbody></table>'
+  );
+});
+
+test('inline markup, including markup inside markup', () => {
+  assert.equal(
+    render('**bold _and italic_** `x*y*`'),
+    '<p><strong>bold <em>and italic</em></strong> <code>x*y*</code></p>'
+  );
+  assert.equal(render('snake_case_name stays'), '<p>snake_case_name stays</p>');
+});
+
+test('an unclosed fence, as seen mid-stream, runs to the end', () => {
+  assert.equal(render('text\n```\nline 1\nline 2'), '<p>text</p><pre><code>line 1\nline 2</code></pre>');
+});
+
+test('HTML in a reply is shown as text, never parsed', () => {
+  assert.equal(render('<img src=x onerror=alert(1)>'), '<p>&lt;img src=x onerror=alert(1)&gt;</p>');
+});
+
+test('only http(s) and mailto links become links', () => {
+  assert.equal(render('[bank](https://bank.example/)'), '<p><a href="https://bank.example/">bank</a></p>');
+  assert.equal(render('[write](mailto:help@bank.example)'), '<p><a href="mailto:help@bank.example">write</a></p>');
+  assert.equal(render('[click](javascript:void)'), '<p>click</p>');
+  assert.equal(render('[data](data:text/html,hi)'), '<p>data</p>');
+  assert.equal(
+    render('see https://bank.example/help.'),
+    '<p>see <a href="https://bank.example/help">https://bank.example/help</a>.</p>'
+  );
+});
+
+test('speech drops markup, code, tables and bare URLs', () => {
+  assert.equal(
+    markdownToSpeech('## Totals\n- **Food**: 12\n\n| a | b |\n| --- | --- |\n| 1 | 2 |\n\nSee https://bank.example/'),
+    'Totals Food: 12 See'
+  );
+});
+
+test('the speech filter remembers an open code fence across chunks', () => {
+  const filter = createSpeechFilter();
+  assert.equal(filter('Run this: ```sh').trim(), 'Run this:');
+  assert.equal(filter('rm -rf /').trim(), '');
+  assert.equal(filter('``` and you are done.').trim(), 'and you are done.');
+});
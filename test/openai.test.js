@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createOpenAIAdapter } from '../src/backends/openai.js';
+
+const tools = [{ type: 'showAccount', description: 'Open an account', params: { type: 'object' } }];
+
+const sse = (...events) => new Response(
+  [...events.map((event) => `data: ${JSON.stringify(event)}\n\n`), 'data: [DONE]\n\n'].join(''),
+  { headers: { 'Content-Type': 'text/event-stream' } },
+);
+
+const toolDelta = (call) => ({ choices: [{ delta: { tool_calls: [call] } }] });
+
+test('tools are offered and streamed tool calls come back as actions', async () => {
+  let body = null;
+  globalThis.fetch = async (url, init) => {
+    body = JSON.parse(init.body);
+    return sse(
+      { choices: [{ delta: { content: 'Opening it.' } }] },
+      toolDelta({ index: 0, id: 'call_1', type: 'function', function: { name: 'showAccount', arguments: '' } }),
+      toolDelta({ index: 0, function: { arguments: '{"acc' } }),
+      toolDelta({ index: 0, function: { arguments: 'ount":"savings"}' } }),
+      toolDelta({ index: 1, id: 'call_2', type: 'function', function: { name: 'showAccount', arguments: '{}' } }),
+    );
+  };
+
+  const adapter = createOpenAIAdapter({ baseUrl: 'https://api.example/v1/', model: 'test', stream: true });
+  const reply = await adapter.stream('show my savings', { tools });
+
+  assert.equal(body.stream, true);
+  assert.equal(body.tools[0].function.name, 'showAccount');
+  assert.equal(reply.text, 'Opening it.');
+  assert.deepEqual(reply.actions, [
+    { type: 'showAccount', params: { account: 'savings' } },
+    { type: 'showAccount', params: {} },
+  ]);
+});
+
+test('a tool call whose arguments are not JSON comes back without params', async () => {
+  globalThis.fetch = async () => sse(
+    toolDelta({ index: 0, id: 'call_1', type: 'function', function: { name: 'showAccount', arguments: '{"acc' } }),
+  );
+
+  const adapter = createOpenAIAdapter({ baseUrl: 'https://api.example/v1', model: 'test', stream: true });
+  const reply = await adapter.stream('show my savings', { tools });
+  assert.deepEqual(reply.actions, [{ type: 'showAccount', params: null }]);
+});
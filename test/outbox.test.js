@@ -0,0 +1,96 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createOutbox, createOutboxSender } from '../src/outbox.js';
+
+// The outbox persists to localStorage and listens for 'online' on window
+const storage = new Map();
+globalThis.localStorage = {
+  getItem: (key) => storage.get(key) ?? null,
+  setItem: (key, value) => storage.set(key, String(value)),
+  removeItem: (key) => storage.delete(key),
+};
+globalThis.window = new EventTarget();
+Object.defineProperty(globalThis, 'navigator', { value: { onLine: true }, configurable: true });
+
+function fakeConversations() {
+  const sessions = [
+    { id: 'open', messages: [] },
+    { id: 'other', messages: [] },
+  ];
+  return {
+    sessions,
+    current: sessions[0],
+    addMessage(role, text, { sessionId, data = null }) {
+      sessions.find((session) => session.id === sessionId).messages.push({ role, text, data });
+    },
+  };
+}
+
+beforeEach(() => storage.clear());
+
+test('a queued message for another conversation gets its reply saved there', async () => {
+  const conversations = fakeConversations();
+  const outbox = createOutbox({
+    send: createOutboxSender({
+      conversations,
+      replyHere: () => assert.fail('not the open conversation'),
+      fetchReply: async (text) => ({ text: `[emotion:happy] Re: ${text}`, data: null }),
+    }),
+  });
+
+  outbox.add({ text: 'hello', sessionId: 'other', time: 1, history: [] });
+  await outbox.flush();
+
+  assert.deepEqual(conversations.sessions[1].messages, [{ role: 'assistant', text: 'Re: hello', data: null }]);
+  assert.equal(outbox.items.length, 0);
+  outbox.dispose();
+});
+
+test('a message for the open conversation is answered there', async () => {
+  const send = createOutboxSender({
+    conversations: fakeConversations(),
+    replyHere: async (text, { sessionId }) => `${sessionId}:${text}`,
+    fetchReply: () => assert.fail('answered in place'),
+  });
+  assert.equal(await send({ text: 'hi', sessionId: 'open', history: [] }), 'open:hi');
+});
+
+test('a message for a deleted conversation is dropped', async () => {
+  const send = createOutboxSender({ conversations: fakeConversations(), replyHere: null, fetchReply: null });
+  assert.equal(await send({ text: 'hi', sessionId: 'gone', history: [] }), 'dropped');
+});
+
+test('losing the connection again keeps the message queued', async () => {
+  const conversations = fakeConversations();
+  const outbox = createOutbox({
+    send: createOutboxSender({
+      conversations,
+      replyHere: null,
+      fetchReply: async () => {
+        throw Object.assign(new Error('unreachable'), { offline: true });
+      },
+    }),
+  });
+  outbox.add({ text: 'hello', sessionId: 'other', time: 1, history: [] });
+  await outbox.flush();
+
+  assert.equal(outbox.items.length, 1);
+  assert.equal(conversations.sessions[1].messages.length, 0);
+  outbox.dispose();
+});
+
+test('a disposed outbox no longer flushes when the connection comes back', () => {
+  let sent = 0;
+  const outbox = createOutbox({
+    send: async () => {
+      sent += 1;
+      return 'done';
+    },
+  });
+  outbox.add({ text: 'hello', sessionId: 'other', time: 1, history: [] });
+  outbox.dispose();
+  window.dispatchEvent(new Event('online'));
+
+  assert.equal(sent, 0);
+  assert.equal(outbox.items.length, 1);
+});
@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+let pending;
+Object.defineProperty(globalThis, 'navigator', {
+  value: {
+    language: 'en-US',
+    mediaDevices: {
+      getUserMedia: () => new Promise((resolve) => (pending = resolve)),
+    },
+  },
+  configurable: true,
+});
+
+const { createRecordingRecognizer } = await import('../src/voice/recorder.js');
+
+function fakeStream() {
+  const track = { stopped: false, stop: () => (track.stopped = true) };
+  return { track, getTracks: () => [track] };
+}
+
+test('a microphone that opens after the recorder stopped is released at once', async () => {
+  const changes = [];
+  const recorder = createRecordingRecognizer({
+    stt: { url: 'http://localhost/stt' },
+    onUtterance: () => {},
+    onActiveChange: (value) => changes.push(value),
+  });
+
+  recorder.listenOnce();
+  recorder.stop();
+  const stream = fakeStream();
+  pending(stream);
+  await new Promise((resolve) => setTimeout(resolve, 0));
+
+  assert.equal(stream.track.stopped, true);
+  assert.equal(recorder.active, false);
+  assert.deepEqual(changes, []);
+});
@@ -0,0 +1,59 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+const storage = new Map();
+globalThis.localStorage = {
+  getItem: (key) => storage.get(key) ?? null,
+  setItem: (key, value) => storage.set(key, String(value)),
+  removeItem: (key) => storage.delete(key),
+};
+globalThis.window = { location: { search: '', href: 'https://app.example/' } };
+globalThis.history = { state: null, replaceState() {} };
+
+const { createSettings } = await import('../src/settings.js');
+const { getRuntimeConfig, API_URL_KEYS } = await import('../src/config.js');
+
+const open = (search = '', options) => {
+  window.location.search = search;
+  window.location.href = `https://app.example/${search}`;
+  return createSettings(getRuntimeConfig(), options);
+};
+
+beforeEach(() => storage.clear());
+
+test('panel settings can be seeded from the query string and are saved', () => {
+  const settings = open('?rate=1.5&muted=1&environment=outdoor');
+  assert.equal(settings.get('rate'), 1.5);
+  assert.equal(settings.get('muted'), true);
+  assert.equal(open().get('environment'), 'outdoor');
+});
+
+test('the API URL cannot be seeded from the query string', () => {
+  const settings = open('?apiUrl=https://evil.example/');
+  assert.notEqual(settings.get('apiUrl'), 'https://evil.example/');
+});
+
+test('hands-free listening is not saved for the next visit', () => {
+  open().set('handsFree', true);
+  assert.equal(open().get('handsFree'), false);
+});
+
+test("a fixed setting keeps the page's value over a saved one", () => {
+  open().set('apiUrl', 'https://typed.example/');
+  const config = getRuntimeConfig();
+  const configured = config.backends[config.backend][API_URL_KEYS[config.backend]];
+  const settings = createSettings(config, { fixed: ['apiUrl'] });
+  assert.equal(settings.has('apiUrl'), false);
+  assert.equal(config.backends[config.backend][API_URL_KEYS[config.backend]], configured);
+  assert.equal(settings.set('apiUrl', 'https://other.example/'), false);
+});
+
+test('an unknown backend in the query string falls back to the configured one', (t) => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  window.location.search = '?backend=nope';
+  assert.equal(getRuntimeConfig().backend, 'bank');
+  assert.equal(warn.mock.callCount(), 1);
+
+  window.location.search = '?backend=mock';
+  assert.equal(getRuntimeConfig().backend, 'mock');
+});
@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseTransactions } from '../src/transactions.js';
+
+const amountOf = (amount) => parseTransactions([{ amount }])?.rows[0].amount ?? null;
+
+test('rows are found under the usual keys, nested or not', () => {
+  const result = parseTransactions({
+    data: { transactions: [{ amount: -4.5, merchant: 'Café', booking_date: '2024-03-02', currency: 'eur' }] },
+  });
+  assert.deepEqual(result.rows, [
+    { date: Date.parse('2024-03-02'), description: 'Café', category: '', amount: -4.5, currency: 'EUR' },
+  ]);
+  assert.equal(result.currency, 'EUR');
+  assert.equal(result.total, -4.5);
+});
+
+test('something that is not a transaction list is not a result', () => {
+  assert.equal(parseTransactions({ accounts: [] }), null);
+  assert.equal(parseTransactions({ items: [{ name: 'Savings' }] }), null);
+  assert.equal(parseTransactions('hello'), null);
+});
+
+test('the period comes from the payload, or else from the rows', () => {
+  const given = parseTransactions({ from: '2024-01-01', to: '2024-01-31', items: [{ amount: 1 }] });
+  assert.deepEqual(given.range, { from: Date.parse('2024-01-01'), to: Date.parse('2024-01-31') });
+  const derived = parseTransactions([{ amount: 1, date: 1700000000 }, { amount: 2, date: 1700086400 }]);
+  assert.deepEqual(derived.range, { from: 1700000000000, to: 1700086400000 });
+});
+
+test('amounts in either decimal convention', () => {
+  assert.equal(amountOf('1,234.56'), 1234.56);
+  assert.equal(amountOf('1.234,56'), 1234.56);
+  assert.equal(amountOf('1 234,56 €'), 1234.56);
+  assert.equal(amountOf('1.234.567,89'), 1234567.89);
+  assert.equal(amountOf('12,50'), 12.5);
+  assert.equal(amountOf('$-12.00'), -12);
+  assert.equal(amountOf('-12 USD'), -12);
+  assert.equal(amountOf('(12.00)'), -12);
+  assert.equal(amountOf(42), 42);
+});
+
+test('amounts that could be read two ways, or not at all, are rejected', () => {
+  assert.equal(amountOf('1,234'), null);
+  assert.equal(amountOf('1.234'), null);
+  assert.equal(amountOf('1,2.34'), null);
+  assert.equal(amountOf('12.'), null);
+  assert.equal(amountOf('n/a'), null);
+});
@@ -1,6 +1,15 @@
 import { defineConfig } from 'vite'
+import { resolve } from 'node:path'
 
 export default defineConfig({
   base: '/AI-asisstant/', // <-- your repository name
-  // ...other settings
-})
\ No newline at end of file
+  build: {
+    rollupOptions: {
+      // The full page and the embeddable <assistant-avatar> demo
+      input: {
+        main: resolve(__dirname, 'index.html'),
+        embed: resolve(__dirname, 'embed.html'),
+      },
+    },
+  },
+})